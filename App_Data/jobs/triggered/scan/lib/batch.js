@@ -1,12 +1,17 @@
 "use strict";
 
-var request = require('request');
+var politeness = require('../../../../../lib/politeness.js');
+// The requests to the Scan API follow the politeness limits of the scanned sites
+var request = politeness.wrap(require('request'));
 var websites,
 	progress,
     i,
 	callbacker,
 	originalCallback,
-    connections;
+    connections,
+    // websites waiting to be tried again and connections with nothing to do until they are
+    delayed = 0,
+    idle = 0;
 
 function onFinishWrap(){
     var counter = connections;
@@ -32,33 +37,84 @@ function onError(url, err) {
     console.log('Error - ' + url);
 }
 
+function onRequest(url) {
+}
+
+function getQuery(url) {
+    return module.exports.query;
+}
+
+// Doesn't move past the end, so the websites pushed later are requested too
 var getNext = function () {
-    return websites[i++];
+    if (i < websites.length) {
+        return websites[i++];
+    }
 };
 
+/**
+ * Requests the next website, or waits for the websites to try again (if any)
+ * when there are no more
+ * */
+function next(progress) {
+    var nextWebsite = getNext();
+
+    if (typeof nextWebsite !== 'undefined') {
+        requestPage(nextWebsite, progress);
+    } else if (delayed > 0) {
+        idle++;
+    } else {
+        onFinishWrap();
+    }
+}
+
 function requestPage(url, progress) {
 	setTimeout(function () { 
 		if (progress.filter(function (alreadyProgressedUrl) { return alreadyProgressedUrl === url; }).length) {
 			console.log("Skipping a site since it has already been checked before - " + url);
 			originalCallback({ url : url, skipped : true });
-			var nextWebsite = getNext();
-			if (typeof nextWebsite === 'undefined') {
-				onFinishWrap();
-				return;
-			}
-			
-			requestPage(nextWebsite, progress);
+			next(progress);
 		}
 		else {			
 			console.log('request page', url);
-			request({ url: url, timeout: 480000}, callbacker(url));
+			module.exports.onRequest(url);
+			request({ url: url + module.exports.getQuery(url), timeout: 480000}, callbacker(url));
 		}
     }, 0);
 }
 
-function pushRequestPage(url) {
-    websites.push(url);
-};
+/**
+ * Queues a website to be tried again after delay milliseconds (0 by default).
+ * The run doesn't finish while there are websites waiting.
+ * */
+function pushRequestPage(url, delay) {
+    delayed++;
+
+    setTimeout(function () {
+        delayed--;
+        websites.push(url);
+
+        if (idle > 0) {
+            idle--;
+            next(progress);
+        }
+
+        // The other connections waiting have nothing left to do
+        if (delayed === 0) {
+            while (idle > 0) {
+                idle--;
+                onFinishWrap();
+            }
+        }
+    }, delay || 0);
+}
+
+/**
+ * Doesn't request the site of a url for some milliseconds, e.g. when it asks to
+ * wait with a Retry-After header
+ * */
+function pause(url, milliseconds) {
+    politeness.limiter.pause(politeness.getHost(url), milliseconds);
+}
 
 function callbackWrapper(callback, progress) {
     return function (url) {
@@ -69,13 +125,7 @@ function callbackWrapper(callback, progress) {
                 callback({url: url, body: body, skipped : false});
             }
 
-            var nextWebsite = getNext();
-            if (typeof nextWebsite === 'undefined') {
-                onFinishWrap();
-                return;
-            }
-
-            requestPage(nextWebsite, progress);
+            next(progress);
         };
     };
 }
@@ -87,6 +137,8 @@ function start(max, webs, prog, callback) {
     connections = Math.min(max, webs.length);
 	callbacker = callbackWrapper(callback, prog);
 	originalCallback = callback;
+    delayed = 0;
+    idle = 0;
 
     for (i = 0; i < connections; i++)
         if (websites[i])
@@ -97,6 +149,13 @@ module.exports = {
     start: start,
     onFinish: onFinish,
     onError: onError,
+    // called before every request, e.g. to keep track of the websites in flight
+    onRequest: onRequest,
     requestPage: requestPage,
-    pushRequestPage: pushRequestPage
+    pushRequestPage: pushRequestPage,
+    pause: pause,
+    // appended to the url of every request, e.g. '&checks=edge,jslibs'
+    query: '',
+    // returns what is appended to the url of a request, query by default
+    getQuery: getQuery
 }
\ No newline at end of file
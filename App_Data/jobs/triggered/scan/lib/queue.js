@@ -0,0 +1,226 @@
+/**
+ * Description: Durable work queue of a run of the webjob. It keeps a record per
+ * website with its state (pending, in-flight, done or failed), the number of
+ * attempts and the row of its results, saved after every website so a run that
+ * stops can be resumed exactly where it was.
+ *
+ * Copyright (c) Microsoft Corporation; All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this
+ * file except in compliance with the License. You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * THIS CODE IS PROVIDED AS IS BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, EITHER
+ * EXPRESS OR IMPLIED, INCLUDING WITHOUT LIMITATION ANY IMPLIED WARRANTIES OR CONDITIONS
+ * OF TITLE, FITNESS FOR A PARTICULAR PURPOSE, MERCHANTABLITY OR NON-INFRINGEMENT.
+ *
+ * See the Apache Version 2.0 License for specific language governing permissions
+ * and limitations under the License.
+ */
+
+"use strict";
+
+var Datastore = require('nedb');
+
+var PENDING = 'pending',
+    IN_FLIGHT = 'in-flight',
+    DONE = 'done',
+    FAILED = 'failed',
+    // Id of the record of the run
+    RUN = '$run';
+
+/**
+ * Returns the queue kept in a file. Every change is appended to the file before
+ * its callback is called.
+ * */
+function create(filename) {
+    var db = new Datastore({ filename: filename }),
+        loaded = false;
+
+    function load(callback) {
+        if (loaded) {
+            callback(null);
+            return;
+        }
+
+        db.loadDatabase(function (err) {
+            loaded = !err;
+            callback(err || null);
+        });
+    }
+
+    function update(url, fields, callback) {
+        db.update({ _id: url }, { $set: fields }, {}, function (err) {
+            if (callback) {
+                callback(err || null);
+            }
+        });
+    }
+
+    return {
+        /**
+         * Returns the run of the queue (its suffix, the file of websites, the
+         * started and finished dates), or null if there is none
+         * */
+        getRun: function (callback) {
+            load(function (err) {
+                if (err) {
+                    callback(err, null);
+                    return;
+                }
+
+                db.findOne({ _id: RUN }, function (err, run) {
+                    callback(err || null, run || null);
+                });
+            });
+        },
+
+        /**
+         * Replaces the queue with a new run. sites have the url, rank and area
+         * of the websites, in the order they are scanned. Repeated urls are
+         * queued once.
+         * */
+        createRun: function (run, sites, callback) {
+            load(function (err) {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+
+                db.remove({}, { multi: true }, function (err) {
+                    if (err) {
+                        callback(err);
+                        return;
+                    }
+
+                    var seen = {},
+                        docs = [{ _id: RUN, suffix: run.suffix, file: run.file, started: run.started, finished: null }];
+
+                    sites.forEach(function (site, index) {
+                        if (seen[site.url]) {
+                            return;
+                        }
+
+                        seen[site.url] = true;
+                        docs.push({
+                            _id: site.url,
+                            index: index,
+                            rank: site.rank,
+                            area: site.area,
+                            state: PENDING,
+                            attempts: 0,
+                            row: null,
+                            error: null
+                        });
+                    });
+
+                    db.insert(docs, function (err) {
+                        // Starts the file again with the new run only
+                        db.persistence.compactDatafile();
+                        callback(err || null);
+                    });
+                });
+            });
+        },
+
+        /**
+         * Puts back in the queue the websites that were in flight when the run
+         * stopped and returns the urls of the pending ones, in order
+         * */
+        resume: function (callback) {
+            db.update({ state: IN_FLIGHT }, { $set: { state: PENDING } }, { multi: true }, function (err) {
+                if (err) {
+                    callback(err, null);
+                    return;
+                }
+
+                db.find({ state: PENDING }).sort({ index: 1 }).exec(function (err, docs) {
+                    callback(err || null, (docs || []).map(function (doc) {
+                        return doc._id;
+                    }));
+                });
+            });
+        },
+
+        /**
+         * Marks a website as in flight and counts the attempt. The callback gets
+         * the number of attempts of the website, this one included.
+         * */
+        start: function (url, callback) {
+            db.update({ _id: url }, { $set: { state: IN_FLIGHT }, $inc: { attempts: 1 } }, { returnUpdatedDocs: true }, function (err, numAffected, doc) {
+                if (callback) {
+                    callback(err || null, doc ? doc.attempts : 0);
+                }
+            });
+        },
+
+        /**
+         * Puts a website back in the queue to try it again, keeping the row of
+         * the last attempt
+         * */
+        retry: function (url, row, callback) {
+            update(url, { state: PENDING, row: row || null }, callback);
+        },
+
+        /**
+         * Marks a website as done with the row of its results
+         * */
+        done: function (url, row, callback) {
+            update(url, { state: DONE, row: row || null, error: null }, callback);
+        },
+
+        /**
+         * Marks a website as failed with the error and the row of its results
+         * (if there is one)
+         * */
+        fail: function (url, error, row, callback) {
+            var fields = { state: FAILED, error: error ? String(error) : null };
+
+            // Websites that fail when they are tried again keep the row of the last attempt
+            if (row) {
+                fields.row = row;
+            }
+
+            update(url, fields, callback);
+        },
+
+        /**
+         * Returns the number of websites in every state
+         * */
+        getCounts: function (callback) {
+            db.find({ state: { $exists: true } }, { state: 1 }, function (err, docs) {
+                var counts = { pending: 0, 'in-flight': 0, done: 0, failed: 0 };
+
+                (docs || []).forEach(function (doc) {
+                    counts[doc.state]++;
+                });
+
+                callback(err || null, counts);
+            });
+        },
+
+        /**
+         * Returns the rows of the results of the websites, in order
+         * */
+        getRows: function (callback) {
+            db.find({ row: { $exists: true, $ne: null } }).sort({ index: 1 }).exec(function (err, docs) {
+                callback(err || null, (docs || []).map(function (doc) {
+                    return doc.row;
+                }));
+            });
+        },
+
+        /**
+         * Marks the run as finished
+         * */
+        finish: function (finished, callback) {
+            update(RUN, { finished: finished }, callback);
+        }
+    };
+}
+
+module.exports.create = create;
+module.exports.PENDING = PENDING;
+module.exports.IN_FLIGHT = IN_FLIGHT;
+module.exports.DONE = DONE;
+module.exports.FAILED = FAILED;
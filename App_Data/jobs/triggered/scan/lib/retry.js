@@ -0,0 +1,138 @@
+/**
+ * Description: Classification of the errors of the scans of the webjob and the
+ * retry policy of each class of error: the attempts a website gets and the
+ * delay before each retry (exponential backoff with jitter).
+ *
+ * Copyright (c) Microsoft Corporation; All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this
+ * file except in compliance with the License. You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * THIS CODE IS PROVIDED AS IS BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, EITHER
+ * EXPRESS OR IMPLIED, INCLUDING WITHOUT LIMITATION ANY IMPLIED WARRANTIES OR CONDITIONS
+ * OF TITLE, FITNESS FOR A PARTICULAR PURPOSE, MERCHANTABLITY OR NON-INFRINGEMENT.
+ *
+ * See the Apache Version 2.0 License for specific language governing permissions
+ * and limitations under the License.
+ */
+
+"use strict";
+
+var DNS = 'dns',
+    TLS = 'tls',
+    TIMEOUT = 'timeout',
+    CONNECTION = 'connection',
+    HTTP_4XX = 'http-4xx',
+    HTTP_5XX = 'http-5xx',
+    DECOMPRESSION = 'decompression',
+    EMPTY_BODY = 'empty-body',
+    CHECK_EXCEPTION = 'check-exception',
+    BLOCKED_BY_ROBOTS = 'blocked-by-robots',
+    SCAN_API = 'scan-api',
+    UNKNOWN = 'unknown';
+
+// Classes found in the text of the error, in order
+var patterns = [
+    { errorClass: BLOCKED_BY_ROBOTS, pattern: /blocked by robots/ },
+    { errorClass: DNS, pattern: /ENOTFOUND|EAI_AGAIN|getaddrinfo/ },
+    { errorClass: TLS, pattern: /\bCERT_|certificate|\bSSL|\bTLS|EPROTO|self.signed/i },
+    { errorClass: TIMEOUT, pattern: /ETIMEDOUT|ESOCKETTIMEDOUT|timed? ?out/i },
+    { errorClass: CONNECTION, pattern: /ECONNREFUSED|ECONNRESET|EHOSTUNREACH|ENETUNREACH|EPIPE|socket hang up/i },
+    { errorClass: DECOMPRESSION, pattern: /gunzip|deflate|content encoding|zlib|incorrect header check/i },
+    { errorClass: EMPTY_BODY, pattern: /Empty body/ }
+];
+
+/**
+ * Returns the class of an error: an error of a request, a message or the
+ * response of the Scan API when it fails ({ statusCode, message }). Responses
+ * with an HTTP status of the website are http-4xx or http-5xx and the ones
+ * that don't match any other class come from a check that failed.
+ * */
+function classify(error) {
+    if (error === null || typeof error === 'undefined') {
+        return UNKNOWN;
+    }
+
+    var text = typeof error === 'string' ? error : [error.code, error.message, String(error)].join(' '),
+        statusCode = typeof error === 'object' ? parseInt(error.statusCode, 10) : NaN,
+        found = patterns.filter(function (item) {
+            return item.pattern.test(text);
+        })[0];
+
+    if (statusCode >= 400 && statusCode < 500) {
+        return HTTP_4XX;
+    }
+
+    if (statusCode >= 500 && statusCode < 600) {
+        return HTTP_5XX;
+    }
+
+    if (found) {
+        return found.errorClass;
+    }
+
+    // The Scan API responded with the error of the scan
+    if (typeof error === 'object' && !(error instanceof Error) && error.message) {
+        return CHECK_EXCEPTION;
+    }
+
+    return UNKNOWN;
+}
+
+/**
+ * Returns the retry policy of a class of error: the default policy of the
+ * policies (from config.js) with the fields of the class
+ * */
+function getPolicy(errorClass, policies) {
+    var policy = {};
+
+    [policies['default'], policies[errorClass]].forEach(function (fields) {
+        Object.keys(fields || {}).forEach(function (name) {
+            policy[name] = fields[name];
+        });
+    });
+
+    return policy;
+}
+
+/**
+ * Returns whether a website that failed after a number of attempts is tried again
+ * */
+function shouldRetry(policy, attempts) {
+    return attempts < (policy.maxAttempts || 1);
+}
+
+/**
+ * Returns the milliseconds to wait before trying a website again after a number
+ * of attempts: the delay of the policy, doubled on each attempt up to maxDelay,
+ * plus or minus a random share of it (jitter, between 0 and 1). random is
+ * Math.random by default.
+ * */
+function getDelay(policy, attempts, random) {
+    var delay = (policy.delay || 0) * Math.pow(2, Math.max(attempts - 1, 0)),
+        jitter = policy.jitter || 0;
+
+    if (policy.maxDelay) {
+        delay = Math.min(delay, policy.maxDelay);
+    }
+
+    return Math.max(Math.round(delay * (1 + jitter * (2 * (random || Math.random)() - 1))), 0);
+}
+
+module.exports.classify = classify;
+module.exports.getPolicy = getPolicy;
+module.exports.shouldRetry = shouldRetry;
+module.exports.getDelay = getDelay;
+module.exports.DNS = DNS;
+module.exports.TLS = TLS;
+module.exports.TIMEOUT = TIMEOUT;
+module.exports.CONNECTION = CONNECTION;
+module.exports.HTTP_4XX = HTTP_4XX;
+module.exports.HTTP_5XX = HTTP_5XX;
+module.exports.DECOMPRESSION = DECOMPRESSION;
+module.exports.EMPTY_BODY = EMPTY_BODY;
+module.exports.CHECK_EXCEPTION = CHECK_EXCEPTION;
+module.exports.BLOCKED_BY_ROBOTS = BLOCKED_BY_ROBOTS;
+module.exports.SCAN_API = SCAN_API;
+module.exports.UNKNOWN = UNKNOWN;
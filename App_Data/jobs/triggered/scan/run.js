@@ -1,8 +1,17 @@
 var batch = require('./lib/batch.js');
+var retry = require('./lib/retry.js');
 var config = require('../../../../lib/checks/config.js');
+var scoring = require('../../../../lib/score.js');
+var webhook = require('../../../../lib/webhook.js');
+var diff = require('../../../../lib/diff.js');
+var sitemap = require('../../../../lib/sitemap.js');
+var websiteList = require('../../../../lib/websites.js');
 var fs = require('fs');
+var path = require('path');
 var parseArgs = require('minimist');
 var http = require('http');
+var request = require('request');
+var resolveUrl = require('url').resolve;
 var os = require('os');
 
 var argv;
@@ -14,22 +23,28 @@ else
 
 console.dir(argv);
 
-var useazurestorage = false;
-var useazureastarget = false;
-var useazureassource = false;
+// 'storage' (or 'azure', its former name) uses the storage of config.js
+var usestorage = false;
+var usestorageastarget = false;
+var usestorageassource = false;
 
-if (!argv.target || argv.target == 'azure') {
-    useazurestorage = true;
-    useazureastarget = true;
-    var azure = require('azure-storage');
+function isStorage(value) {
+    return !value || value == 'storage' || value == 'azure';
 }
 
-if (!argv.source || argv.source == 'azure') {
-    useazurestorage = true;
-    useazureassource = true;
-    var azure = require('azure-storage');
+if (isStorage(argv.target)) {
+    usestorage = true;
+    usestorageastarget = true;
 }
 
+if (isStorage(argv.source)) {
+    usestorage = true;
+    usestorageassource = true;
+}
+
+if (usestorage)
+    var storage = require('../../../../lib/storage').get();
+
 var issimulation = false;
 
 if (argv.simulation) {
@@ -38,11 +53,14 @@ if (argv.simulation) {
 }
 
 if (!argv.file)
-    if (argv.source == 'azure')
+    if (usestorageassource)
         argv.file = 'websites.csv';
     else
         argv.file = './websites.csv';
 
+// The pages of a sitemap (a url or a file) are scanned instead of the websites of the file
+if (argv.sitemap)
+    argv.file = argv.sitemap;
 
 if (!argv.prefix && argv.azure)
     argv.prefix = 'http://sites-scanner.azurewebsites.net/api/v2/scan?url=http://';
@@ -56,6 +74,16 @@ if (!argv.prefix && argv.azuretest)
 if (!argv.prefix)
     argv.prefix = config.prefix;
 
+if (argv.callback && !webhook.isValidUrl(argv.callback)) {
+    console.error('invalid callback url', argv.callback);
+    process.exit(1);
+}
+
+if (argv.callback && !webhook.isEnabled()) {
+    console.error('callbacks are disabled, Webhook_Secret is not set');
+    process.exit(1);
+}
+
 var machines = {};
 var connections;
 
@@ -68,10 +96,14 @@ if (connections > http.globalAgent.maxSockets)
     http.globalAgent.maxSockets = connections;
 
 var errorCount = 0;
-var areas = [];
-var ranks = [];
-var drows = {};
-var retryRows = {};
+// Failed attempts of websites that were tried again (they aren't in errorCount)
+var retryCount = 0;
+// Websites of the list (rank, area, tags, etc.) by the url of their Scan API request
+var websiteInfo = {};
+// Columns of the list carried to the results
+var extraColumns = [];
+// Attempts of each website, in this run and the ones that stopped (see the work queue)
+var attempts = {};
 var nrows = 0;
 var DUMP_RESULTS = 1000;
 
@@ -92,6 +124,16 @@ var tests = [
 
 var prefix = argv.prefix;
 
+// The prefix ends with the protocol of the websites (url=http://), the Scan API
+// requests have the encoded url of each website after the rest of it
+var scanPrefix = prefix.replace(/https?:\/\/$/i, '');
+var prefixProtocol = prefix.slice(scanPrefix.length) || 'http://';
+
+// Only run the checks we are going to report, unless the list of websites
+// overrides them (see getQuery)
+batch.query = '&checks=' + tests.join(',');
+batch.getQuery = getQuery;
+
 
 var suffix = createSuffix(new Date());
 var originalSuffix = suffix;
@@ -101,47 +143,97 @@ var outputErrorsFile = 'errors' + suffix + '.txt';
 var summaryErrorsFile = 'summary' + suffix + '.csv';
 var errors = "";
 
+// Work queue of the run, to resume it where it stopped (--queue sets its file)
+if (!argv.queue)
+    argv.queue = path.join(config.queue_directory, 'queue.db');
+
+var queue = require('./lib/queue.js').create(argv.queue);
+var resumed = false;
+
 
 startRun = function () {
     errors = "";
-    //Clean up output files before appending data
-    fs.writeFileSync(outputResultsFile, "");
-    fs.writeFileSync(outputErrorsFile, "");
-    fs.writeFileSync(summaryErrorsFile, "");
-    
     errorCount = 0;
-    areas = [];
-    ranks = [];
-    drows = {};
-    retryRows = {};
+    retryCount = 0;
+    websiteInfo = {};
+    extraColumns = [];
+    attempts = {};
     nrows = 0;
     
-    if (useazurestorage) {
-        console.log('account name', config.storage_account_name);
-        console.log('access key', config.storage_account_key);
+    if (usestorage) {
+        console.log('storage', config.storage_type, config.website_list_container_name);
+        if (config.storage_type == 'azure') {
+            console.log('account name', config.storage_account_name);
+            console.log('access key', config.storage_account_key);
+        }
     }
     
-    if (useazureassource) {
-        var blobSvc = azure.createBlobService(config.storage_account_name, config.storage_account_key);
+    if (argv.sitemap) {
+        console.log('reading sitemap', argv.sitemap);
+        readSitemap(function (list) {
+            openQueue(list);
+        });
+    }
+    else if (usestorageassource) {
         console.log('reading blob', argv.file);
-        blobSvc.getBlobToText(config.website_list_container_name, argv.file, function (err, text, blockBlob, response) {
+        storage.readText(argv.file, function (err, text) {
             if (err) {
                 console.log(err);
                 return;
             }
             
-            var lines = text.trim().split('\r\n');
-            determineProgress(lines);
+            readList(text, openQueue);
         });
     }
     else {
-        var lines = fs.readFileSync(argv.file, 'utf8').trim().split('\r\n');
-        
-        determineProgress(lines);
+        readList(fs.readFileSync(argv.file, 'utf8'), openQueue);
     }
 }
 startRun();
 
+/**
+ * Parses the list of websites (see lib/websites.js)
+ * */
+function readList(text, callback) {
+    websiteList.parse(text, null, function (err, list) {
+        if (err) {
+            console.log("can't read the list of websites", argv.file, err.message || err);
+            return;
+        }
+        
+        callback(list);
+    });
+}
+
+/**
+ * Gets the pages of the sitemap (--sitemap), sampled with --sitemapSample and
+ * --sitemapPriority, as a list of websites
+ * */
+function readSitemap(callback) {
+    var sampling = {
+        sample: typeof argv.sitemapSample == 'number' ? argv.sitemapSample : undefined,
+        minPriority: typeof argv.sitemapPriority == 'number' ? argv.sitemapPriority : undefined
+    };
+    
+    sitemap.expand(argv.sitemap, sampling, function (err, pages, failed) {
+        if (err) {
+            console.log("can't read the sitemap", argv.sitemap, err.message || err);
+            return;
+        }
+        
+        failed.forEach(function (item) {
+            console.log("can't read the sitemap", item.sitemap, item.error);
+        });
+        
+        callback({
+            columns: [],
+            websites: pages.map(function (page) {
+                return websiteList.create({ url: page.url });
+            })
+        });
+    });
+}
+
 function createSuffix(date) {
     var dd = date.getDate();
     var mm = date.getMonth() + 1;//January is 0!`
@@ -156,16 +248,242 @@ function createSuffix(date) {
     return mm + '-' + dd + '-' + yyyy + '_';
 }
 
-function saveDataToAzureFile(filename, data, callback) {
+// URL of the events of the batch job that follows the run (with --events)
+var batchEventsUrl = null;
+
+/**
+ * Creates a batch job in the Scan API (with --events) so the progress of the
+ * run can be followed at /api/v2/jobs/:id/events
+ * */
+function createBatchJob(total, callback) {
+    if (!argv.events) {
+        callback();
+        return;
+    }
+    
+    request({
+        method: 'POST',
+        uri: resolveUrl(prefix, '/api/v2/jobs'),
+        headers: config.jobs_batch_key ? { 'X-Batch-Key': config.jobs_batch_key } : {},
+        json: { batch: argv.file, total: total }
+    }, function (err, response, body) {
+        if (err || response.statusCode !== 202) {
+            console.log("can't create the batch job", err || response.statusCode);
+        }
+        else {
+            batchEventsUrl = resolveUrl(prefix, '/api/v2/jobs/' + body.id + '/events');
+            console.log('progress of the run at', batchEventsUrl);
+        }
+        
+        callback();
+    });
+}
+
+/**
+ * Posts an event (a site or the end of the run) to the batch job (if any)
+ * */
+function postBatchEvent(event) {
+    if (!batchEventsUrl)
+        return;
+    
+    request({
+        method: 'POST',
+        uri: batchEventsUrl,
+        headers: config.jobs_batch_key ? { 'X-Batch-Key': config.jobs_batch_key } : {},
+        json: event
+    }, function (err, response) {
+        if (err || response.statusCode !== 200)
+            console.log("can't post the event", event.type, err || response.statusCode);
+    });
+}
+
+/**
+ * Saves the run in the history of the Scan API (with --history)
+ * */
+function saveHistoryRun(fields, callback) {
+    if (!argv.history) {
+        callback();
+        return;
+    }
+    
+    request({
+        method: 'PUT',
+        uri: resolveUrl(prefix, '/api/v2/history/runs/' + encodeURIComponent(suffix)),
+        headers: config.history_key ? { 'X-History-Key': config.history_key } : {},
+        json: fields
+    }, function (err, response) {
+        if (err || response.statusCode !== 200)
+            console.log("can't save the run in the history", err || response.statusCode);
+        
+        callback();
+    });
+}
+
+/**
+ * Saves the result of a site in the history of the Scan API (with --history)
+ * */
+function saveHistorySite(data) {
+    if (!argv.history)
+        return;
+    
+    request({
+        method: 'POST',
+        uri: resolveUrl(prefix, '/api/v2/history/runs/' + encodeURIComponent(suffix) + '/sites'),
+        headers: config.history_key ? { 'X-History-Key': config.history_key } : {},
+        json: data
+    }, function (err, response) {
+        if (err || response.statusCode !== 200)
+            console.log("can't save the site in the history", data.site, err || response.statusCode);
+    });
+}
+
+/**
+ * Reports a site that is done to the batch job and the history (if any). body
+ * is the response of the Scan API.
+ * */
+function siteFinished(dataUrl, row, error, body) {
+    var siteUrl = getSiteUrl(dataUrl);
+    
+    postBatchEvent({
+        type: 'site',
+        url: siteUrl,
+        processed: nrows,
+        score: row ? row.score : null,
+        grade: row ? row.grade : null,
+        error: error || null
+    });
+    
+    saveHistorySite({
+        site: siteUrl,
+        rank: getInfo(dataUrl).rank,
+        area: getInfo(dataUrl).area,
+        date: new Date().toISOString(),
+        result: (body && typeof body === 'object' && body.results) ? body : null,
+        error: error || null
+    });
+}
+
+/**
+ * Sends the summary of the run to the callback url and the batch job (if any)
+ * */
+function notifyFinished(started, finished, diffFile) {
+    var summary = {
+        suffix: suffix,
+        results: outputResultsFile,
+        summary: summaryErrorsFile,
+        errors: outputErrorsFile,
+        diff: diffFile,
+        sites: nrows,
+        errorCount: errorCount,
+        retryCount: retryCount,
+        started: started.toISOString(),
+        finished: finished.toISOString()
+    };
+    
+    if (argv.callback)
+        webhook.send(argv.callback, 'batch.finished', summary);
+    
+    summary.type = 'finished';
+    postBatchEvent(summary);
+    
+    saveHistoryRun({
+        finished: summary.finished,
+        sites: summary.sites,
+        errorCount: summary.errorCount
+    }, function () { });
+}
+
+/**
+ * Compares the results of the run with the ones of the previous run and saves the
+ * differences in diff<suffix>.json and diff<suffix>.csv. The callback gets the
+ * name of the json file, or null if there is no previous run to compare with.
+ * */
+function saveDiff(callback) {
+    var readText = function (name, cb) {
+            if (usestorageastarget)
+                storage.readText(name, cb);
+            else
+                fs.readFile(name, 'utf8', cb);
+        },
+        list = function (cb) {
+            if (usestorageastarget)
+                storage.list(cb);
+            else
+                fs.readdir('.', cb);
+        },
+        fail = function (err) {
+            console.log('error comparing with the previous run', err);
+            callback(null);
+        };
+    
+    list(function (err, names) {
+        var previousFile = err ? null : diff.findPreviousResults(names, suffix);
+        
+        if (!previousFile) {
+            if (err)
+                fail(err);
+            else {
+                console.log('no previous run to compare with');
+                callback(null);
+            }
+            return;
+        }
+        
+        readText(previousFile, function (err, previousText) {
+            if (err)
+                return fail(err);
+            
+            readText(outputResultsFile, function (err, currentText) {
+                if (err)
+                    return fail(err);
+                
+                diff.parseResults(previousText, tests, function (err, previous) {
+                    if (err)
+                        return fail(err);
+                    
+                    diff.parseResults(currentText, tests, function (err, current) {
+                        if (err)
+                            return fail(err);
+                        
+                        var changes = diff.compare(previous, current);
+                        var jsonFile = 'diff' + suffix + '.json';
+                        var csvFile = 'diff' + suffix + '.csv';
+                        
+                        changes.run = suffix;
+                        changes.previousRun = diff.getRun(previousFile);
+                        console.log('comparing with ' + previousFile + ': ' + changes.added.length + ' added, ' + changes.removed.length + ' removed');
+                        
+                        // The files are appended by saveDataToFile
+                        fs.writeFileSync(jsonFile, "");
+                        fs.writeFileSync(csvFile, "");
+                        
+                        saveDataToFile(csvFile, diff.toCsv(changes), function () {
+                            saveDataToFile(jsonFile, JSON.stringify(changes, null, 2), function () {
+                                if (usestorageastarget) {
+                                    // Remove local files
+                                    fs.unlinkSync(csvFile);
+                                    fs.unlinkSync(jsonFile);
+                                }
+                                
+                                callback(jsonFile);
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    });
+}
+
+function saveDataToStorageFile(filename, data, callback) {
     // Append local file
     fs.appendFile(filename, data, function (err1) {
         if (!err1) {
             console.log("'" + filename + "' local file appended.");
             
-            // Upload to blob storage from local file
-            var blobSvc = azure.createBlobService(config.storage_account_name, config.storage_account_key);
+            // Upload to the storage from local file
             //Remark: this overwrites the blob with the latest update over and over again, instead of updating the blob?
-            blobSvc.createBlockBlobFromLocalFile(config.website_list_container_name, filename, filename, function (err2) {
+            storage.upload(filename, filename, filename.slice(-4) == '.csv' ? 'text/csv' : filename.slice(-5) == '.json' ? 'application/json' : 'text/plain', function (err2) {
                 if (!err2) {
                     console.log("'" + filename + "' blob uploaded.");
                 } else {
@@ -183,8 +501,8 @@ function saveDataToAzureFile(filename, data, callback) {
 }
 
 function saveDataToFile(filename, data, callback) {
-    if (useazureastarget) {
-        saveDataToAzureFile(filename, data, callback);
+    if (usestorageastarget) {
+        saveDataToStorageFile(filename, data, callback);
         return;
     }
     
@@ -196,106 +514,200 @@ function saveDataToFile(filename, data, callback) {
     }
 }
 
-var starting;
+// Writes the results and summary files again, at most one at a time
+var writingResults = false;
+var writeResultsCallbacks = [];
 
-function determineProgress(lines) {
-    var progress = [];
-    if (useazureassource) {
-        var blobSvc = azure.createBlobService(config.storage_account_name, config.storage_account_key);
-        var startDate = new Date();
-        var endDate = new Date(startDate.getTime() - (10 * 24 * 60 * 60 * 1000)); //go back 10 days
-        var currentDate = new Date(startDate.getTime());
+/**
+ * Writes the results and summary files again with the rows of the work queue,
+ * every website done so far in the order of the list of websites
+ * */
+function writeResults(callback) {
+    writeResultsCallbacks.push(callback || function () { });
+    
+    if (writingResults)
+        return;
+    
+    writingResults = true;
+    
+    var callbacks = writeResultsCallbacks;
+    writeResultsCallbacks = [];
+    
+    queue.getRows(function (err, rows) {
+        var newresults = 'rank,area,url,' + tests.join(',') + ',comments,score,grade' + extraColumns.map(function (name) {
+            return ',' + toCsvValue(name);
+        }).join('') + '\n';
+        var newsummary = 'rank,area,url,' + tests.join(',') + '\n';
         
+        if (err)
+            console.log("can't read the rows of the work queue", err);
         
-        complete = function () {
-            outputResultsFile = 'results' + suffix + '.csv';
-            outputErrorsFile = 'errors' + suffix + '.txt';
-            summaryErrorsFile = 'summary' + suffix + '.csv';
-            
+        (rows || []).forEach(function (row) {
+            var prefixColumns = row.rank ? row.rank + "," + row.area + "," : ",,";
             
-            console.log('reading blob to determine progress', outputResultsFile);
-            blobSvc.getBlobToText(config.website_list_container_name, outputResultsFile, function (err, text, blockBlob, response) {
-                if (err) {
-                    console.log(err);
-                    doLines(lines, progress);
-                }
-                else {
-                    if (text) {
-                        progress = text.trim().split('\n');
-                        
-                        for (var progressCounter = 0; progressCounter < progress.length; progressCounter++) {
-                            var currentProgressLine = progress[progressCounter];
-                            if (currentProgressLine) {
-                                currentProgressLine = currentProgressLine.split(',')[2]; //'rank, area, url'
-                                currentProgressLine = prefix + currentProgressLine
-                                    .split('"').join('').split('\'').join(''); //current progress now has "somesite.com" with quotes around it?
-                                progress[progressCounter] = currentProgressLine;
-                            }
-                        }
-                           
-                    }
-                    doLines(lines, progress);
-                }
-            });
-        };
+            newresults += prefixColumns + toCsvValue(row.url) + "," + row.tests.join(",") + "," + row.comment + "," + row.score + "," + row.grade + (row.columns || []).map(function (value) {
+                return "," + toCsvValue(value);
+            }).join("") + "\n";
+            newsummary += prefixColumns + toCsvValue(row.url) + "," + row.summary.join(",") + "\n";
+        });
         
+        // The files are appended by saveDataToFile
+        fs.writeFileSync(summaryErrorsFile, "");
+        fs.writeFileSync(outputResultsFile, "");
         
-        findLastIncompleteFile = function () {
-            var previousSuffix = createSuffix(currentDate);
-            blobSvc.doesBlobExist(config.website_list_container_name, 'completedresults' + previousSuffix + '.csv', function (err, result, response) {
-                if (!err && result) {
-                    //we have a completed file, just continue with the suffix kept at 'today'
-                    console.log("We have a completed date at " + previousSuffix + ", so let's start fresh with today");
-                    //Reset suffix, in case this 'run' finished an earlier run first;
-                    suffix = originalSuffix;
-                    doLines(lines, progress);
-                }
-                else {
-                    blobSvc.doesBlobExist(config.website_list_container_name, 'results' + previousSuffix + '.csv', function (err2, result2, response2) {
-                        if (!err2 && result2) {
-                            //we have an incomplete results file, let's continue on this one!
-                            console.log("We have a incomplete date at " + previousSuffix + ", so let's finish that up first!");
-                            suffix = previousSuffix;
-                            complete();
-                        }
-                        else {
-                            //we have absolutely nothing for this date...
-                            currentDate.setTime(currentDate.getTime() - (1 * 24 * 60 * 60 * 1000));
-                            
-                            //Let's check the day before, or
-                            if (currentDate.getTime() >= endDate.getTime())
-                                findLastIncompleteFile();
-                            //Let's just roll with 'today'
-                            else
-                                complete();
-                        }
-                    });
-                }
+        saveDataToFile(summaryErrorsFile, newsummary, function () {
+            saveDataToFile(outputResultsFile, newresults, function () {
+                writingResults = false;
+                
+                callbacks.forEach(function (done) {
+                    done();
+                });
+                
+                if (writeResultsCallbacks.length > 0)
+                    writeResults();
             });
+        });
+    });
+}
+
+var starting;
+
+function setOutputFiles() {
+    outputResultsFile = 'results' + suffix + '.csv';
+    outputErrorsFile = 'errors' + suffix + '.txt';
+    summaryErrorsFile = 'summary' + suffix + '.csv';
+}
+
+/**
+ * Resumes the run of the work queue if it didn't finish (and is a run of the same
+ * file of websites) or queues the websites in a new run
+ * */
+function openQueue(list) {
+    queue.getRun(function (err, run) {
+        if (err) {
+            console.log("can't open the work queue", argv.queue, err);
+            return;
         }
         
-        console.log("Trying to determine which date to run...");
-        findLastIncompleteFile();
-    }
-    else {
-        progress = fs.readFileSync(argv.progressFile, 'utf8').trim().split('\n');
+        if (run && !run.finished && run.file === argv.file) {
+            resumed = true;
+            suffix = run.suffix;
+            setOutputFiles();
+            
+            queue.getCounts(function (err, counts) {
+                nrows = counts.done + counts.failed;
+                console.log("Resuming the run " + suffix + ": " + nrows + " websites done, " + (counts.pending + counts['in-flight']) + " to go");
+                
+                queue.resume(function (err, pending) {
+                    doWebsites(list, pending, []);
+                });
+            });
+            return;
+        }
         
-        doLines(lines, progress);
-    }
+        suffix = originalSuffix;
+        setOutputFiles();
+        
+        //Clean up output files before appending data
+        fs.writeFileSync(outputResultsFile, "");
+        fs.writeFileSync(outputErrorsFile, "");
+        fs.writeFileSync(summaryErrorsFile, "");
+        
+        var sites = list.websites.map(function (website) {
+            return { url: getScanUrl(website), area: website.area, rank: website.rank };
+        });
+        
+        // Websites of the progress file are skipped
+        var progress = argv.progressFile ? fs.readFileSync(argv.progressFile, 'utf8').trim().split('\n') : [];
+        
+        queue.createRun({ suffix: suffix, file: argv.file, started: new Date().toISOString() }, sites, function (err) {
+            if (err) {
+                console.log("can't create the work queue", argv.queue, err);
+                return;
+            }
+            
+            doWebsites(list, sites.map(function (site) {
+                return site.url;
+            }), progress);
+        });
+    });
 }
 
-function doLines(lines, progress) {
-    console.log(lines.length + ' to analyze');
-    console.log(progress.length + ' of those already analyzed');
+/**
+ * Returns the url of the Scan API request of a website: its whole url encoded,
+ * so its query and fragment aren't parameters of the request, with the protocol
+ * of the prefix if it has none
+ * */
+function getScanUrl(website) {
+    var url = /^https?:\/\//i.test(website.url) ? website.url : prefixProtocol + website.url;
     
-    var websites = lines.map(function (line) {
-        var split = line.split(",");
-        var url = prefix + split[0];
-        
-        areas[url] = split[1];
-        ranks[url] = split[2];
-        
-        return url;
+    return scanPrefix + encodeURIComponent(url);
+}
+
+/**
+ * Returns the url of a website, as in the list, from the url of its Scan API request
+ * */
+function getSiteUrl(dataUrl) {
+    if (websiteInfo[dataUrl])
+        return websiteInfo[dataUrl].url;
+    
+    return dataUrl ? decodeURIComponent(dataUrl.replace(scanPrefix, '')) : dataUrl;
+}
+
+function getInfo(dataUrl) {
+    return websiteInfo[dataUrl] || websiteList.create({ url: getSiteUrl(dataUrl) });
+}
+
+/**
+ * Returns the values of the columns of the list of a website carried to the results
+ * */
+function getColumns(dataUrl) {
+    var website = getInfo(dataUrl);
+    
+    return extraColumns.map(function (name) {
+        return website.columns[name] || '';
+    });
+}
+
+/**
+ * Returns a value for a CSV file, quoted if it has commas, quotes or line breaks
+ * */
+function toCsvValue(value) {
+    value = String(value === undefined || value === null ? '' : value);
+    
+    return /[",\r\n]/.test(value) ? '"' + value.replace(/"/g, '""') + '"' : value;
+}
+
+/**
+ * Returns the query of the Scan API request of a website: its checks (the
+ * reported ones if the list doesn't override them), the ones to skip and its
+ * credentials
+ * */
+function getQuery(dataUrl) {
+    var website = getInfo(dataUrl),
+        credentials = websiteList.getCredentials(website),
+        query = '&checks=' + encodeURIComponent((website.checks.length > 0 ? website.checks : tests).join(','));
+    
+    if (website.skip.length > 0)
+        query += '&skip=' + encodeURIComponent(website.skip.join(','));
+    
+    if (credentials)
+        query += '&user=' + encodeURIComponent(credentials.user) + '&password=' + encodeURIComponent(credentials.password);
+    else if (website.credentials)
+        console.log('no credentials', website.credentials, 'in website_credentials for', website.url);
+    
+    return query;
+}
+
+function doWebsites(list, websites, progress) {
+    console.log(list.websites.length + ' to analyze');
+    console.log((list.websites.length - websites.length + progress.length) + ' of those already analyzed');
+    
+    extraColumns = list.columns;
+    list.websites.forEach(function (website) {
+        // Repeated websites are scanned once, with the first row
+        if (!websiteInfo[getScanUrl(website)])
+            websiteInfo[getScanUrl(website)] = website;
     });
     
     starting = new Date();
@@ -305,36 +717,23 @@ function doLines(lines, progress) {
     console.log('current free memory:' + os.freemem());
     
     
-    if (useazurestorage) {
-        var blobSvc = azure.createBlobService(config.storage_account_name, config.storage_account_key);
-        
-        blobSvc.createContainerIfNotExists(config.website_list_container_name, { publicAccessLevel: 'blob' }, function (error, result, response) {
+    if (usestorage) {
+        storage.createContainer(function (error) {
             if (error)
                 console.log(error);
             else {
-                if (suffix === originalSuffix)
-                    
+                // The results and summary are written again from the work queue,
+                // the errors of a resumed run are appended to its file
+                if (resumed && usestorageastarget && !fs.existsSync(outputErrorsFile)) {
+                    console.log("Downloading the errors of the run...");
+                    storage.download(outputErrorsFile, outputErrorsFile, function (err) {
+                        if (err)
+                            console.log(err);
+                        doWork(websites, progress);
+                    });
+                }
+                else
                     doWork(websites, progress);
-                else {
-                    console.log("Downloading previous progress...");
-                    blobSvc.getBlobToLocalFile(config.website_list_container_name, outputResultsFile, outputResultsFile, function (err1) {
-                        if (err1)
-                            console.log(err1);
-                        else
-                            fs.app
-                        blobSvc.getBlobToLocalFile(config.website_list_container_name, outputErrorsFile, outputErrorsFile, function (err2) {
-                            if (err2)
-                                console.log(err2);
-                            else
-                                errors = fs.readFileSync(outputErrorsFile);
-                            blobSvc.getBlobToLocalFile(config.website_list_container_name, summaryErrorsFile, summaryErrorsFile, function (err3) {
-                                if (err3)
-                                    console.log(err3);
-                                doWork(websites, progress);
-                            });
-                        });
-                    })
-                };
             }
 			//	
         });
@@ -344,7 +743,21 @@ function doLines(lines, progress) {
 }
 
 function doWork(websites, progress) {
-    function getComment(body) {
+    /**
+     * Returns the class of the error of a response of the Scan API (see
+     * lib/retry.js), or null if it has the results of the scan
+     * */
+    function getErrorClass(body) {
+        if (body.results)
+            return null;
+        
+        if (typeof body == "object" && !body.statusCode && !body.message)
+            return retry.SCAN_API;
+        
+        return retry.classify(body);
+    }
+    
+    function getErrorText(body) {
         if (body.results)
             return "N/A";
         
@@ -387,188 +800,25 @@ function doWork(websites, progress) {
         return value;
     }
     
-    function getDataObjectSummary(testResult, prefix) {
-        var summary = "";
-        if (!testResult.passed && !!testResult.data) {
-            if (!!prefix) {
-                summary += prefix + " ";
-            }
-            
-            var semicolon = false;
-            for (var property in testResult.data) {
-                if (testResult.data.hasOwnProperty(property)) {
-                    if (semicolon) {
-                        summary += "; ";
-                    }
-                    
-                    var value = testResult.data[property];
-                    summary += "'" + property + "': '" + updateQuotes(Array.isArray(value) ? value.join(';') : value) + "'";
-                    semicolon = true;
-                }
-            }
-        }
+    function getFindingSummary(finding) {
+        var summary = "[" + finding.ruleId + "] " + updateQuotes(finding.message);
         
-        return summary;
-    }
-    
-    function getDataArraySummary(testResult, prefix) {
-        var summary = "";
-        if (!testResult.passed && !!testResult.data) {
-            var endline = false;
-            for (var i = 0; i < testResult.data.length; i++) {
-                if (endline) {
-                    summary += "\n";
-                }
-                
-                if (!!prefix) {
-                    summary += prefix + " ";
-                }
-                
-                var rule = testResult.data[i];
-                var semicolon = false;
-                for (var property in rule) {
-                    if (rule.hasOwnProperty(property)) {
-                        if (semicolon) {
-                            summary += "; ";
-                        }
-                        
-                        var value = rule[property];
-                        summary += "'" + property + "': '" + updateQuotes(Array.isArray(value) ? value.join(';') : value) + "'";
-                        semicolon = true;
-                    }
-                }
-                
-                endline = true;
-            }
+        if (finding.url) {
+            summary += " (" + finding.url + (finding.line ? ":" + finding.line : "") + ")";
         }
         
         return summary;
     }
     
-    function getBrowserDetectionTestSummary(testResult) {
-        var summary = '"';
-        if (!testResult.passed && !!testResult.data) {
-            if (!!testResult.data.javascript) {
-                var javaScriptSumary = getDataArraySummary(testResult.data.javascript, "[JavaScript]");
-                summary += javaScriptSumary;
-            }
-            
-            if (!!testResult.data.comments) {
-                var commentsSumary = getDataObjectSummary(testResult.data.comments, "[Comments]");
-                
-                if (summary.length > 1 && commentsSumary.length > 0) {
-                    summary += "\n";
-                }
-                
-                summary += commentsSumary;
-            }
-        }
-        
-        summary = truncateForExcel(summary) + '"';
-        
-        return summary;
-    }
-    
-    function getCssPrefixesTestSummary(testResult) {
-        var summary = '"';
-        if (!testResult.passed && !!testResult.data) {
-            var endline = false;
-            for (var i = 0; i < testResult.data.length; i++) {
-                var rule = testResult.data[i];
-                for (var j = 0; j < rule.selectors.length; j++) {
-                    if (endline) {
-                        summary += "\n";
-                    }
-                    
-                    var selector = rule.selectors[j];
-                    var semicolon = false;
-                    for (var property in selector) {
-                        if (selector.hasOwnProperty(property)) {
-                            if (semicolon) {
-                                summary += "; ";
-                            } else {
-                                summary += "'cssFile': '" + rule.cssFile + "'; ";
-                            }
-                            
-                            var value = selector[property];
-                            summary += "'" + property + "': '" + updateQuotes(Array.isArray(value) ? value.join(';') : value) + "'";
-                            semicolon = true;
-                        }
-                    }
-                    
-                    endline = true;
-                }
-            }
-        }
-        
-        summary = truncateForExcel(summary) + '"';
-        
-        return summary;
-    }
-    
-    function getEdgeTestSummary(testResult) {
-        return '"' + truncateForExcel(getDataObjectSummary(testResult)) + '"';
-    }
-    
-    function getJsLibsTestSummary(testResult) {
-        return '"' + truncateForExcel(getDataArraySummary(testResult)) + '"';
-    }
-    
-    function getMarkupTestSummary(testResult) {
+    function getSummary(testName, testResult) {
+        // Excluded sites and sites with transient markup explain why in the data
         if (!!testResult.passed && (!!testResult.excluded || !!testResult.transient)) {
             return testResult.data;
         }
         
-        var summary = '"';
-        if (!testResult.passed && !!testResult.data) {
-            for (var i = 0; i < testResult.data.length; i++) {
-                var rule = testResult.data[i];
-                if (!rule.passed) {
-                    if (summary.length > 1) {
-                        summary += "\n";
-                    }
-                    
-                    summary += "The number of '" + rule.element + "' element tags is different. Edge: " + rule.edgeCount + " and Chrome: " + rule.chromeCount + " (threshold: " + rule.threshold + ")";
-                }
-            }
-        }
-        
-        summary = truncateForExcel(summary) + '"';
+        var summary = (testResult.findings || []).map(getFindingSummary).join("\n");
         
-        return summary;
-    }
-    
-    function getPluginFreeTestSummary(testResult) {
-        return '"' + truncateForExcel(getDataObjectSummary(testResult)) + '"';
-    }
-    
-    function getSummary(testName, testResult) {
-        var summary = null;
-        switch (testName) {
-            case 'browserDetection':
-                summary = getBrowserDetectionTestSummary(testResult);
-                break;
-            case 'cssprefixes':
-                summary = getCssPrefixesTestSummary(testResult);
-                break;
-            case 'edge':
-                summary = getEdgeTestSummary(testResult);
-                break;
-            case 'jslibs':
-                summary = getJsLibsTestSummary(testResult);
-                break;
-            case 'markup':
-                summary = getMarkupTestSummary(testResult);
-                break;
-            case 'pluginfree':
-                summary = getPluginFreeTestSummary(testResult);
-                break;
-            default:
-                summary = '""';
-                break;
-        }
-        
-        return summary;
+        return '"' + truncateForExcel(summary) + '"';
     }
     
     function processData(data) {
@@ -576,13 +826,10 @@ function doWork(websites, progress) {
         
         try {
             
-            var url = data.url.replace(prefix, "");
+            var url = getSiteUrl(data.url);
             
             if (data.skipped || (url && url.toLowerCase() === 'url')) {
-                drows[data.url] = {
-                    url: url,
-                    skipped : true
-                };
+                queue.done(data.url, null);
                 nrows++;
             }
             else {
@@ -602,15 +849,21 @@ function doWork(websites, progress) {
                 
                 var info = body.results;
                 
-                var comment = getComment(body);
+                var errorClass = getErrorClass(body);
+                
+                // Scan APIs that don't score the results yet
+                var scored = (info && typeof body.score === 'undefined') ? scoring.score(info) : body;
                 
                 var row = {
-                    rank: ranks[data.url], 
-                    area: areas[data.url],
+                    rank: getInfo(data.url).rank,
+                    area: getInfo(data.url).area,
                     url: url,
+                    columns: getColumns(data.url),
                     tests: [],
                     summary: [],
-                    comment: comment
+                    comment: errorClass || "N/A",
+                    score: typeof scored.score === 'number' ? scored.score : "N/A",
+                    grade: scored.grade || "N/A"
                 }
                 
                 tests.forEach(function (item) {
@@ -628,157 +881,122 @@ function doWork(websites, progress) {
                 
                 console.log('Checked - ' + data.url);
                 
-                if (comment != "N/A" && comment) {
-                    console.log(comment);
-                    batch.onError(data.url, comment);
-                    
-                    if (comment.indexOf("ENOTFOUND") < 0 && data.url && !retryRows[data.url]) {
-                        retryRows[data.url] = row;
-                        console.log('To Retry', data.url);
-                        batch.pushRequestPage(data.url);
-                    }
-                    else {
-                        drows[data.url] = row;
-                        nrows++;
-                        delete retryRows[data.url];
-                    }
+                if (errorClass) {
+                    siteFailed(data.url, errorClass, getErrorText(body), row, body);
                 }
                 else {
-                    drows[data.url] = row;
+                    queue.done(data.url, row);
                     nrows++;
+                    siteFinished(data.url, row, null, body);
                 }
             }
             
-            // dump partial results every DUMP_RESULTS checks
+            // write the results every DUMP_RESULTS checks
             if (!!nrows && nrows % DUMP_RESULTS == 0) {
                 console.log('current free memory:' + os.freemem());
-                
-                var newresults = '';
-                var newsummary = '';
-                
-                
-                var firstRow = true;
-                for (var n in drows) {
-                    var row = drows[n];
-                    if (firstRow) {
-                        firstRow = false;
-                        if (!row.skipped) {
-                            if (nrows <= DUMP_RESULTS) {
-                                newresults = 'rank,area,url,' + tests.join(',') + ',comments\n';
-                                newsummary = 'rank,area,url,' + tests.join(',') + '\n';
-                            }
-                        }
-                    }
-                    
-                    if (row.rank) {
-                        newresults += row.rank + "," + row.area + "," + row.url + "," + row.tests.join(",") + "," + row.comment + "\n";
-                        newsummary += row.rank + "," + row.area + "," + row.url + "," + row.summary.join(",") + "\n";
-                    } else if (row.tests && row.summary) {
-                        newresults += ",," + row.url + "," + row.tests.join(",") + "," + row.comment + "\n";
-                        newsummary += ",," + row.url + "," + row.summary.join(",") + "\n";
-                    }
-                    delete drows[n];
-                }
-                if (newsummary)
-                    saveDataToFile(summaryErrorsFile, newsummary);
-                if (newresults)
-                    saveDataToFile(outputResultsFile, newresults);
-                
-                newresults = null;
-                newsummary = null;
+                writeResults();
             }
         } catch (err) {
             console.log(err);
             console.log("data");
             console.dir(data);
             
-            var comment = err.toString().replace(",", "").replace("\n", " ").replace("\r", " ");
-            
-            if (!url && data.url)
-                try {
-                    url = data.url.replace(prefix, "");
-                }
-                catch (err) { }
-            
-            var row = {
-                rank: ranks[data.url], 
-                area: areas[data.url],
-                url: url,
-                tests: [],
-                summary: [],
-                comment: err.toString()
-            }
-            
-            tests.forEach(function (item) {
-                row.tests.push(0);
-                row.summary.push("");
-            });
-            
-            console.log('error - ' + data.url, err);
-            batch.onError(data.url, err);
-            
-            if (data && data.body == '' && data.url && !retryRows[data.url]) {
-                retryRows[data.url] = row;
-                console.log('To Retry', data.url);
-                batch.pushRequestPage(data.url);
-            }
-            else {
-                drows[data.url] = row;
-                nrows++;
-                delete retryRows[data.url];
-            }
+            // The response of the Scan API isn't valid
+            siteFailed(data.url, retry.SCAN_API, err.toString(), createErrorRow(data.url, retry.SCAN_API), null);
         }
         
         content += '\n';
         return content;
     }
     
-    batch.onFinish = function () {
-        //Bugfix: if the last websites are in the 'retry' queue, the crawler calls finish
-        //and these websites are not pushed to the results file.
-        for (var n in retryRows) {
-            var notRetried = retryRows[n];
-            console.log(notRetried);
-            drows[notRetried.url] = notRetried;
+    /**
+     * Returns the row of the results of a website that has no results, with
+     * the class of its error
+     * */
+    function createErrorRow(dataUrl, errorClass) {
+        var row = {
+            rank: getInfo(dataUrl).rank,
+            area: getInfo(dataUrl).area,
+            url: getSiteUrl(dataUrl),
+            columns: getColumns(dataUrl),
+            tests: [],
+            summary: [],
+            comment: errorClass,
+            score: "N/A",
+            grade: "N/A"
+        };
+        
+        tests.forEach(function (item) {
+            row.tests.push(0);
+            row.summary.push("");
+        });
+        
+        return row;
+    }
+    
+    /**
+     * Reports the error of a website and tries it again after the delay of the
+     * retry policy of its class of error (config.js) while it has attempts left.
+     * Otherwise the website fails with its row of the results.
+     * */
+    function siteFailed(dataUrl, errorClass, text, row, body) {
+        var policy = retry.getPolicy(errorClass, config.retry_policy),
+            attempt = attempts[dataUrl] || 1,
+            retried = dataUrl && !issimulation && retry.shouldRetry(policy, attempt);
+        
+        console.log(errorClass, text);
+        logError(dataUrl, errorClass, text, retried);
+        
+        // Sites that ask to wait with a Retry-After header are paused that long
+        if (body && body.retryAfter > 0) {
+            batch.pause(dataUrl, body.retryAfter * 1000);
         }
-
+        
+        if (retried) {
+            var delay = Math.max(retry.getDelay(policy, attempt), body && body.retryAfter > 0 ? body.retryAfter * 1000 : 0);
+            
+            queue.retry(dataUrl, row);
+            console.log('To Retry', dataUrl, 'in ' + delay + 'ms');
+            batch.pushRequestPage(dataUrl, delay);
+        }
+        else {
+            queue.fail(dataUrl, text, row);
+            nrows++;
+            siteFinished(dataUrl, row, text, body);
+        }
+    }
+    
+    /**
+     * Adds an error to the errors file. It counts in errorCount when the website
+     * fails, and in retryCount when the website is tried again.
+     * */
+    function logError(url, errorClass, text, retried) {
+        if (retried)
+            retryCount++;
+        else
+            errorCount++;
+        
+        console.log('error analyzing ' + url);
+        errors += url + ", " + errorClass + ", " + String(text).replace(",", "").replace("\n", " ").replace("\r", " ") + "\n";
+        
+        // dump error results every 100 errors
+        if ((errorCount + retryCount) % 100 == 0) {
+            saveDataToFile(outputErrorsFile, errors);
+            errors = "";
+        }
+    }
+    
+    batch.onFinish = function () {
         var ending = new Date();
         console.log('ending date/time', ending);
         
         saveDataToFile(outputErrorsFile, errors, function () {
-            if (useazureastarget) {
+            if (usestorageastarget) {
                 // Remove local file
                 fs.unlinkSync(outputErrorsFile);
             }
         });
         
-        var newresults = '';
-        var newsummary = '';
-        
-        console.log(drows);
-
-        var firstRow = true;
-        for (var n in drows) {
-            var row = drows[n];
-            if (firstRow) {
-                firstRow = false;
-                if (!row.skipped) {
-                    if (nrows <= DUMP_RESULTS) {
-                        newresults = 'rank,area,url,' + tests.join(',') + ',comments\n';
-                        newsummary = 'rank,area,url,' + tests.join(',') + '\n';
-                    }
-                }
-            }
-            
-            if (row.rank) {
-                newresults += row.rank + "," + row.area + "," + row.url + "," + row.tests.join(",") + "," + row.comment + "\n";
-                newsummary += row.rank + "," + row.area + "," + row.url + "," + row.summary.join(",") + "\n";
-            } else if (row.tests && row.summary) {
-                newresults += ",," + row.url + "," + row.tests.join(",") + "," + row.comment + "\n";
-                newsummary += ",," + row.url + "," + row.summary.join(",") + "\n";
-            }
-        }
-
         tryAndWrapUp = function () {
             if (originalSuffix != suffix) {
                 console.log("That's all folks. I finished a previous run, perhaps you'd like to reschedule me to start with a fresh run for today");
@@ -787,39 +1005,33 @@ function doWork(websites, progress) {
             else {
                 console.log("That's all folks!");
             }
+            
+            saveDiff(function (diffFile) {
+                queue.finish(ending.toISOString(), function () {
+                    notifyFinished(starting, ending, diffFile);
+                });
+            });
         }
-
-       
         
-        saveDataToFile(summaryErrorsFile, newsummary, function () {
-            if (useazureastarget) {
-                // Remove local file
+        writeResults(function () {
+            if (usestorageastarget) {
+                // Remove local files
                 fs.unlinkSync(summaryErrorsFile);
-
-            }
-        });
-        saveDataToFile(outputResultsFile, newresults, function () {
-            if (useazureastarget) {
-                // Remove local file
                 fs.unlinkSync(outputResultsFile);
                 
+                console.log("Renaming file from results to completedresults");
                 
-                if (useazureastarget) {
-                    console.log("Renaming file from results to completedresults");
-                    
-                    var blobSvc = azure.createBlobService(config.storage_account_name, config.storage_account_key);
-                    var resultsUrl = blobSvc.getUrl(config.website_list_container_name, outputResultsFile);
-                    blobSvc.startCopyBlob(resultsUrl, config.website_list_container_name, 'completedresults' + suffix + ".csv", function (err, result) {
-                        tryAndWrapUp();
-                    });
-                }
-                else {
+                storage.copy(outputResultsFile, 'completedresults' + suffix + ".csv", function (err) {
                     tryAndWrapUp();
-                }
+                });
+            }
+            else {
+                tryAndWrapUp();
             }
         });
         
         console.log('Errors: ' + errorCount);
+        console.log('Retried attempts: ' + retryCount);
         console.log('All websites finished. Thanks!');
         
         console.log('milliseconds', ending.getTime() - starting.getTime());
@@ -834,29 +1046,41 @@ function doWork(websites, progress) {
         
     };
     
+    // The requests to the Scan API that fail
     batch.onError = function (url, err) {
-        errorCount++;
-        console.log('error analyzing ' + url);
-        errors += url + ", " + err.toString().replace(",", "").replace("\n", " ").replace("\r", " ") + "\n";
+        var errorClass = retry.classify(err);
         
-        // dump error results every 100 errors
-        if (errorCount % 100 == 0) {
-            saveDataToFile(outputErrorsFile, errors);
-            errors = "";
-        }
+        siteFailed(url, errorClass, err.toString(), createErrorRow(url, errorClass), null);
     };
     
-    if (issimulation) {
-        websites.forEach(function (website) {
-            var data = { url: website, body: jsonresponse, skipped : false };
-            processData(data);
-        });
+    batch.onRequest = function (url) {
+        attempts[url] = (attempts[url] || 0) + 1;
         
-        batch.onFinish();
-    }
-    else
-        batch.start(connections, websites, progress, function (data) {
-            processData(data);
+        // The queue counts the attempts of the runs that stopped too
+        queue.start(url, function (err, count) {
+            attempts[url] = Math.max(attempts[url], count);
+        });
+    };
+    
+    createBatchJob(websites.length, function () {
+        saveHistoryRun({ file: argv.file, started: starting.toISOString() }, function () {
+            if (issimulation) {
+                websites.forEach(function (website) {
+                    var data = { url: website, body: jsonresponse, skipped : false };
+                    processData(data);
+                });
+                
+                batch.onFinish();
+            }
+            else if (websites.length === 0) {
+                // A resumed run that stopped after its last website
+                batch.onFinish();
+            }
+            else
+                batch.start(connections, websites, progress, function (data) {
+                    processData(data);
+                });
         });
+    });
 }
 
@@ -41,7 +41,16 @@ var url = require('url'),
     querystring = require('querystring'),
     http = require('http'),
     scanner = require('./lib/scanner'),
-    azure = require('azure-storage');
+    report = require('./lib/report.js'),
+    reporters = require('./lib/reporters'),
+    jobs = require('./lib/jobs.js'),
+    webhook = require('./lib/webhook.js'),
+    storage = require('./lib/storage'),
+    history = require('./lib/history.js'),
+    diff = require('./lib/diff.js'),
+    trends = require('./lib/trends.js'),
+    stats = require('./lib/stats.js'),
+    websites = require('./lib/websites.js');
 request = request.defaults({
     followAllRedirects: true,
     encoding: null,
@@ -61,37 +70,32 @@ if (http.globalAgent.maxSockets < 100)
     http.globalAgent.maxSockets = 100;
 
 /**
- * Serializes a test results array and sends it via the response
+ * Serializes a test results array and sends it via the response. Returns the report
  * @param {object} res The response to use to send the results
  * @param {Timestamp} start The start timestamp
  * @param {Array} resultsArray The results of all the tests
+ * @param {string} url The url of the website
+ * @param {object} reporter The reporter of the format of the response (JSON if not set)
  * */
-function sendResults(res, start, resultsArray, url) {
-    var results = {};
-    
-    for (var i = 0; i < resultsArray.length; i++) {
-        results[resultsArray[i].testName] = resultsArray[i];
-    }
-    res.writeHeader(200, {
-        "Content-Type": "application/json",
-        "X-Content-Type-Options": "nosniff"
-    });
-    
+function sendResults(res, start, resultsArray, url, reporter) {
     if (!url)
         url = (this && this.url && this.url.href) || 'http://private';
-        
-    var time = (Date.now() - start) / 1000;
     
-    var result = { url: { uri: url }, processTime: time };
+    var result = report.create(url, start, resultsArray);
     
     if (process.env.WEBSITE_INSTANCE_ID)
         result.machine = process.env.WEBSITE_INSTANCE_ID;
-        
-    result.results = results;
-        
-    res.write(JSON.stringify(result));
+    
+    res.writeHeader(200, {
+        "Content-Type": reporter ? reporter.contentType : "application/json",
+        "X-Content-Type-Options": "nosniff"
+    });
+    
+    res.write(reporter ? reporter.format([result]) : JSON.stringify(result));
     res.end();
-    console.log('response', url, 'time', time);
+    console.log('response', url, 'time', result.processTime);
+    
+    return result;
 }
 
 /**
@@ -114,11 +118,12 @@ function sendInternalServerError(error, res) {
 }
 
 /**
- * Responds with the error and message passed as parameters
+ * Responds with the error and message passed as parameters, and the seconds the
+ * scanned site asked to wait (retryAfter) if any
  * */
-function remoteErrorResponse(response, statusCode, message, url) {
+function remoteErrorResponse(response, statusCode, message, url, retryAfter) {
     response.writeHead(200, { "Content-Type": "application/json" });
-    response.write(JSON.stringify({ statusCode: statusCode, message: message }));
+    response.write(JSON.stringify({ statusCode: statusCode, message: message, retryAfter: retryAfter }));
     response.end();
     
     if (url)
@@ -131,38 +136,30 @@ function sendError(error, res) {
     res.end();
 }
 
-function getResultListFromAzure(callback, errorCallback) {
-    console.log("Retrieving Result List from Azure");
-
-    var blobSvc = azure.createBlobService(config.storage_account_name, config.storage_account_key);
+function getResultList(callback, errorCallback) {
+    console.log("Retrieving Result List from the " + config.storage_type + " storage");
     
-    blobSvc.listBlobsSegmented(config.website_list_container_name, null, function(error, result, response) {
+    storage.get().list(function (error, files) {
         if (error) {
             console.log(error);
+            errorCallback();
             return;
         }
         
-        var names = [];
-        
-        if (result.entries)
-            result.entries.forEach(function (entry) {
-                if (entry.name && entry.name.substring(0, 7) == 'results')
-                    names.push(entry.name);
-            });
+        var names = files.filter(function (name) {
+            return name.substring(0, 7) == 'results';
+        });
         
         callback(names);
     });
 }
 
-function downloadFileFromAzure(localPath, remoteFileName, callback, errorCallback) {
-    console.log("File to download from Azure: " + remoteFileName);
-
-    var blobSvc = azure.createBlobService(config.storage_account_name, config.storage_account_key);
-
-    var writestream = fs.createWriteStream(localPath);
+function downloadFile(localPath, remoteFileName, callback, errorCallback) {
+    console.log("File to download from the " + config.storage_type + " storage: " + remoteFileName);
     
-    blobSvc.getBlobToStream(config.website_list_container_name, remoteFileName, writestream, function(error, result, response) {
+    storage.get().download(remoteFileName, localPath, function (error) {
         if (error) {
+            console.log(error);
             errorCallback();
         } else {
             callback();
@@ -177,10 +174,23 @@ function returnWebsites(req, res) {
     var fileName = "websites.csv";
     var localPath = path.join(__dirname, fileName);
 
-    var successCallback = function () { parseCsv(req, res, localPath, false); };
-    var errorCallback = function () { sendError("Could not retrieve file from Azure.", res); };
+    var errorCallback = function () { sendError("Could not retrieve file from storage.", res); };
+    
+    // The url, area and rank of the websites, with the columns of config.js
+    var successCallback = function () {
+        websites.parse(fs.readFileSync(localPath, 'utf8'), null, function (err, list) {
+            if (err) {
+                errorCallback();
+                return;
+            }
+            
+            sendRows(req, res, list.websites.map(function (website) {
+                return [website.url, website.area, website.rank];
+            }));
+        });
+    };
     
-    downloadFileFromAzure(localPath, fileName, successCallback, errorCallback);
+    downloadFile(localPath, fileName, successCallback, errorCallback);
 }
 
 function returnScanResults(req, res) {
@@ -189,37 +199,24 @@ function returnScanResults(req, res) {
         processNames(names);
     };
     
-    var errorCallback = function () { sendError("Could not retrieve result list from Azure.", res); };
+    var errorCallback = function () { sendError("Could not retrieve result list from storage.", res); };
     
-    getResultListFromAzure(successCallback, errorCallback);
+    getResultList(successCallback, errorCallback);
     
     function processNames(files) {
-        var dir = "App_Data/jobs/triggered/scan";
-        var regex = new RegExp("^results(.*)-(.*)-(.*)_(.*)-(.*)-(.*).csv");
+        // The most recent run, names that aren't results files are skipped
+        var file = diff.findLastResults(files);
         
-        if (files.length > 0) {
-            // sort files by date and then pick the most recent
-            var file = files.sort(function (a, b) {
-                var matchA = regex.exec(a);
-                var dateA = matchA[3] + matchA[2] + matchA[1] + matchA[4] + matchA[5] + matchA[6];
-                var matchB = regex.exec(b);
-                var dateB = matchB[3] + matchB[2] + matchB[1] + matchB[4] + matchB[5] + matchB[6];
-                if (dateA < dateB)
-                    return 1;
-                if (dateA > dateB)
-                    return -1;
-                return 0;
-            })[0];
-            
+        if (file) {
             var localPath = path.join(__dirname, file);
 
             var successCallback = function () { 
                 parseCsv(req, res, localPath, true);
             };
             
-            var errorCallback = function () { sendError("Could not retrieve file from Azure.", res); };
+            var errorCallback = function () { sendError("Could not retrieve file from storage.", res); };
     
-            downloadFileFromAzure(localPath, file, successCallback, errorCallback);
+            downloadFile(localPath, file, successCallback, errorCallback);
         } else {
             sendError("File not found", res);
         }
@@ -227,7 +224,6 @@ function returnScanResults(req, res) {
 }
 
 function parseCsv(req, res, file, skipFirstRow) {
-    var json = {};
     var data = [];
     csv()
         .from.stream(fs.createReadStream(file))
@@ -235,41 +231,47 @@ function parseCsv(req, res, file, skipFirstRow) {
             data.push(row.map(function (e) { return e.trimLeft().trimRight() }));
         })
         .on('end', function () {
-            json['draw'] = req.query.draw;
-            var resultset = jslinq(data)
-                            .select(function (item) { return item })
-                            .items;
-            resultset = skipFirstRow ? jslinq(resultset).skip(1).items : resultset;
-            var filteredResultSet = resultset;
-            if (req.query.search && req.query.search.value && req.query.search.value !== '') {
-                var regex = new RegExp(req.query.search.value, "gi"); //ignore case
-                filteredResultSet = jslinq(resultset)
-                                    .where(function (array) {
-                                        return array.some(function (item) { return regex.test(item); });
-                                    })
-                                    .items;
-            }
-            json['data'] = jslinq(filteredResultSet)
-                            .skip(req.query.start)
-                            .take(req.query.length)
-                            .items;
-            json['recordsTotal'] = resultset.length;
-            json['recordsFiltered'] = filteredResultSet.length;
-            res.write(JSON.stringify(json));
-            res.end();
+            sendRows(req, res, skipFirstRow ? jslinq(data).skip(1).items : data);
     });
 }
 
-function uploadFileToAzure(localPath, remoteFileName, options, callback, errorCallback) {
-    console.log("File to upload to Azure: " + localPath);
+/*
+ * Sends a page of the rows of a CSV file that match the search of the request
+ */
+function sendRows(req, res, resultset) {
+    var json = {};
+    json['draw'] = req.query.draw;
+    var filteredResultSet = resultset;
+    if (req.query.search && req.query.search.value && req.query.search.value !== '') {
+        var regex = new RegExp(req.query.search.value, "gi"); //ignore case
+        filteredResultSet = jslinq(resultset)
+                            .where(function (array) {
+                                return array.some(function (item) { return regex.test(item); });
+                            })
+                            .items;
+    }
+    json['data'] = jslinq(filteredResultSet)
+                    .skip(req.query.start)
+                    .take(req.query.length)
+                    .items;
+    json['recordsTotal'] = resultset.length;
+    json['recordsFiltered'] = filteredResultSet.length;
+    res.write(JSON.stringify(json));
+    res.end();
+}
+
+function uploadFile(localPath, remoteFileName, contentType, callback, errorCallback) {
+    console.log("File to upload to the " + config.storage_type + " storage: " + localPath);
     
-    var blobSvc = azure.createBlobService(config.storage_account_name, config.storage_account_key);
-    blobSvc.createContainerIfNotExists(config.website_list_container_name, { publicAccessLevel : 'blob' }, function (err, result, response) {
+    var container = storage.get();
+    container.createContainer(function (err) {
         if (err) {
-            errorCallBack();
+            console.log(err);
+            errorCallback();
         } else {
-            blobSvc.createBlockBlobFromLocalFile(config.website_list_container_name, remoteFileName, localPath, options, function (err, result, response) {
+            container.upload(remoteFileName, localPath, contentType, function (err) {
                 if (err) {
+                    console.log(err);
                     errorCallback();
                 } else {
                     callback();
@@ -285,18 +287,82 @@ function uploadFileToAzure(localPath, remoteFileName, options, callback, errorCa
 function handleCsvUpload(req, res) {
     var localPath = req.files.uploadCsv.path;
     var remoteFileName = 'websites.csv';
-    var options = {
-        contentType: 'text/csv',
-        contentEncoding: 'utf-8',
-        contentLanguage: 'en-us'
-    };
 
     var successCallback = function() {
          res.redirect('/');
     };
-    var errorCallback = function() { sendError("Could not upload file to Azure.", res);};
+    var errorCallback = function() { sendError("Could not upload file to storage.", res);};
+    
+    uploadFile(localPath, remoteFileName, 'text/csv; charset=utf-8', successCallback, errorCallback);
+}
+
+/**
+ * Returns the reporter of the format of a scan response, null for JSON (the
+ * default) and undefined for unknown formats
+ * */
+function getReporter(format) {
+    if (!format || format === 'json')
+        return null;
+    
+    return reporters.get(format) || undefined;
+}
+
+/**
+ * Returns the error of the callback url of a request, or null if it has none or
+ * it can be used: it must be valid and the callbacks need the webhook secret
+ * */
+function getCallbackError(callbackUrl) {
+    if (!callbackUrl)
+        return null;
+    
+    if (!webhook.isValidUrl(callbackUrl))
+        return 'Error found: invalid callback url ' + callbackUrl;
     
-    uploadFileToAzure(localPath, remoteFileName, options, successCallback, errorCallback);
+    if (!webhook.isEnabled())
+        return 'Error found: callbacks are disabled, Webhook_Secret is not set';
+    
+    return null;
+}
+
+/**
+ * Checks the callback url of a scan request (if any) can be used, otherwise responds with an error
+ * */
+function checkCallbackUrl(response, callbackUrl, urlToAnalyze) {
+    var error = getCallbackError(callbackUrl);
+    
+    if (error) {
+        remoteErrorResponse(response, 400, error, urlToAnalyze);
+        return false;
+    }
+    
+    return true;
+}
+
+/**
+ * Returns the callback that sends the results (or the error) of a scan via the response
+ * in the requested format, and to the callback url (if any) as JSON
+ * */
+function sendScanResults(response, urlToAnalyze, reporter, callbackUrl) {
+    return function (err, data) {
+        var errorMessage;
+        if (err) {
+            if (err.message) {
+                errorMessage = err.message;
+            } else {
+                errorMessage = err;
+            }
+            remoteErrorResponse(response, err.statusCode, errorMessage, urlToAnalyze, err.retryAfter);
+            
+            if (callbackUrl)
+                webhook.send(callbackUrl, 'scan.failed', report.createError(urlToAnalyze || 'http://private', err));
+            return;
+        }
+        
+        var result = sendResults(response, data.start, data.results, urlToAnalyze, reporter);
+        
+        if (callbackUrl)
+            webhook.send(callbackUrl, 'scan.completed', result);
+    };
 }
 
 /**
@@ -310,35 +376,555 @@ function handleRequestV2(req, response) {
         user = sanitize(decodeURIComponent(parameters.user)).xss(),
         password = sanitize(decodeURIComponent(parameters.password)).xss(),
         deep = (parameters.deep && parameters.deep === 'true'),
+        options,
+        reporter,
         auth;
     
     
     if (!deep)
         deep = false;
     
-    scanner.scan(urlToAnalyze, user, password, deep, function (err, data) {
-        var errorMessage;
+    options = {
+        deep: deep,
+        checks: parameters.checks,
+        skip: parameters.skip
+    };
+    
+    reporter = getReporter(parameters.format);
+    if (reporter === undefined) {
+        remoteErrorResponse(response, 400, 'Error found: unknown format ' + parameters.format, urlToAnalyze);
+        return;
+    }
+    
+    if (!checkCallbackUrl(response, parameters.callback, urlToAnalyze))
+        return;
+    
+    scanner.scan(urlToAnalyze, user, password, options, sendScanResults(response, urlToAnalyze, reporter, parameters.callback));
+}
+
+/**
+ * Reads the content of an uploaded file (or files) of a multipart request
+ * */
+function readUploadedFiles(files) {
+    if (!files)
+        return [];
+    
+    if (!Array.isArray(files))
+        files = [files];
+    
+    return files.map(function (file) {
+        return fs.readFileSync(file.path, charset);
+    });
+}
+
+/**
+ * Analyzes the HTML document sent in the body of the request instead of fetching
+ * a url (version 2). The document, the base url and the CSS and JS bundles can be
+ * sent as JSON, as form fields or as attached files.
+ * */
+function handleContentRequestV2(req, response) {
+    var body = req.body || {},
+        files = req.files || {},
+        html = body.html,
+        baseUrl = body.url ? sanitize(body.url).xss() : null,
+        deep = (body.deep === true || body.deep === 'true'),
+        css = [].concat(body.css || [], readUploadedFiles(files.css)),
+        js = [].concat(body.js || [], readUploadedFiles(files.js)),
+        reporter = getReporter(body.format),
+        options;
+    
+    if (!html && files.html)
+        html = readUploadedFiles(files.html)[0];
+    
+    if (typeof html !== 'string' || !html) {
+        sendBadRequest(response);
+        return;
+    }
+    
+    if (reporter === undefined) {
+        remoteErrorResponse(response, 400, 'Error found: unknown format ' + body.format, baseUrl);
+        return;
+    }
+    
+    if (!checkCallbackUrl(response, body.callback, baseUrl))
+        return;
+    
+    console.log('content', baseUrl || 'http://private');
+    
+    options = {
+        url: baseUrl,
+        deep: deep,
+        checks: body.checks,
+        skip: body.skip,
+        css: css,
+        js: js
+    };
+    
+    scanner.scanContent(html, options, sendScanResults(response, baseUrl, reporter, body.callback));
+}
+
+/**
+ * Sends a scan job (without the parameters of the scan) via the response
+ * */
+function sendJob(res, statusCode, job) {
+    var headers = {
+        "Content-Type": "application/json",
+        "X-Content-Type-Options": "nosniff"
+    };
+    
+    if (statusCode === 202)
+        headers.Location = '/api/v2/jobs/' + job.id;
+    
+    res.writeHeader(statusCode, headers);
+    res.write(JSON.stringify(jobs.describe(job)));
+    res.end();
+}
+
+/**
+ * Responds with an error of the jobs endpoints, with its status code
+ * */
+function sendJobError(res, statusCode, message) {
+    res.writeHeader(statusCode, { "Content-Type": "application/json" });
+    res.write(JSON.stringify({ statusCode: statusCode, message: message }));
+    res.end();
+}
+
+/**
+ * Responds with a not found error for unknown (or expired) jobs
+ * */
+function sendJobNotFound(res, id) {
+    sendJobError(res, 404, 'Error found: unknown job ' + id);
+}
+
+/**
+ * Returns true if a request can create batch jobs and post their events (the
+ * X-Batch-Key header has the jobs_batch_key of config.js), otherwise responds
+ * with an error
+ * */
+function checkBatchKey(req, res) {
+    if (!jobs.isAuthorized(req.headers['x-batch-key'])) {
+        sendJobError(res, 403, config.jobs_batch_key ? 'Error found: invalid batch key' : 'Error found: batch jobs are disabled, Jobs_Batch_Key is not set');
+        return false;
+    }
+    
+    return true;
+}
+
+/**
+ * Creates the job of a batch run of the webjob. The body has the name of the
+ * list of websites (batch) and their total.
+ * */
+function createBatchJob(body, response) {
+    var job = jobs.createBatch({
+        name: sanitize(String(body.batch)).xss(),
+        total: parseInt(body.total, 10) || null,
+        callback: body.callback || null
+    });
+    console.log('batch job', job.id, job.params.name);
+    
+    sendJob(response, 202, job);
+}
+
+/**
+ * Creates a scan job and responds right away with its id (version 2). The body
+ * has the same parameters as the scan requests: the url (GET) or the html (POST).
+ * The webjob creates a batch job instead with the batch parameter.
+ * */
+function handleCreateJobRequestV2(req, response) {
+    var body = req.body || {},
+        files = req.files || {},
+        html = body.html,
+        params;
+    
+    if (!html && files.html)
+        html = readUploadedFiles(files.html)[0];
+    
+    if (!body.batch && !body.url && (typeof html !== 'string' || !html)) {
+        sendBadRequest(response);
+        return;
+    }
+    
+    if (getCallbackError(body.callback)) {
+        sendJobError(response, 400, getCallbackError(body.callback));
+        return;
+    }
+    
+    if (body.batch) {
+        if (checkBatchKey(req, response))
+            createBatchJob(body, response);
+        return;
+    }
+    
+    params = {
+        url: body.url ? sanitize(body.url).xss() : null,
+        user: body.user ? sanitize(body.user).xss() : null,
+        password: body.password ? sanitize(body.password).xss() : null,
+        deep: (body.deep === true || body.deep === 'true'),
+        checks: body.checks,
+        skip: body.skip,
+        html: html || null,
+        css: [].concat(body.css || [], readUploadedFiles(files.css)),
+        js: [].concat(body.js || [], readUploadedFiles(files.js)),
+        callback: body.callback || null
+    };
+    
+    var job = jobs.create(params);
+    
+    if (!job) {
+        sendJobError(response, 503, 'Error found: too many queued jobs, try again later');
+        return;
+    }
+    
+    console.log('job', job.id, job.url);
+    
+    sendJob(response, 202, job);
+}
+
+/**
+ * Returns the status of a scan job and its results once it is completed. The
+ * format parameter applies to the results, as for the scan requests.
+ * */
+function handleJobRequestV2(req, response) {
+    var job = jobs.get(req.params.id),
+        reporter = getReporter(req.query.format);
+    
+    if (!job) {
+        sendJobNotFound(response, req.params.id);
+        return;
+    }
+    
+    if (reporter === undefined) {
+        sendJobError(response, 400, 'Error found: unknown format ' + req.query.format);
+        return;
+    }
+    
+    if (reporter && job.status === 'completed' && job.type === 'scan') {
+        response.writeHeader(200, {
+            "Content-Type": reporter.contentType,
+            "X-Content-Type-Options": "nosniff"
+        });
+        response.write(reporter.format([job.result]));
+        response.end();
+        return;
+    }
+    
+    sendJob(response, 200, job);
+}
+
+/**
+ * Sends a progress event of a job as a server-sent event
+ * */
+function sendJobEvent(res, entry) {
+    res.write('id: ' + entry.id + '\n');
+    res.write('event: ' + entry.type + '\n');
+    res.write('data: ' + JSON.stringify(entry.data) + '\n\n');
+}
+
+/**
+ * Streams the progress of a job as server-sent events: the events so far (or the
+ * ones after the Last-Event-ID header of a reconnection) and the next ones until
+ * the job finishes. A comment is sent every jobs_events_keepalive milliseconds so
+ * proxies don't close the connection.
+ * */
+function handleJobEventsRequestV2(req, res) {
+    var job = jobs.get(req.params.id),
+        lastEventId = parseInt(req.headers['last-event-id'], 10) || 0,
+        keepAlive;
+    
+    if (!job) {
+        sendJobNotFound(res, req.params.id);
+        return;
+    }
+    
+    function stop() {
+        clearInterval(keepAlive);
+        jobs.events.removeListener('progress', onProgress);
+    }
+    
+    function onProgress(progressJob, entry) {
+        if (progressJob !== job)
+            return;
+        
+        sendJobEvent(res, entry);
+        
+        if (jobs.isFinished(job)) {
+            stop();
+            res.end();
+        }
+    }
+    
+    req.socket.setTimeout(0);
+    res.writeHeader(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        "Connection": "keep-alive",
+        "X-Content-Type-Options": "nosniff"
+    });
+    
+    job.progress.forEach(function (entry) {
+        if (entry.id > lastEventId)
+            sendJobEvent(res, entry);
+    });
+    
+    if (jobs.isFinished(job)) {
+        res.end();
+        return;
+    }
+    
+    jobs.events.on('progress', onProgress);
+    keepAlive = setInterval(function () {
+        res.write(':\n\n');
+    }, config.jobs_events_keepalive);
+    req.on('close', stop);
+}
+
+/**
+ * Adds an event the webjob posts to its batch job: a site event per site and the
+ * finished event at the end of the run
+ * */
+function handleJobEventRequestV2(req, response) {
+    var job = jobs.get(req.params.id),
+        event = req.body || {};
+    
+    if (!checkBatchKey(req, response))
+        return;
+    
+    if (!job) {
+        sendJobNotFound(response, req.params.id);
+        return;
+    }
+    
+    if (job.type !== 'batch' || job.status !== 'running') {
+        sendJobError(response, 409, 'Error found: job ' + job.id + ' is not a running batch');
+        return;
+    }
+    
+    if (!jobs.addEvent(job, event)) {
+        sendJobError(response, 400, 'Error found: unknown event ' + event.type);
+        return;
+    }
+    
+    sendJob(response, 200, job);
+}
+
+/**
+ * Cancels a job that is queued or running. Batch jobs need the batch key.
+ * */
+function handleCancelJobRequestV2(req, response) {
+    var job = jobs.get(req.params.id);
+    
+    if (!job) {
+        sendJobNotFound(response, req.params.id);
+        return;
+    }
+    
+    // Batch jobs are cancelled with the key that posts their events
+    if (job.type === 'batch' && !checkBatchKey(req, response))
+        return;
+    
+    sendJob(response, 200, jobs.cancel(job.id));
+}
+
+/**
+ * Returns the callback that sends a document of the history via the response, or a
+ * not found error when there is none
+ * */
+function sendHistory(res, notFoundMessage) {
+    return function (err, data) {
         if (err) {
-            if (err.message) {
-                errorMessage = err.message;
-            } else {
-                errorMessage = err;
-            }
-            remoteErrorResponse(response, err.statusCode, errorMessage, urlToAnalyze);
+            sendError(err.message, res);
+            return;
+        }
+        
+        if (!data) {
+            res.writeHeader(404, { "Content-Type": "application/json" });
+            res.write(JSON.stringify({ statusCode: 404, message: 'Error found: ' + notFoundMessage }));
+            res.end();
+            return;
+        }
+        
+        res.writeHeader(200, {
+            "Content-Type": "application/json",
+            "X-Content-Type-Options": "nosniff"
+        });
+        res.write(JSON.stringify(data));
+        res.end();
+    };
+}
+
+/**
+ * Returns true if a request can save results in the history (the X-History-Key
+ * header has the history_key of config.js), otherwise responds with an error
+ * */
+function checkHistoryKey(req, res) {
+    if (!history.isAuthorized(req.headers['x-history-key'])) {
+        res.writeHeader(403, { "Content-Type": "application/json" });
+        res.write(JSON.stringify({ statusCode: 403, message: config.history_key ? 'Error found: invalid history key' : 'Error found: saving the history is disabled, History_Key is not set' }));
+        res.end();
+        return false;
+    }
+    
+    return true;
+}
+
+/**
+ * Creates or updates a run of the webjob in the history
+ * */
+function handleSaveRunRequestV2(req, res) {
+    if (!checkHistoryKey(req, res))
+        return;
+    
+    history.saveRun(req.params.run, req.body || {}, function (err) {
+        if (err) {
+            sendError(err.message, res);
+            return;
+        }
+        
+        history.getRun(req.params.run, false, sendHistory(res, 'unknown run ' + req.params.run));
+    });
+}
+
+/**
+ * Saves the result of a site in a run of the webjob. The body has the site, rank,
+ * area, the report of the scan (result) or the error.
+ * */
+function handleSaveSiteRequestV2(req, res) {
+    var body = req.body || {};
+    
+    if (!checkHistoryKey(req, res))
+        return;
+    
+    if (!body.site || (!body.result && !body.error)) {
+        sendBadRequest(res);
+        return;
+    }
+    
+    history.saveSite(req.params.run, body, function (err) {
+        if (err) {
+            sendError(err.message, res);
+            return;
+        }
+        
+        history.getSite(req.params.run, body.site, sendHistory(res, 'unknown site ' + body.site));
+    });
+}
+
+/**
+ * Returns the runs of the webjob, the newest first
+ * */
+function handleRunsRequestV2(req, res) {
+    history.getRuns(sendHistory(res));
+}
+
+/**
+ * Returns a run of the webjob and the results of its sites. The reports of the
+ * scans are included with full=true.
+ * */
+function handleRunRequestV2(req, res) {
+    history.getRun(req.params.run, req.query.full === 'true', sendHistory(res, 'unknown run ' + req.params.run));
+}
+
+/**
+ * Returns the result of a site in a run of the webjob, with the report of the scan
+ * */
+function handleRunSiteRequestV2(req, res) {
+    history.getSite(req.params.run, req.params.site, sendHistory(res, 'unknown site ' + req.params.site));
+}
+
+/**
+ * Returns the results of a site in every run of the webjob and since when each
+ * check has been failing
+ * */
+function handleSiteHistoryRequestV2(req, res) {
+    history.getSiteHistory(req.params.site, sendHistory(res));
+}
+
+/**
+ * Returns the differences between a run of the webjob (?run=<suffix>, the last
+ * one by default) and the previous run, as JSON or as CSV with format=csv
+ * */
+function handleDiffRequestV2(req, res) {
+    var csvFormat = req.query.format === 'csv',
+        container = storage.get();
+    
+    if (req.query.run && !/^\d{2}-\d{2}-\d{4}_$/.test(req.query.run)) {
+        sendBadRequest(res);
+        return;
+    }
+    
+    container.list(function (err, names) {
+        if (err) {
+            sendError(err.message, res);
+            return;
+        }
+        
+        var run = req.query.run || diff.findLastDiff(names),
+            fileName = 'diff' + run + (csvFormat ? '.csv' : '.json');
+        
+        if (!run || names.indexOf(fileName) === -1) {
+            sendHistory(res, 'no differences found' + (req.query.run ? ' for run ' + req.query.run : ''))(null, null);
             return;
         }
         
-        sendResults(response, data.start, data.results, urlToAnalyze);
+        container.readText(fileName, function (err, text) {
+            if (err) {
+                sendError(err.message, res);
+                return;
+            }
+            
+            res.writeHeader(200, {
+                "Content-Type": csvFormat ? "text/csv; charset=utf-8" : "application/json",
+                "X-Content-Type-Options": "nosniff"
+            });
+            res.write(text);
+            res.end();
+        });
     });
 }
 
+/**
+ * Returns the result of each check, the score and the grade of a site in every run
+ * of the webjob, read from the results and summary files in the storage
+ * */
+function handleSiteTrendRequestV2(req, res) {
+    trends.getSiteTrend(storage.get(), req.params.host, sendHistory(res, 'no results found for ' + req.params.host));
+}
+
+/**
+ * Returns the aggregate statistics of a run of the webjob (?run=<suffix>, the last
+ * one by default): pass rates per check, area and rank bucket and the top (?top=,
+ * 10 by default) outdated libraries, missing CSS properties and errors
+ * */
+function handleStatsRequestV2(req, res) {
+    var top = req.query.top ? parseInt(req.query.top, 10) : 10;
+    
+    if ((req.query.run && !/^\d{2}-\d{2}-\d{4}_$/.test(req.query.run)) || isNaN(top) || top < 1 || top > 100) {
+        sendBadRequest(res);
+        return;
+    }
+    
+    stats.getRunStats(storage.get(), req.query.run, top, sendHistory(res, req.query.run ? 'unknown run ' + req.query.run : 'no runs found'));
+}
+
+/**
+ * Returns the manifests of the available checks: id, title, description, etc.
+ * */
+function handleChecksRequestV2(req, res) {
+    res.writeHeader(200, {
+        "Content-Type": "application/json",
+        "X-Content-Type-Options": "nosniff"
+    });
+    res.write(JSON.stringify(scanner.manifests()));
+    res.end();
+}
+
 // ## CORS middleware
 //
 // see: http://stackoverflow.com/questions/7067966/how-to-allow-cors-in-express-nodejs
 var allowCrossDomain = function (req, res, next) {
     res.header('Access-Control-Allow-Origin', '*');
-    res.header('Access-Control-Allow-Methods', 'POST');
-    res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE');
+    res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-History-Key, X-Batch-Key');
     
     // intercept OPTIONS method
     if ('OPTIONS' == req.method) {
@@ -358,6 +944,22 @@ app.get('/scanresults', returnScanResults);
 //app.post('/sites', handleCsvUpload);
 
 app.get('/api/v2/scan', handleRequestV2);
+app.post('/api/v2/scan', handleContentRequestV2);
+app.get('/api/v2/checks', handleChecksRequestV2);
+app.post('/api/v2/jobs', handleCreateJobRequestV2);
+app.get('/api/v2/jobs/:id', handleJobRequestV2);
+app.del('/api/v2/jobs/:id', handleCancelJobRequestV2);
+app.get('/api/v2/jobs/:id/events', handleJobEventsRequestV2);
+app.post('/api/v2/jobs/:id/events', handleJobEventRequestV2);
+app.get('/api/v2/history/runs', handleRunsRequestV2);
+app.get('/api/v2/history/runs/:run', handleRunRequestV2);
+app.put('/api/v2/history/runs/:run', handleSaveRunRequestV2);
+app.post('/api/v2/history/runs/:run/sites', handleSaveSiteRequestV2);
+app.get('/api/v2/history/runs/:run/sites/:site', handleRunSiteRequestV2);
+app.get('/api/v2/history/sites/:site', handleSiteHistoryRequestV2);
+app.get('/api/v2/diff', handleDiffRequestV2);
+app.get('/api/v2/sites/:host/history', handleSiteTrendRequestV2);
+app.get('/api/v2/stats', handleStatsRequestV2);
 app.get('/api/v2/error', function (req, res) {
     sendError('Custom Error', res);
 });
@@ -1,22 +1,11 @@
 var batch = require('./lib/batch.js');
+var websiteList = require('./lib/websites.js');
 var fs = require('fs');
-var lines = fs.readFileSync('websites.csv', 'utf8').trim().split('\r\n');
-var prefix = 'http://localhost:1337/?url=http://';
+var prefix = 'http://localhost:1337/?url=';
 var errorCount = 0;
 
-console.log(lines.length + ' to crawl');
-
 var areas = [];
 
-var websites = lines.map(function (line) {
-    var split = line.split(",");
-    var url = prefix + split[0];
-
-    areas[url] = "USA";//split[1];
-
-    return url;
-});
-
 var tests = [
     'browserbite',
     'browserDetection',
@@ -69,10 +58,28 @@ batch.onError = function (url, err) {
     fs.writeFile('errors.txt', 'error analyzing ' + url);
 };
 
-var total = websites.length;
+websiteList.parse(fs.readFileSync('websites.csv', 'utf8'), null, function (err, list) {
+    if (err) {
+        console.log('error reading websites.csv', err.message);
+        return;
+    }
+
+    console.log(list.websites.length + ' to crawl');
+
+    var websites = list.websites.map(function (website) {
+        // The whole url, encoded so its query isn't part of the request's one
+        var url = prefix + encodeURIComponent(/^https?:\/\//i.test(website.url) ? website.url : 'http://' + website.url);
+
+        areas[url] = website.area;
+
+        return url;
+    });
+
+    var total = websites.length;
 
-batch.start(total, websites, function (data) {
-    var line = formater(data);
-    fs.appendFile('results.csv', line);
-    console.log('Checked - ' + data.url);
+    batch.start(total, websites, function (data) {
+        var line = formater(data);
+        fs.appendFile('results.csv', line);
+        console.log('Checked - ' + data.url);
+    });
 });
\ No newline at end of file
@@ -1,6 +1,8 @@
 "use strict";
 
-var request = require('request');
+var politeness = require('./politeness.js');
+// The requests follow the politeness limits of the scanned sites
+var request = politeness.wrap(require('request'));
 var websites,
     i,
     callbacker,
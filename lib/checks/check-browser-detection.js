@@ -25,6 +25,7 @@ var Deferred = require('promised-io').Deferred,
     Promise = require('promised-io/promise'),
     request = require('request'),
     config = require('./config.js'),
+    findings = require('./findings.js'),
     rules = [
         "navigator.userAgent",
         "navigator.appVersion",
@@ -55,7 +56,7 @@ var Deferred = require('promised-io').Deferred,
 //});
 
 
-function checkScript(script) {
+function checkScript(script, website, scriptFindings) {
     var deferred = new Deferred();
     //TODO: we should be using the predownloaded JS
 
@@ -76,6 +77,14 @@ function checkScript(script) {
         }
 
         if (!browserDetectionPassed) {
+            scriptFindings.push(findings.create('browserDetection/browser-sniffing', 'error',
+                'The script uses ' + rules[i] + ' to detect the browser.', {
+                    url: findings.getResourceUrl(website, script.jsUrl),
+                    line: lineNumber,
+                    snippet: findings.getLineText(scriptText, lineNumber),
+                    fix: 'Use feature detection instead of browser detection.'
+                }));
+
             deferred.resolve({
                 passed: false,
                 pattern: rules[i],
@@ -118,11 +127,22 @@ function checkConditionalComments(website) {
     return test;
 }
 
+function getConditionalCommentsFinding(website, lineNumber) {
+    return findings.create('browserDetection/conditional-comments', 'warning',
+        'The page uses conditional comments that target IE.', {
+            url: website.url.href,
+            line: lineNumber,
+            snippet: findings.getLineText(website.content, lineNumber),
+            fix: 'Use feature detection instead of conditional comments.'
+        });
+}
+
 var check = function (website) {
     var needsToBeProcessed = true;
 
     var scripts = website.js,
-        scriptPromises = [], src;
+        scriptPromises = [], src,
+        scriptFindings = [];
 
     for (var i = 0; i < scripts.length; i++) {
         src = scripts[i];
@@ -145,7 +165,7 @@ var check = function (website) {
         }
 
         if (needsToBeProcessed) {
-            scriptPromises.push(checkScript(src));
+            scriptPromises.push(checkScript(src, website, scriptFindings));
         }
     }
 
@@ -165,15 +185,30 @@ var check = function (website) {
 
         var conditionalTest = checkConditionalComments(website);
 
+        if (!conditionalTest.passed) {
+            scriptFindings.push(getConditionalCommentsFinding(website, conditionalTest.data.lineNumber));
+        }
+
         var test = {
             testName: "browserDetection",
             passed: browserTest.passed && conditionalTest.passed,
             data: {javascript: browserTest,
-                comments: conditionalTest}
+                comments: conditionalTest},
+            findings: scriptFindings
         };
 
         return test;
     });
 };
 
+module.exports.manifest = {
+    id: 'browserDetection',
+    title: 'Browser detection',
+    description: 'Looks for browser sniffing in the scripts of the site and for conditional comments that target IE.',
+    severity: 'error',
+    version: '1.0.0',
+    requires: ['js'],
+    fetches: [],
+    dependsOn: []
+};
 module.exports.check = check;
@@ -29,15 +29,14 @@ var baseUrl = 'http://app.browserbite.com',
     Deferred = require('promised-io').Deferred,
     fs = require('fs'),
     _ = require('lodash'),
+    findings = require('./findings.js'),
     results = {},
     loaded = false;
 
-var resultsFile = fs.readFileSync('browserbiteresults.json', 'utf8');
-
 try {
-    results = JSON.parse(resultsFile);
+    results = JSON.parse(fs.readFileSync('browserbiteresults.json', 'utf8'));
 } catch (e) { 
-    debugger;
+    // No Browserbite results yet, every site passes
 }
 
 var initiate = function (website) {
@@ -47,12 +46,18 @@ var initiate = function (website) {
         
         //TODO: Do something more complex to know if the website passes or not
 
-        var url = website.originalUrl;
+        var url = website.originalUrl,
+            passed = results[url] && results[url].results['ie11.0'] ? results[url].results['ie11.0'].passes : true;
 
         var test = {
             testName: "browserbite",
-            passed: results[url] && results[url].results['ie11.0'] ? results[url].results['ie11.0'].passes : true,
-            data: results[url]
+            passed: passed,
+            data: results[url],
+            findings: passed ? [] : [findings.create('browserbite/rendering-differences', 'warning',
+                'The site renders differently in Internet Explorer 11.', {
+                    url: website.url.href,
+                    fix: 'Review the differences found by Browserbite.'
+                })]
         };
 
         deferred.resolve(test);
@@ -61,5 +66,15 @@ var initiate = function (website) {
     return deferred.promise;
 };
 
-module.exports.check = initiate;
-module.exports.deep = true;
\ No newline at end of file
+module.exports.manifest = {
+    id: 'browserbite',
+    title: 'Rendering differences',
+    description: 'Compares how the site renders in different browsers using Browserbite.',
+    severity: 'warning',
+    version: '1.0.0',
+    requires: [],
+    fetches: [],
+    dependsOn: [],
+    deep: true
+};
+module.exports.check = initiate;
\ No newline at end of file
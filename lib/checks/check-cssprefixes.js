@@ -28,6 +28,7 @@
 var Deferred = require('promised-io').Deferred,
     cssRules = ['compatible-vendor-prefixes', 'gradients'],
     CSSLint = require('./csslint.js').CSSLint,
+    findings = require('./findings.js'),
     whitelistedProperties;
 
 
@@ -326,6 +327,20 @@ function setWhiteList(list) {
     }
 }
 
+function getFinding(website, cssFile, result) {
+    var gradient = result.rule.id === 'gradients';
+
+    return findings.create('cssprefixes/' + result.rule.id, 'warning',
+        gradient ? 'The selector ' + result.selector + ' only uses prefixed gradients.' :
+            'The selector ' + result.selector + ' is missing the standard properties: ' + result.message.join(', '), {
+            url: findings.getResourceUrl(website, cssFile.cssUrl),
+            line: result.line,
+            column: result.col,
+            snippet: result.selector,
+            fix: gradient ? 'Add the standard gradient syntax.' : 'Add the standard property after the prefixed ones.'
+        });
+}
+
 function check(website) {
     var deferred = new Deferred();
     
@@ -334,7 +349,8 @@ function check(website) {
         var test = {
             testName: "cssprefixes",
             passed: true,
-            data: []
+            data: [],
+            findings: []
         };
         
         website.css.forEach(function (cssFile) {
@@ -349,8 +365,10 @@ function check(website) {
                 selectors.push({
                     selector: htmlEncode(result.selector),
                     lineNumber: result.line,
+                    rule: result.rule.id,
                     styles: result.message
                 });
+                test.findings.push(getFinding(website, cssFile, result));
             });
             
             if (selectors.length > 0) {
@@ -369,4 +387,14 @@ function check(website) {
 }
 
 module.exports.whitelist = setWhiteList;
+module.exports.manifest = {
+    id: 'cssprefixes',
+    title: 'CSS prefixes',
+    description: 'Looks for vendor prefixed CSS properties and gradients without their standard version.',
+    severity: 'warning',
+    version: '1.0.0',
+    requires: ['css'],
+    fetches: [],
+    dependsOn: []
+};
 module.exports.check = check;
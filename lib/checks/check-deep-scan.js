@@ -1,6 +1,7 @@
 /**
- * Description: Checks random links in the website and runs the whole scanner in
- * those to detect other compatibility issues.
+ * Description: Crawls the pages of the same site breadth first, from the links
+ * of the scanned page and the sitemap.xml of the site, and runs the other checks
+ * on each of them to detect compatibility issues beyond the first page.
  *
  * Copyright (c) Microsoft Corporation; All rights reserved.
  *
@@ -19,53 +20,246 @@
 "use strict";
 
 var Deferred = require('promised-io').Deferred,
-    Promise = require('promised-io/promise'),
     config = require('./config.js'),
-    request = require('request');
-
-request = request.defaults({
-    jar: false,
-    proxy: process.env.HTTP_PROXY || process.env.http_proxy,
-    headers: {
-        'Accept-Language': 'en-US,en;q=0.5',
-        'User-Agent': config.user_agent_edge }
-});
-
-var analyze = function (url) {
-    var deferred = new Deferred();
-    request('http://localhost:1337?url=' + url, function (err, res, body) {
-        deferred.resolve(body);
+    findings = require('./findings.js'),
+    links = require('../links.js'),
+    robots = require('../robots.js'),
+    sitemap = require('../sitemap.js');
+
+function matchesAny(patterns, address) {
+    return patterns.some(function (pattern) {
+        return new RegExp(pattern, 'i').test(address);
     });
+}
 
-    return deferred.promise;
-};
+/**
+ * Returns true if the deep scan crawls a url: a page of the same site that
+ * matches the include and exclude patterns of config.js
+ * */
+function isCrawled(address, siteUrl) {
+    return links.isSameSite(address, siteUrl) &&
+        (config.deep_scan_include.length === 0 || matchesAny(config.deep_scan_include, address)) &&
+        !matchesAny(config.deep_scan_exclude, address);
+}
 
-var check = function (website) {
-    var allLinks = website.$('a'),
-        links = [];
-
-    allLinks.each(function () {
-        var link = this.attribs.href;
-        if (link && link.indexOf('//') !== 0 &&
-            link.indexOf(website.url.hostname) !== -1 &&
-            links.indexOf(link) === -1) {
-            links.push(link);
+/**
+ * Crawls the pages of a site breadth first, starting with the seeds (the pages
+ * one link away from the root url). scanPage(url, callback) scans a page and
+ * calls back with the error or the data of the scan, with the links of the
+ * page. options has the maxDepth, maxPages and concurrency of the crawl. The
+ * callback gets the pages (url, depth and the error or data of the scan) in the
+ * order they were found.
+ * */
+function crawl(rootUrl, seeds, scanPage, options, callback) {
+    var seen = {},
+        queue = [],
+        pages = [],
+        active = 0,
+        found = 0;
+
+    function add(address, depth) {
+        var page = links.normalize(address);
+
+        if (!page || seen[page] || found >= options.maxPages || !isCrawled(page, rootUrl)) {
+            return;
         }
-    });
 
-    var promises = [];
+        seen[page] = true;
+        queue.push({ index: found++, url: page, depth: depth });
+    }
+
+    function scan(page, done) {
+        active++;
+
+        scanPage(page.url, function (err, data) {
+            active--;
+            page.error = err || null;
+            page.data = data || null;
+            pages.push(page);
+
+            if (!err && data && data.links && page.depth < options.maxDepth) {
+                data.links.forEach(function (link) {
+                    add(link, page.depth + 1);
+                });
+            }
 
-    for (var i = 0; i < 5; i++) {
-        promises.push(analyze(links[i]));
+            done();
+        });
     }
 
-    return Promise.all(promises).then(function (results) {
-        return {
-            testName: 'deep',
-            data: results
+    function next() {
+        if (queue.length === 0 && active === 0) {
+            callback(pages.sort(function (a, b) {
+                return a.index - b.index;
+            }).map(function (page) {
+                delete page.index;
+                return page;
+            }));
+            return;
+        }
+
+        while (queue.length > 0 && active < options.concurrency) {
+            scan(queue.shift(), next);
+        }
+    }
+
+    seen[links.normalize(rootUrl)] = true;
+    seeds.forEach(function (seed) {
+        add(seed, 1);
+    });
+
+    process.nextTick(next);
+}
+
+/**
+ * Returns the function that scans a page of the website with the options of
+ * its scan, but the deep check
+ * */
+function createScanPage(website) {
+    // The scanner loads the checks, so it is loaded when the check runs
+    var scanner = require('../scanner.js'),
+        auth = website.auth || {},
+        options = {
+            deep: false,
+            checks: (website.checks || []).filter(function (id) {
+                return id !== 'deep';
+            }),
+            skip: website.skip || [],
+            userAgent: website.userAgent,
+            timeout: website.timeout
         };
+
+    return function (pageUrl, callback) {
+        scanner.scan(pageUrl, auth.user, auth.pass, options, callback);
+    };
+}
+
+/**
+ * Gets the urls of the sitemap.xml of the site of a url, none if it has no
+ * sitemap or deep_scan_sitemap is not set
+ * */
+function getSitemapUrls(website, callback) {
+    if (!config.deep_scan_sitemap) {
+        callback([]);
+        return;
+    }
+
+    sitemap.load(website.url.protocol + '//' + website.url.host + '/sitemap.xml', function (err, pages) {
+        callback(err ? [] : pages.map(function (page) {
+            return page.url;
+        }));
+    });
+}
+
+/**
+ * Aggregates the crawled pages: the number of pages that passed and failed each
+ * check, the detail of each page (its score, grade and the checks it passed or
+ * failed) and the findings of all of them
+ * */
+function summarize(pages) {
+    var report = require('../report.js'),
+        checks = {},
+        allFindings = [],
+        failedPages = 0,
+        errors = 0;
+
+    var details = pages.map(function (page) {
+        var detail = { url: page.url, depth: page.depth };
+
+        if (page.error) {
+            var message = report.createError(page.url, page.error).error,
+                blocked = message.indexOf(robots.BLOCKED) !== -1;
+
+            errors++;
+            detail.error = message;
+            allFindings.push(findings.create(blocked ? 'deep/blocked-by-robots' : 'deep/page-error', 'info',
+                (blocked ? 'The page is blocked by robots.txt: ' : 'The page could not be scanned: ') + message, { url: page.url }));
+            return detail;
+        }
+
+        var pageReport = report.create(page.url, page.data.start, page.data.results);
+
+        detail.score = pageReport.score;
+        detail.grade = pageReport.grade;
+        detail.results = {};
+
+        Object.keys(pageReport.results).forEach(function (id) {
+            var result = pageReport.results[id];
+
+            if (typeof result.passed !== 'boolean') {
+                return;
+            }
+
+            detail.results[id] = result.passed;
+            checks[id] = checks[id] || { passed: 0, failed: 0 };
+            checks[id][result.passed ? 'passed' : 'failed']++;
+
+            if (!result.passed) {
+                (result.findings || []).forEach(function (finding) {
+                    allFindings.push(findings.create(finding.ruleId, finding.severity, finding.message, {
+                        url: finding.url || page.url,
+                        line: finding.line,
+                        column: finding.column,
+                        snippet: finding.snippet,
+                        fix: finding.fix
+                    }));
+                });
+            }
+        });
+
+        detail.passed = report.getFailedChecks(pageReport).length === 0;
+
+        if (!detail.passed) {
+            failedPages++;
+        }
+
+        return detail;
     });
+
+    return {
+        testName: 'deep',
+        passed: failedPages === 0,
+        data: {
+            crawled: pages.length,
+            failed: failedPages,
+            errors: errors,
+            checks: checks,
+            pages: details
+        },
+        findings: allFindings
+    };
+}
+
+var check = function (website) {
+    var deferred = new Deferred(),
+        rootUrl = website.url.href,
+        pageLinks = links.getLinks(website.$, rootUrl);
+
+    getSitemapUrls(website, function (sitemapUrls) {
+        crawl(rootUrl, pageLinks.concat(sitemapUrls), createScanPage(website), {
+            maxDepth: config.deep_scan_max_depth,
+            maxPages: config.deep_scan_max_pages,
+            concurrency: config.deep_scan_concurrency
+        }, function (pages) {
+            deferred.resolve(summarize(pages));
+        });
+    });
+
+    return deferred.promise;
 };
 
+module.exports.manifest = {
+    id: 'deep',
+    title: 'Deep scan',
+    description: 'Crawls the pages of the site and runs the other checks on them.',
+    severity: 'info',
+    version: '2.0.0',
+    requires: [],
+    fetches: ['links', 'sitemap.xml'],
+    dependsOn: [],
+    deep: true
+};
 module.exports.check = check;
-module.exports.deep = true;
\ No newline at end of file
+module.exports.crawl = crawl;
+module.exports.isCrawled = isCrawled;
+module.exports.summarize = summarize;
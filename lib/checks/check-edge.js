@@ -19,6 +19,7 @@
 "use strict";
 var cvlist = require('./compatlist.js');
 var Deferred = require('promised-io').Deferred;
+var findings = require('./findings.js');
 
 // Comments or newlines before doctype are allowed, as well as an xml header for XHTML docs.
 // IE6 will always quirk out on an XML header but let's assume everyone is past that.
@@ -42,6 +43,45 @@ var spaces = '[\\s\\r\\n]*',
         "-//unknown//en": true
     };
 
+/**
+ * Returns the findings of a failed result
+ * */
+function getFindings(result, website, compatTag) {
+    var data = result.data,
+        location = { url: website.url.href };
+
+    if (result.passed) {
+        return [];
+    }
+
+    if (data.source === 'tag') {
+        var position = website.content.toLowerCase().indexOf('x-ua-compatible');
+        if (position !== -1) {
+            location.line = findings.getLine(website.content, position);
+        }
+        location.snippet = website.$.html(compatTag);
+        location.fix = 'Set the content of the X-UA-Compatible meta tag to "IE=edge" or remove the tag.';
+
+        return [findings.create('edge/x-ua-compatible', 'error', 'The X-UA-Compatible meta tag sets the document mode to ' + data.mode + '.', location)];
+    }
+
+    if (data.source === 'cvlist') {
+        location.fix = 'Fix the compatibility issues of the site and ask to remove it from the compatibility view list.';
+
+        return [findings.create('edge/cvlist', 'error', 'The site is in the compatibility view list' + (data.mode ? ' with document mode ' + data.mode : '') + '.', location)];
+    }
+
+    location.line = data.lineNumber;
+    location.fix = 'Use the HTML5 doctype: <!DOCTYPE html>';
+    if (data.lineNumber > 0) {
+        location.snippet = findings.getLineText(website.content, data.lineNumber);
+    }
+
+    return [findings.create('edge/doctype', 'error', data.lineNumber > 0 ?
+        'The doctype (' + data.mode.join(', ') + ') renders the page in quirks or almost standards mode.' :
+        'The page has no doctype so it renders in quirks mode.', location)];
+}
+
 var check = function (website) {
     var deferred = new Deferred(),
     // Don't waste time looking through the whole doc; the doctype should be early
@@ -66,6 +106,7 @@ var check = function (website) {
             if (mode.indexOf("edge") === -1) {
                 result.passed = false;
                 result.data = { source: 'tag', mode: mode};
+                result.findings = getFindings(result, website, compatTag[0]);
                 deferred.resolve(result);
                 return deferred.promise;
             }
@@ -80,6 +121,7 @@ var check = function (website) {
         }
 
         if (!result.passed) {
+            result.findings = getFindings(result, website);
             deferred.resolve(result);
             return;
         }
@@ -148,6 +190,7 @@ var check = function (website) {
             }
         }
 
+        result.findings = getFindings(result, website);
         deferred.resolve(result);
     }, function () {
         deferred.reject();
@@ -156,4 +199,14 @@ var check = function (website) {
     return deferred.promise;
 };
 
+module.exports.manifest = {
+    id: 'edge',
+    title: 'Edge mode',
+    description: 'Checks the site renders in Edge mode using its doctype, its X-UA-Compatible meta tag and the compatibility view list.',
+    severity: 'error',
+    version: '1.0.0',
+    requires: ['cvlist'],
+    fetches: [],
+    dependsOn: []
+};
 module.exports.check = check;
\ No newline at end of file
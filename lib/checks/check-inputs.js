@@ -19,6 +19,7 @@
 
 var $ = require('cheerio'),
     Deferred = require('promised-io').Deferred,
+    findings = require('./findings.js'),
     inputTypes = ['color',
         'date',
         'datetime',
@@ -61,7 +62,12 @@ var check = function (website) {
 
         var test = {
             testName: "inputTypes",
-            passed: passed
+            passed: passed,
+            findings: passed ? [] : [findings.create('inputTypes/no-html5-inputs', 'info',
+                'The page has ' + inputs.length + ' inputs but none of them uses an HTML5 input type.', {
+                    url: website.url.href,
+                    fix: 'Use HTML5 input types such as email, tel or date where they apply.'
+                })]
         };
 
         deferred.resolve(test);
@@ -70,5 +76,15 @@ var check = function (website) {
     return deferred.promise;
 };
 
-module.exports.check = check;
-module.exports.deep = true;
\ No newline at end of file
+module.exports.manifest = {
+    id: 'inputTypes',
+    title: 'HTML5 input types',
+    description: 'Looks for HTML5 input types in the forms of the site.',
+    severity: 'info',
+    version: '1.0.0',
+    requires: [],
+    fetches: [],
+    dependsOn: [],
+    deep: true
+};
+module.exports.check = check;
\ No newline at end of file
@@ -21,6 +21,7 @@
 var Deferred = require('promised-io').Deferred;
 var fs = require('fs');
 var path = require('path');
+var findings = require('./findings.js');
 
 var libconfig = null;
 var libconfigfile = path.join(__dirname, 'check-libs.json');
@@ -358,6 +359,19 @@ function compareVersions(version1, version2) {
     return 0;
 }
 
+function getFinding(library, website) {
+    var message = library.bannedVersion ?
+        library.name + ' ' + library.version + ' is a version with known compatibility issues.' :
+        library.name + ' ' + library.version + ' is older than ' + library.minVersion + '.';
+
+    return findings.create('jslibs/outdated-library', 'warning', message, {
+        url: website.url.href,
+        line: library.lineNumber,
+        snippet: findings.getLineText(website.content, library.lineNumber),
+        fix: 'Update ' + library.name + ' to ' + library.minVersion + ' or later.'
+    });
+}
+
 var check = function (website) {
     var deferred = new Deferred();
 
@@ -367,7 +381,8 @@ var check = function (website) {
                 testName: "jslibs",
                 url: website.url.href,
                 passed: true,
-                data: []
+                data: [],
+                findings: []
             },
             result;
 
@@ -377,6 +392,7 @@ var check = function (website) {
             if (!result.passed) {
                 test.passed = false;
                 test.data.push(result.data);
+                test.findings.push(getFinding(result.data, website));
             }
         }
 
@@ -389,6 +405,16 @@ var check = function (website) {
 // this export is just for unit testing, can be removed when bulletproof
 module.exports.checkCompareVersions = compareVersions;
 
+module.exports.manifest = {
+    id: 'jslibs',
+    title: 'JavaScript libraries',
+    description: 'Looks for versions of common JavaScript libraries with known compatibility issues.',
+    severity: 'warning',
+    version: '1.0.0',
+    requires: ['js'],
+    fetches: [],
+    dependsOn: []
+};
 module.exports.check = check;
 module.exports.merge = function (config) {
     if (config) {
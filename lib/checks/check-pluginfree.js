@@ -23,6 +23,7 @@ var cvlist = require('./compatlist.js'),
     Deferred = require('promised-io').Deferred,
     fs = require('fs'),
     path = require('path'),
+    findings = require('./findings.js'),
     $ = require('cheerio');
 
 var globaloptions = { allowFlash: true, allowSilverlight: true, allowOthers: false };
@@ -41,6 +42,13 @@ function getOptions() {
     return globaloptions;
 }
 
+function getFinding(website, rule, message) {
+    return findings.create('pluginfree/' + rule, 'error', message, {
+        url: website.url.href,
+        fix: 'Replace the plugin with HTML5 content.'
+    });
+}
+
 var initiate = function (website, options) {
     options = options || getOptions();
     
@@ -48,7 +56,8 @@ var initiate = function (website, options) {
         test = {
             testName: "pluginfree",
             passed: true,
-            data: []
+            data: [],
+            findings: []
         };
     
     function removeItems(original, itemsToRemove) {
@@ -88,6 +97,7 @@ var initiate = function (website, options) {
         if (resultWebsite && (resultWebsite.noFlash || (resultWebsite.featureSwitch && resultWebsite.featureSwitch === "requiresActiveX:true"))) {
             test.passed = false;
             test.data = { activex: !resultWebsite.noFlash, cvlist: true };
+            test.findings.push(getFinding(website, 'cvlist', 'The site requires plugins according to the compatibility view list.'));
         } else {
             var elements = [];
             for (var i = 0; i < config.check_pluginfree_elements.length; i++) {
@@ -108,12 +118,15 @@ var initiate = function (website, options) {
             if (flashControls > 0 && !options.allowFlash) {
                 test.passed = false;
                 test.data = { activex: true, cvlist: false, flash: true, controls: flashControls };
+                test.findings.push(getFinding(website, 'flash', 'The page has ' + flashControls + ' Flash controls.'));
             } else if (silverlightControls > 0 && !options.allowSilverlight) {
                 test.passed = false;
                 test.data = { activex: true, cvlist: false, silverlight: true, controls: silverlightControls };
+                test.findings.push(getFinding(website, 'silverlight', 'The page has ' + silverlightControls + ' Silverlight controls.'));
             } else if (activeXControls > 0 && !options.allowOthers) {
                 test.passed = false;
                 test.data = { activex: true, cvlist: false, controls: activeXControls };
+                test.findings.push(getFinding(website, 'activex', 'The page has ' + activeXControls + ' ActiveX controls.'));
             }
         }
         
@@ -126,4 +139,14 @@ var initiate = function (website, options) {
     return deferred.promise;
 };
 
+module.exports.manifest = {
+    id: 'pluginfree',
+    title: 'Plugin free',
+    description: 'Looks for ActiveX controls and plugins other than Flash and Silverlight, and for sites that require them in the compatibility view list.',
+    severity: 'error',
+    version: '1.0.0',
+    requires: ['cvlist'],
+    fetches: [],
+    dependsOn: []
+};
 module.exports.check = initiate;
\ No newline at end of file
@@ -21,9 +21,11 @@ var Deferred = require('promised-io').Deferred,
     cheerio = require('cheerio'),
     config = require('./config.js'),
     zlib = require('zlib'),
+    findings = require('./findings.js'),
+    politeness = require('../politeness.js'),
     request = require('request');
 
-request = request.defaults({
+request = politeness.wrap(request.defaults({
     followAllRedirects: true,
     encoding: null,
     jar: false,
@@ -34,7 +36,7 @@ request = request.defaults({
         'Accept-Language': 'en-US,en;q=0.5',
         'User-Agent': config.user_agent_chrome
     }
-});
+}));
 
 var countElements = function ($, elementName) {
     return $(elementName).filter(function (i, el) {
@@ -139,6 +141,19 @@ var compareMarkup = function (markup1, markup2) {
     };
 }
 
+var getFindings = function (website, results) {
+    return results.filter(function (result) {
+        return !result.passed;
+    }).map(function (result) {
+        return findings.create('markup/different-markup', 'warning',
+            'The number of ' + result.element + ' elements is different: ' + result.edgeCount + ' for Edge and ' +
+            result.chromeCount + ' for Chrome (threshold ' + result.threshold + ').', {
+                url: website.url.href,
+                fix: 'Send the same markup to every browser.'
+            });
+    });
+};
+
 var check = function (website) {
     var deferred = new Deferred();
     
@@ -147,10 +162,20 @@ var check = function (website) {
             testName: 'markup',
             passed: true,
             excluded: true,
-            data: "The site was excluded for this test. See the 'check_markup_exclude_list' setting."
+            data: "The site was excluded for this test. See the 'check_markup_exclude_list' setting.",
+            findings: []
         };
         
         deferred.resolve(result);
+    } else if (website.submitted) {
+        // The markup was sent by the caller so there is no server to ask for the Chrome version
+        deferred.resolve({
+            testName: 'markup',
+            passed: true,
+            excluded: true,
+            data: "The site was excluded for this test. The HTML markup was submitted instead of fetched from the server.",
+            findings: []
+        });
     } else {
         // 1st request using Chrome UA
         request(website.url.href, function (err, response, body) {
@@ -167,7 +192,8 @@ var check = function (website) {
                             var result = {
                                 testName: 'markup',
                                 passed: compareResults.passed,
-                                data: compareResults.results
+                                data: compareResults.results,
+                                findings: []
                             };
                     
                             deferred.resolve(result);
@@ -186,7 +212,8 @@ var check = function (website) {
                                                 testName: 'markup',
                                                 passed: !compareResults2.passed,
                                                 transient: !compareResults2.passed,
-                                                data: compareResults2.passed ? compareResults.results : "Site candidate for exclude list. The HTML markup for this site presents differences on each request regardless of the user agent."
+                                                data: compareResults2.passed ? compareResults.results : "Site candidate for exclude list. The HTML markup for this site presents differences on each request regardless of the user agent.",
+                                                findings: compareResults2.passed ? getFindings(website, compareResults.results) : []
                                             };
                                     
                                             deferred.resolve(result);
@@ -206,4 +233,14 @@ var check = function (website) {
     return deferred.promise;
 };
 
+module.exports.manifest = {
+    id: 'markup',
+    title: 'Same markup',
+    description: 'Compares the HTML markup the server sends to Edge and to Chrome.',
+    severity: 'warning',
+    version: '1.0.0',
+    requires: [],
+    fetches: ['page'],
+    dependsOn: []
+};
 module.exports.check = check;
\ No newline at end of file
@@ -1,6 +1,29 @@
 module.exports.user_agent_edge = 'Mozilla/5.0 (Windows NT 10.0; WOW64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/43.0.2357.81 Safari/537.36 Edge/12.0';
 module.exports.user_agent_chrome = 'Mozilla/5.0 (Windows NT 10.0; WOW64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/43.0.2357.81 Safari/537.36';
 
+// Identification of the scanner: its token in the user agents and robots.txt
+// and a contact (e.g. '+https://contoso.com/scanner' or an email address). When
+// the contact is set the user agents end with '<token> (<contact>)'.
+module.exports.robots_user_agent_token = 'SitesScanner';
+module.exports.user_agent_contact = '';
+
+if (process.env.User_Agent_Contact)
+    module.exports.user_agent_contact = process.env.User_Agent_Contact;
+
+if (module.exports.user_agent_contact) {
+    module.exports.user_agent_edge += ' ' + module.exports.robots_user_agent_token + ' (' + module.exports.user_agent_contact + ')';
+    module.exports.user_agent_chrome += ' ' + module.exports.robots_user_agent_token + ' (' + module.exports.user_agent_contact + ')';
+}
+
+// robots.txt compliance (off by default): the pages the robots.txt of their
+// host disallows to robots_user_agent_token are not scanned. robots.txt files
+// are kept for robots_cache_ttl milliseconds.
+module.exports.robots_compliance = false;
+module.exports.robots_cache_ttl = 24 * 60 * 60 * 1000;
+
+if (process.env.Robots_Compliance)
+    module.exports.robots_compliance = process.env.Robots_Compliance === 'true';
+
 module.exports.compatlisturlEdgeDesktop = 'http://cvlist.ie.microsoft.com/edge/desktop/1432152749/edgecompatviewlist.xml';
 
 // Allow SVG, SWF and Silverlight and disallow everything else
@@ -224,6 +247,84 @@ module.exports.check_markup_exclude_list = [
     "zum.com"
 ];
 
+// Additional checks: directories with check-*.js files (relative to the root of the
+// site) and npm packages that export a check or an array of checks
+module.exports.check_plugin_directories = [];
+module.exports.check_plugin_packages = [];
+
+if (process.env.Checks_Directories)
+    module.exports.check_plugin_directories = process.env.Checks_Directories.split(',');
+
+if (process.env.Checks_Packages)
+    module.exports.check_plugin_packages = process.env.Checks_Packages.split(',');
+
+// Score of a scan (0-100): every check that runs adds its weight multiplied by the
+// multiplier of its severity, and the score is the share of it from the checks that
+// passed. Checks without a weight have weight 1. The grade is the first one whose
+// minimum score is reached.
+module.exports.score_weights = {
+    browserDetection: 2,
+    browserbite: 1,
+    cssprefixes: 1,
+    edge: 3,
+    inputTypes: 1,
+    jslibs: 2,
+    markup: 1,
+    pluginfree: 2
+};
+module.exports.score_severity_multipliers = { error: 3, warning: 2, info: 1 };
+module.exports.score_grades = [
+    { grade: 'A', minScore: 90 },
+    { grade: 'B', minScore: 80 },
+    { grade: 'C', minScore: 70 },
+    { grade: 'D', minScore: 60 },
+    { grade: 'F', minScore: 0 }
+];
+
+// Checks that make scan.js exit with an error code when they fail, all of them
+// when the list is empty. The --fail-on option overrides it.
+module.exports.cli_failing_checks = [];
+
+// Scan jobs (/api/v2/jobs): scans that run at the same time, jobs that can wait
+// in the queue (more are refused with 503), milliseconds a finished job (and its
+// results) is kept, progress events kept per job for the clients of
+// /api/v2/jobs/:id/events that connect later and milliseconds between the
+// keep-alive comments of the stream
+module.exports.jobs_concurrency = 4;
+module.exports.jobs_queue_size = 100;
+module.exports.jobs_retention = 60 * 60 * 1000;
+module.exports.jobs_events_history = 1000;
+module.exports.jobs_events_keepalive = 15000;
+
+// Batch jobs of the webjob: key it sends in the X-Batch-Key header to create them
+// and post their events (nothing can be posted when it is empty) and milliseconds
+// without events after which a running batch job fails (the webjob crashed)
+module.exports.jobs_batch_key = '';
+module.exports.jobs_batch_timeout = 30 * 60 * 1000;
+
+if (process.env.Jobs_Batch_Key)
+    module.exports.jobs_batch_key = process.env.Jobs_Batch_Key;
+
+// Webhook callbacks: the shared secret used to sign them (X-Scanner-Signature
+// header, there are no callbacks when it is empty), the timeout of each request, the retries when one fails and the delay
+// before the first retry (doubled on each one)
+module.exports.webhook_secret = '';
+module.exports.webhook_timeout = 30000;
+module.exports.webhook_retries = 3;
+module.exports.webhook_retry_delay = 5000;
+
+if (process.env.Webhook_Secret)
+    module.exports.webhook_secret = process.env.Webhook_Secret;
+
+// Storage of the website list and the results of the webjob: 'azure' (Azure
+// blob storage), 's3' (Amazon S3 or any S3 compatible service) or 'local' (a
+// directory). The container is the blob container, the bucket or the folder
+// in the directory.
+module.exports.storage_type = 'azure';
+
+if (process.env.Storage_Type)
+    module.exports.storage_type = process.env.Storage_Type;
+
 module.exports.storage_account_name = 'sitesscannertest';
 module.exports.storage_account_key = '';
 
@@ -233,5 +334,154 @@ if (process.env.Storage_AccountName)
 if (process.env.Storage_AccessKey)
     module.exports.storage_account_key = process.env.Storage_AccessKey;
 
+// S3 storage: endpoint of the service (https://s3.<region>.amazonaws.com when
+// empty), region and access keys. The bucket is accessed with path-style URLs.
+module.exports.storage_s3_endpoint = '';
+module.exports.storage_s3_region = 'us-east-1';
+module.exports.storage_s3_access_key_id = '';
+module.exports.storage_s3_secret_access_key = '';
+
+if (process.env.Storage_S3_Endpoint)
+    module.exports.storage_s3_endpoint = process.env.Storage_S3_Endpoint;
+
+if (process.env.Storage_S3_Region)
+    module.exports.storage_s3_region = process.env.Storage_S3_Region;
+
+if (process.env.Storage_S3_AccessKeyId)
+    module.exports.storage_s3_access_key_id = process.env.Storage_S3_AccessKeyId;
+
+if (process.env.Storage_S3_SecretAccessKey)
+    module.exports.storage_s3_secret_access_key = process.env.Storage_S3_SecretAccessKey;
+
+// Local storage: directory with a folder per container
+module.exports.storage_directory = require('path').join(__dirname, '../../App_Data/storage');
+
+if (process.env.Storage_Directory)
+    module.exports.storage_directory = process.env.Storage_Directory;
+
+// History of the webjob runs (/api/v2/history): directory of the database and
+// key the webjob sends in the X-History-Key header to save results (nothing can
+// be saved when it is empty)
+module.exports.history_directory = require('path').join(__dirname, '../../App_Data/history');
+module.exports.history_key = '';
+
+// Runs kept in the history (older ones and their reports are removed when a run
+// is saved) and milliseconds between the compactions of its database files
+module.exports.history_max_runs = 90;
+module.exports.history_compaction_interval = 60 * 60 * 1000;
+
+if (process.env.History_Directory)
+    module.exports.history_directory = process.env.History_Directory;
+
+if (process.env.History_Key)
+    module.exports.history_key = process.env.History_Key;
+
+if (process.env.History_Max_Runs)
+    module.exports.history_max_runs = parseInt(process.env.History_Max_Runs, 10);
+
+// Directory of the work queue of the webjob, to resume the runs that stop
+module.exports.queue_directory = require('path').join(__dirname, '../../App_Data/queue');
+
+if (process.env.Queue_Directory)
+    module.exports.queue_directory = process.env.Queue_Directory;
+
+// Retry policy of the webjob per class of error (see the webjob section of the
+// README): the attempts a website gets, the delay in milliseconds before the
+// first retry (doubled on each one up to maxDelay) and the jitter, the share of
+// the delay added or removed at random. Classes without a policy use the default
+// one. The Retry_Policy App Setting overrides it with the same fields in JSON.
+module.exports.retry_policy = {
+    'default': { maxAttempts: 2, delay: 5000, maxDelay: 60000, jitter: 0.2 },
+    'dns': { maxAttempts: 1 },
+    'tls': { maxAttempts: 1 },
+    'timeout': { maxAttempts: 3, delay: 10000 },
+    'connection': { maxAttempts: 3 },
+    'http-4xx': { maxAttempts: 1 },
+    'http-5xx': { maxAttempts: 3, delay: 15000 },
+    'decompression': { maxAttempts: 1 },
+    'blocked-by-robots': { maxAttempts: 1 },
+    'scan-api': { maxAttempts: 3 }
+};
+
+if (process.env.Retry_Policy) {
+    (function (overrides) {
+        Object.keys(overrides).forEach(function (errorClass) {
+            var policy = module.exports.retry_policy[errorClass] = module.exports.retry_policy[errorClass] || {};
+
+            Object.keys(overrides[errorClass]).forEach(function (name) {
+                policy[name] = overrides[errorClass][name];
+            });
+        });
+    })(JSON.parse(process.env.Retry_Policy));
+}
+
+// Deep scan (the deep check): crawls the pages of the site breadth first from
+// the links of the scanned page and the sitemap.xml of the site (if
+// deep_scan_sitemap is set), up to deep_scan_max_depth links away from the page
+// and deep_scan_max_pages pages, deep_scan_concurrency at a time. Only the urls
+// that match one of deep_scan_include (any url when it is empty) and none of
+// deep_scan_exclude (regular expressions) are crawled.
+module.exports.deep_scan_max_depth = 2;
+module.exports.deep_scan_max_pages = 10;
+module.exports.deep_scan_concurrency = 2;
+module.exports.deep_scan_sitemap = true;
+module.exports.deep_scan_include = [];
+module.exports.deep_scan_exclude = ['\\.(pdf|zip|gz|exe|dmg|jpe?g|png|gif|svg|ico|mp3|mp4|avi|css|js|xml|json|txt)(\\?|$)'];
+
+// Sitemaps as the input of the webjob and the command line (--sitemap): the
+// pages of each sitemap scanned, all of them when sitemap_sample is 0, the
+// minimum priority of the pages and the number of nested sitemap indexes followed
+module.exports.sitemap_sample = 0;
+module.exports.sitemap_min_priority = 0;
+module.exports.sitemap_max_depth = 2;
+
+// Columns of the list of websites of the webjob (websites.csv): the header names
+// (in lower case) of each field. Files without a header row have the columns of
+// websites_default_columns, in that order. tags and the columns that are not
+// fields are carried to the results. checks and skip override the checks of a
+// website and credentials is the name of its user and password in
+// website_credentials. The Websites_Columns App Setting overrides the names of
+// the fields in JSON, e.g. {"url":["domain"]}, and Website_Credentials sets the
+// credentials, e.g. {"intranet":{"user":"scanner","password":"..."}}.
+module.exports.websites_columns = {
+    url: ['url', 'website', 'site', 'domain'],
+    rank: ['rank'],
+    area: ['area', 'country', 'region'],
+    tags: ['tags'],
+    credentials: ['credentials'],
+    checks: ['checks'],
+    skip: ['skip']
+};
+module.exports.websites_default_columns = ['url', 'area', 'rank'];
+module.exports.website_credentials = {};
+
+if (process.env.Websites_Columns) {
+    (function (overrides) {
+        Object.keys(overrides).forEach(function (field) {
+            module.exports.websites_columns[field] = [].concat(overrides[field]).map(function (name) {
+                return String(name).toLowerCase();
+            });
+        });
+    })(JSON.parse(process.env.Websites_Columns));
+}
+
+if (process.env.Website_Credentials)
+    module.exports.website_credentials = JSON.parse(process.env.Website_Credentials);
+
+// Politeness of the requests to the scanned websites (the page, its style sheets
+// and scripts and the requests of the webjob): the requests in flight per host,
+// the milliseconds between the start of two requests to the same host and the
+// longest Retry-After of a 429 or 503 response (in milliseconds) that is waited
+// for to send the request again. Longer ones pause the host and fail the request.
+module.exports.politeness_max_per_host = 4;
+module.exports.politeness_min_delay = 250;
+module.exports.politeness_max_retry_after = 30000;
+
+if (process.env.Politeness_MaxPerHost)
+    module.exports.politeness_max_per_host = parseInt(process.env.Politeness_MaxPerHost, 10);
+
+if (process.env.Politeness_MinDelay)
+    module.exports.politeness_min_delay = parseInt(process.env.Politeness_MinDelay, 10);
+
 module.exports.website_list_container_name = 'dailyscan';
 module.exports.prefix = 'http://sites-scanner.azurewebsites.net/api/v2/scan?url=http://';
@@ -0,0 +1,104 @@
+/**
+ * Description: Common format of the findings of the checks. Besides its legacy
+ * data, every result has a findings array with an entry per problem found:
+ * rule id, severity, message, location (resource url, line and column),
+ * snippet of the offending code and suggested fix.
+ *
+ * Copyright (c) Microsoft Corporation; All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this
+ * file except in compliance with the License. You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * THIS CODE IS PROVIDED AS IS BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, EITHER
+ * EXPRESS OR IMPLIED, INCLUDING WITHOUT LIMITATION ANY IMPLIED WARRANTIES OR CONDITIONS
+ * OF TITLE, FITNESS FOR A PARTICULAR PURPOSE, MERCHANTABLITY OR NON-INFRINGEMENT.
+ *
+ * See the Apache Version 2.0 License for specific language governing permissions
+ * and limitations under the License.
+ */
+
+"use strict";
+
+var MAX_SNIPPET_LENGTH = 200;
+
+function getPosition(value) {
+    return (typeof value === 'number' && value > 0) ? value : null;
+}
+
+/**
+ * Creates a finding. ruleId is "<check id>/<rule>" and severity 'error',
+ * 'warning' or 'info'. location can have the url of the resource, the line,
+ * the column, the snippet and the fix.
+ * */
+function create(ruleId, severity, message, location) {
+    location = location || {};
+
+    var snippet = location.snippet ? String(location.snippet).trim() : null;
+    if (snippet && snippet.length > MAX_SNIPPET_LENGTH) {
+        snippet = snippet.substring(0, MAX_SNIPPET_LENGTH) + '...';
+    }
+
+    return {
+        ruleId: ruleId,
+        severity: severity,
+        message: message,
+        url: location.url || null,
+        line: getPosition(location.line),
+        column: getPosition(location.column),
+        snippet: snippet,
+        fix: location.fix || null
+    };
+}
+
+/**
+ * Returns the absolute url of a resource of the website; embedded code is
+ * located in the page itself
+ * */
+function getResourceUrl(website, resourceUrl) {
+    if (!resourceUrl || resourceUrl === 'embed') {
+        return website.url.href;
+    }
+
+    return website.url.resolve(resourceUrl);
+}
+
+/**
+ * Returns the line (1 based) of a position in a text
+ * */
+function getLine(text, position) {
+    return text.substr(0, position).split('\n').length;
+}
+
+/**
+ * Returns the text of a line (1 based)
+ * */
+function getLineText(text, line) {
+    return (text || '').split('\n')[line - 1] || null;
+}
+
+/**
+ * Makes sure the result of a check has findings. Results of checks that
+ * don't create them get a generic finding when they fail.
+ * */
+function complete(result, manifest) {
+    if (!result || typeof result !== 'object') {
+        return result;
+    }
+
+    if (!Array.isArray(result.findings)) {
+        result.findings = [];
+
+        if (result.passed === false) {
+            result.findings.push(create(manifest.id, manifest.severity, manifest.title + ' check failed'));
+        }
+    }
+
+    return result;
+}
+
+module.exports.create = create;
+module.exports.getResourceUrl = getResourceUrl;
+module.exports.getLine = getLine;
+module.exports.getLineText = getLineText;
+module.exports.complete = complete;
@@ -20,16 +20,166 @@
 var fs = require('fs'),
     tests = [],
     path = require('path'),
+    config = require('./config.js'),
+    root = path.join(__dirname, '..', '..'),
     cssprefixescheck = require('./check-cssprefixes.js'),
-    whitelistReader = require('./loadwhitelist.js');
+    whitelistReader = require('./loadwhitelist.js'),
+    resources = ['css', 'js', 'cvlist'],
+    severities = ['error', 'warning', 'info'];
 
 var whitelistedProperties = whitelistReader.load(path.join(__dirname, "whitelisted-properties.json"));
 cssprefixescheck.whitelist(whitelistedProperties);
 
-fs.readdirSync(__dirname).forEach(function (file) {
-    if (file.indexOf('check') === 0 && file.indexOf('.json') < 0) {
-        tests.push(require(path.join(__dirname, file)));
+/**
+ * Validates the manifest of a check and fills in the optional fields.
+ * A check is a module that exports a check(website) function that returns
+ * a promise and a manifest with:
+ *  - id: the name of the check, the same as the testName of its results
+ *  - title, description: human-readable name and description
+ *  - severity: 'error', 'warning' or 'info'
+ *  - version
+ *  - requires: the resources loaded before running it ('css', 'js', 'cvlist')
+ *  - fetches: informative list of the additional requests it makes
+ *  - dependsOn: ids of the checks that have to finish before it starts
+ *  - deep: only run in deep scans
+ * */
+function getManifest(test, file) {
+    var manifest = test.manifest,
+        invalid = function (message) {
+            return new Error('Invalid check manifest in ' + file + ': ' + message);
+        };
+
+    if (typeof test.check !== 'function') {
+        throw invalid('missing check function');
+    }
+
+    if (!manifest || typeof manifest.id !== 'string' || !manifest.id) {
+        throw invalid('missing id');
+    }
+
+    manifest = {
+        id: manifest.id,
+        title: manifest.title || manifest.id,
+        description: manifest.description || '',
+        severity: manifest.severity || 'warning',
+        version: manifest.version || '0.0.0',
+        requires: manifest.requires || [],
+        fetches: manifest.fetches || [],
+        dependsOn: manifest.dependsOn || [],
+        deep: !!manifest.deep
+    };
+
+    if (severities.indexOf(manifest.severity) === -1) {
+        throw invalid('unknown severity ' + manifest.severity);
     }
+
+    manifest.requires.forEach(function (resource) {
+        if (resources.indexOf(resource) === -1) {
+            throw invalid('unknown resource ' + resource);
+        }
+    });
+
+    return manifest;
+}
+
+/**
+ * Sorts the checks so every check comes after the ones it depends on
+ * */
+function sortTests(list) {
+    var sorted = [],
+        visiting = {},
+        byId = {};
+
+    list.forEach(function (test) {
+        if (byId[test.manifest.id]) {
+            throw new Error('Duplicated check id: ' + test.manifest.id);
+        }
+        byId[test.manifest.id] = test;
+    });
+
+    function visit(test) {
+        var id = test.manifest.id;
+
+        if (sorted.indexOf(test) !== -1) {
+            return;
+        }
+
+        if (visiting[id]) {
+            throw new Error('Circular dependency in check ' + id);
+        }
+
+        visiting[id] = true;
+        test.manifest.dependsOn.forEach(function (dependency) {
+            if (!byId[dependency]) {
+                throw new Error('Check ' + id + ' depends on unknown check ' + dependency);
+            }
+            visit(byId[dependency]);
+        });
+        visiting[id] = false;
+
+        sorted.push(test);
+    }
+
+    list.forEach(visit);
+
+    return sorted;
+}
+
+/**
+ * Returns the manifests of all the checks, in the order they are run
+ * */
+function getManifests() {
+    return tests.map(function (test) {
+        return test.manifest;
+    });
+}
+
+/**
+ * Loads the check-*.js files of a directory
+ * */
+function loadDirectory(directory) {
+    var loaded = [];
+
+    fs.readdirSync(directory).forEach(function (file) {
+        if (file.indexOf('check') === 0 && path.extname(file) === '.js') {
+            var test = require(path.join(directory, file));
+            test.manifest = getManifest(test, file);
+            loaded.push(test);
+        }
+    });
+
+    return loaded;
+}
+
+/**
+ * Loads the checks of an npm package. The package exports a check or,
+ * if it has several, an array of checks in module.exports.checks.
+ * */
+function loadPackage(name) {
+    var plugin = require(name),
+        list = Array.isArray(plugin.checks) ? plugin.checks : [plugin];
+
+    return list.map(function (test) {
+        test.manifest = getManifest(test, name);
+        return test;
+    });
+}
+
+tests = loadDirectory(__dirname);
+
+config.check_plugin_directories.forEach(function (directory) {
+    tests = tests.concat(loadDirectory(path.resolve(root, directory.trim())));
 });
 
-module.exports.tests = tests;
\ No newline at end of file
+config.check_plugin_packages.forEach(function (name) {
+    tests = tests.concat(loadPackage(name.trim()));
+});
+
+tests = sortTests(tests);
+
+module.exports.tests = tests;
+module.exports.manifests = getManifests;
+module.exports.validate = getManifest;
+module.exports.sort = sortTests;
+module.exports.loadDirectory = loadDirectory;
+module.exports.loadPackage = loadPackage;
\ No newline at end of file
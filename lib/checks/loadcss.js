@@ -20,6 +20,7 @@
 
 var request = require('request'),
     config = require('./config.js'),
+    politeness = require('../politeness.js'),
     CSSLintRules = ['auto-imports'],
     CSSLint = require('./csslint.js').CSSLint,
     promised = require("promised-io/promise"),
@@ -27,30 +28,74 @@ var request = require('request'),
     url = require('url'),
     cssPromises;
 
-request = request.defaults({
+request = politeness.wrap(request.defaults({
     jar: false,
     proxy: process.env.HTTP_PROXY || process.env.http_proxy,
     headers: {
         'Accept-Language': 'en-US,en;q=0.5',
-        'User-Agent': config.user_agent_edge}});
+        'User-Agent': config.user_agent_edge}}));
 
 // parseCSS and parseCSSfromUrl call each other so we tell jshint to cool it
 /*jshint latedef: false*/
 
+/**
+ * Returns the style sheet submitted along with the document for the given URL (if any)
+ * */
+function getSubmittedCSS(website, cssUrl) {
+    var bundles = website.resources ? website.resources.css : [];
+
+    for (var i = 0; i < bundles.length; i++) {
+        if (bundles[i].url === cssUrl) {
+            bundles[i].used = true;
+            return bundles[i];
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Requests a style sheet, unless it was submitted along with the document
+ * */
+function requestCSS(params, website, callback) {
+    var submitted = getSubmittedCSS(website, params.uri);
+
+    if (submitted) {
+        process.nextTick(function () {
+            callback(null, { statusCode: 200 }, submitted.content);
+        });
+    } else {
+        request(params, callback);
+    }
+}
+
 function parseCSSfromUrl(cssUrl, media, website) {
     var deferred = new Deferred(),
         params = {
             uri: cssUrl,
             headers: {'Accept': 'text/html, application/xhtml+xml, */*'},
-            timeout: 40000
+            timeout: website.timeout || 40000
         },
         auth = website.auth;
     if (auth) {
         params.auth = auth;
     }
+    if (website.userAgent) {
+        params.headers['User-Agent'] = website.userAgent;
+    }
 
     website.cssParsedUrls.push(cssUrl);
-    request(params, function (error, response, body) {
+    requestCSS(params, website, function (error, response, body) {
+            if (website.progress) {
+                website.progress({
+                    type: 'resource',
+                    resource: 'css',
+                    url: cssUrl,
+                    statusCode: response ? response.statusCode : null,
+                    error: error ? String(error) : null
+                });
+            }
+
             if (!error && response.statusCode === 200) {
                 parseCSS(body, cssUrl, media, false, website).then(function (results) {
                     deferred.resolve(results);
@@ -156,6 +201,21 @@ function check(website) {
         }
     }
 
+    // Submitted style sheets the document doesn't link to are analyzed as well
+    if (website.resources) {
+        website.resources.css.forEach(function (bundle) {
+            if (bundle.used) {
+                return;
+            }
+
+            if (!bundle.url) {
+                cssPromises.push(parseCSS(bundle.content, website.url, undefined, true, website));
+            } else if (website.cssParsedUrls.indexOf(bundle.url) === -1) {
+                cssPromises.push(parseCSSfromUrl(bundle.url, undefined, website));
+            }
+        });
+    }
+
     if (cssPromises.length > 0) {
         promised.all(cssPromises).then(function (array) {
             // Flatten the nested arrays
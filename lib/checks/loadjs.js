@@ -20,29 +20,77 @@
 
 var request = require('request'),
     config = require('./config.js'),
+    politeness = require('../politeness.js'),
     promised = require("promised-io/promise"),
     Deferred = require('promised-io').Deferred,
     url = require('url');
 
-request = request.defaults({
+request = politeness.wrap(request.defaults({
     jar: false,
     proxy: process.env.HTTP_PROXY || process.env.http_proxy,
     headers: {
         'Accept-Language': 'en-US,en;q=0.5',
-        'User-Agent': config.user_agent_edge}});
+        'User-Agent': config.user_agent_edge}}));
 
-function downloadJS(jsUrl, jsHref, auth) {
+/**
+ * Returns the script submitted along with the document for the given URL (if any)
+ * */
+function getSubmittedJS(website, jsUrl) {
+    var bundles = website.resources ? website.resources.js : [];
+
+    for (var i = 0; i < bundles.length; i++) {
+        if (bundles[i].url === jsUrl) {
+            bundles[i].used = true;
+            return bundles[i];
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Reports a downloaded script to the progress function of the scan (if any)
+ * */
+function notify(website, jsUrl, statusCode, error) {
+    if (website.progress) {
+        website.progress({
+            type: 'resource',
+            resource: 'js',
+            url: jsUrl,
+            statusCode: statusCode,
+            error: error ? String(error) : null
+        });
+    }
+}
+
+function downloadJS(jsUrl, jsHref, website) {
     var jsDeferred = new Deferred(),
         parameters = {uri: jsUrl,
-            timeout: 40000,
+            timeout: website.timeout || 40000,
             headers: {
-                'Accept': 'text/html, application/xhtml+xml, */*'}};
+                'Accept': 'text/html, application/xhtml+xml, */*'}},
+        submitted = getSubmittedJS(website, jsUrl);
 
-    if (auth) {
-        parameters.auth = auth;
+    if (submitted) {
+        process.nextTick(function () {
+            notify(website, jsUrl, 200, null);
+            jsDeferred.resolve({url: url, jsUrl: jsHref, finalUrl: jsUrl, content: submitted.content});
+        });
+
+        return jsDeferred.promise;
+    }
+
+    if (website.auth) {
+        parameters.auth = website.auth;
+    }
+
+    if (website.userAgent) {
+        parameters.headers['User-Agent'] = website.userAgent;
     }
 
     request(parameters, function (error, response, body) {
+        notify(website, jsUrl, response ? response.statusCode : null, error);
+
         if (!error && response.statusCode === 200) {
             response.on('error', function (e) {
                 console.log('loading CSS' + e);
@@ -71,7 +119,7 @@ function check(website) {
         if (jsHref) {
             if (jsHref) {
                 jsUrl = url.resolve(website.url, jsHref);
-                jsPromises.push(downloadJS(jsUrl, jsHref, website.auth));
+                jsPromises.push(downloadJS(jsUrl, jsHref, website));
             }
         } else if (jsLinks[i].children[0] && jsLinks[i].children[0].data) {
             // Some <script> tags that do not contain anything. We ignore those
@@ -79,6 +127,15 @@ function check(website) {
         }
     }
 
+    // Submitted scripts the document doesn't reference are analyzed as well
+    if (website.resources) {
+        website.resources.js.forEach(function (bundle) {
+            if (!bundle.used) {
+                js.push({jsUrl: bundle.url || 'embed', content: bundle.content});
+            }
+        });
+    }
+
     if (jsPromises.length > 0) {
         promised.all(jsPromises).then(function (array) {
             for (i = 0; i < array.length; i++) {
@@ -0,0 +1,309 @@
+/**
+ * Description: Command line interface of the scanner (see scan.js). Scans one
+ * or more sites and writes their reports in the requested format.
+ *
+ * Copyright (c) Microsoft Corporation; All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this
+ * file except in compliance with the License. You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * THIS CODE IS PROVIDED AS IS BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, EITHER
+ * EXPRESS OR IMPLIED, INCLUDING WITHOUT LIMITATION ANY IMPLIED WARRANTIES OR CONDITIONS
+ * OF TITLE, FITNESS FOR A PARTICULAR PURPOSE, MERCHANTABLITY OR NON-INFRINGEMENT.
+ *
+ * See the Apache Version 2.0 License for specific language governing permissions
+ * and limitations under the License.
+ */
+
+"use strict";
+
+var fs = require('fs'),
+    parseArgs = require('minimist'),
+    config = require('./checks/config.js'),
+    report = require('./report.js'),
+    reporters = require('./reporters'),
+    scanner = require('./scanner.js'),
+    sitemap = require('./sitemap.js');
+
+var usage = [
+    'Usage: node scan.js [options] <url>...',
+    '',
+    'Options:',
+    '  --file=<file>          file with the urls to scan, one per line (first column of a CSV)',
+    '  --sitemap=<sitemap>    url or file of a sitemap or sitemap index (gzipped too) with the pages to scan',
+    '  --sitemap-sample=<n>   pages with the highest priority scanned of each sitemap (default: all)',
+    '  --sitemap-priority=<p> minimum priority of the pages of the sitemaps scanned',
+    '  --user=<user>          user of sites that require authentication',
+    '  --password=<password>  password of sites that require authentication',
+    '  --deep                 run the deep checks too',
+    '  --checks=<ids>         comma separated list of the checks to run',
+    '  --skip=<ids>           comma separated list of the checks not to run',
+    '  --user-agent=<ua>      user agent of the requests',
+    '  --timeout=<seconds>    timeout of the requests',
+    '  --format=<format>      ' + reporters.formats.join(', ') + ' (default: json)',
+    '  --output=<file>        file to write the report to (default: the console)',
+    '  --fail-on=<ids>        exit with code 1 when some of these checks fail',
+    '  --help                 show this help',
+    '',
+    'Exit codes: 0 done, 1 checks failed, 2 sites that could not be scanned, 3 invalid arguments.',
+    'Codes 1 and 2 are only used with --fail-on or --format=junit.'
+].join('\n');
+
+/**
+ * Splits a comma separated list
+ * */
+function parseList(value) {
+    if (typeof value !== 'string') {
+        return [];
+    }
+
+    return value.split(',').map(function (item) {
+        return item.trim();
+    }).filter(function (item) {
+        return item !== '';
+    });
+}
+
+/**
+ * Adds the protocol to urls without one (e.g. www.contoso.com)
+ * */
+function normalizeUrl(value) {
+    return (/^https?:\/\//i).test(value) ? value : 'http://' + value;
+}
+
+/**
+ * Returns the urls of a file: a url per line, or the first column of a CSV.
+ * Empty lines and lines starting with # are skipped.
+ * */
+function readUrls(file) {
+    return fs.readFileSync(file, 'utf8').split(/\r?\n/).map(function (line) {
+        return line.split(',')[0].trim();
+    }).filter(function (line) {
+        return line !== '' && line.charAt(0) !== '#' && line.toLowerCase() !== 'url';
+    });
+}
+
+/**
+ * Parses the arguments of the command line. Throws an error when they are invalid.
+ * */
+function parse(args) {
+    var argv = parseArgs(args, {
+            string: ['file', 'sitemap', 'user', 'password', 'checks', 'skip', 'user-agent', 'format', 'output', 'fail-on'],
+            boolean: ['deep', 'help']
+        }),
+        options = {
+            help: argv.help,
+            urls: argv._.map(String),
+            sitemaps: [].concat(argv.sitemap || []),
+            sitemapSample: null,
+            sitemapPriority: null,
+            user: argv.user || null,
+            password: argv.password || null,
+            deep: argv.deep,
+            checks: parseList(argv.checks),
+            skip: parseList(argv.skip),
+            userAgent: argv['user-agent'] || null,
+            timeout: null,
+            format: argv.format || 'json',
+            output: argv.output || null,
+            gate: typeof argv['fail-on'] === 'string' || argv.format === 'junit',
+            failOn: typeof argv['fail-on'] === 'string' ? parseList(argv['fail-on']) : config.cli_failing_checks
+        };
+
+    if (options.help) {
+        return options;
+    }
+
+    if (typeof argv.timeout !== 'undefined') {
+        options.timeout = Number(argv.timeout) * 1000;
+        if (isNaN(options.timeout) || options.timeout <= 0) {
+            throw new Error('Invalid timeout ' + argv.timeout);
+        }
+    }
+
+    if (typeof argv['sitemap-sample'] !== 'undefined') {
+        options.sitemapSample = Number(argv['sitemap-sample']);
+        if (isNaN(options.sitemapSample) || options.sitemapSample < 0 || options.sitemapSample % 1 !== 0) {
+            throw new Error('Invalid sitemap sample ' + argv['sitemap-sample']);
+        }
+    }
+
+    if (typeof argv['sitemap-priority'] !== 'undefined') {
+        options.sitemapPriority = Number(argv['sitemap-priority']);
+        if (isNaN(options.sitemapPriority) || options.sitemapPriority < 0 || options.sitemapPriority > 1) {
+            throw new Error('Invalid sitemap priority ' + argv['sitemap-priority']);
+        }
+    }
+
+    if (!reporters.get(options.format)) {
+        throw new Error('Unknown format ' + options.format + '. Use one of: ' + reporters.formats.join(', '));
+    }
+
+    if (argv.file) {
+        options.urls = options.urls.concat(readUrls(argv.file));
+    }
+
+    if (options.urls.length === 0 && options.sitemaps.length === 0) {
+        throw new Error('No urls to scan');
+    }
+
+    options.urls = options.urls.map(normalizeUrl);
+
+    return options;
+}
+
+/**
+ * Adds the pages of the sitemaps to the urls to scan. Calls back with the error
+ * of the first sitemap that can't be loaded.
+ * */
+function loadSitemaps(options, callback) {
+    var sampling = {
+        sample: options.sitemapSample === null ? undefined : options.sitemapSample,
+        minPriority: options.sitemapPriority === null ? undefined : options.sitemapPriority
+    };
+
+    function next(index) {
+        if (index === options.sitemaps.length) {
+            callback(null);
+            return;
+        }
+
+        console.error('Reading the sitemap ' + options.sitemaps[index]);
+
+        sitemap.expand(options.sitemaps[index], sampling, function (err, pages, errors) {
+            if (err) {
+                callback(new Error('Error reading the sitemap ' + options.sitemaps[index] + ': ' + (err.message || err)));
+                return;
+            }
+
+            errors.forEach(function (failed) {
+                console.error('Error reading the sitemap ' + failed.sitemap + ': ' + failed.error);
+            });
+
+            pages.forEach(function (page) {
+                if (options.urls.indexOf(page.url) === -1) {
+                    options.urls.push(page.url);
+                }
+            });
+
+            next(index + 1);
+        });
+    }
+
+    next(0);
+}
+
+/**
+ * Scans the sites one after another and calls back with their reports
+ * */
+function scanAll(options, callback) {
+    var reports = [],
+        scanOptions = {
+            deep: options.deep,
+            checks: options.checks,
+            skip: options.skip,
+            userAgent: options.userAgent,
+            timeout: options.timeout
+        };
+
+    function next(index) {
+        if (index === options.urls.length) {
+            callback(reports);
+            return;
+        }
+
+        var urlToAnalyze = options.urls[index];
+        console.error('Scanning ' + urlToAnalyze);
+
+        scanner.scan(urlToAnalyze, options.user, options.password, scanOptions, function (err, data) {
+            if (err) {
+                console.error('Error scanning ' + urlToAnalyze + ': ' + (err.message || err));
+                reports.push(report.createError(urlToAnalyze, err));
+            } else {
+                reports.push(report.create(urlToAnalyze, data.start, data.results));
+            }
+
+            next(index + 1);
+        });
+    }
+
+    next(0);
+}
+
+/**
+ * Returns the exit code of the reports of a scan
+ * */
+function getExitCode(reports, options) {
+    if (!options.gate) {
+        return 0;
+    }
+
+    if (reports.some(function (result) { return result.error; })) {
+        return 2;
+    }
+
+    var failed = reports.some(function (result) {
+        return report.getFailedChecks(result, options.failOn).length > 0;
+    });
+
+    return failed ? 1 : 0;
+}
+
+/**
+ * Runs the command line and calls back with the exit code
+ * */
+function run(args, callback) {
+    var options;
+
+    try {
+        options = parse(args);
+    } catch (e) {
+        console.error(e.message);
+        console.error(usage);
+        process.nextTick(function () {
+            callback(3);
+        });
+        return;
+    }
+
+    if (options.help) {
+        console.log(usage);
+        process.nextTick(function () {
+            callback(0);
+        });
+        return;
+    }
+
+    loadSitemaps(options, function (err) {
+        if (err) {
+            console.error(err.message);
+            callback(3);
+            return;
+        }
+
+        if (options.urls.length === 0) {
+            console.error('No urls to scan');
+            callback(3);
+            return;
+        }
+
+        scanAll(options, function (reports) {
+            var output = reporters.get(options.format).format(reports);
+
+            if (options.output) {
+                fs.writeFileSync(options.output, output);
+                console.error('Report written to ' + options.output);
+            } else {
+                process.stdout.write(output);
+            }
+
+            callback(getExitCode(reports, options));
+        });
+    });
+}
+
+module.exports.parse = parse;
+module.exports.readUrls = readUrls;
+module.exports.getExitCode = getExitCode;
+module.exports.run = run;
@@ -0,0 +1,246 @@
+/**
+ * Description: Differences between the results of two runs of the webjob: the
+ * sites that newly fail or newly pass each check, the sites added to or removed
+ * from the list of websites and the sites whose error comment changed.
+ *
+ * Copyright (c) Microsoft Corporation; All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this
+ * file except in compliance with the License. You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * THIS CODE IS PROVIDED AS IS BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, EITHER
+ * EXPRESS OR IMPLIED, INCLUDING WITHOUT LIMITATION ANY IMPLIED WARRANTIES OR CONDITIONS
+ * OF TITLE, FITNESS FOR A PARTICULAR PURPOSE, MERCHANTABLITY OR NON-INFRINGEMENT.
+ *
+ * See the Apache Version 2.0 License for specific language governing permissions
+ * and limitations under the License.
+ */
+
+"use strict";
+
+var csv = require('csv'),
+    quote = require('./reporters/csv.js').quote,
+    // results06-01-2015_.csv and completedresults06-01-2015_.csv
+    resultsFilePattern = /^(completed)?results(\d{2})-(\d{2})-(\d{4})_\.csv$/,
+    diffFilePattern = /^diff(\d{2}-\d{2}-\d{4}_)\.json$/;
+
+/**
+ * Returns the suffix of the run of a results file name, or null if it isn't one
+ * */
+function getRun(name) {
+    var match = resultsFilePattern.exec(name);
+
+    return match ? match[2] + '-' + match[3] + '-' + match[4] + '_' : null;
+}
+
+/**
+ * Returns a sortable date (YYYYMMDD) of the suffix of a run (MM-DD-YYYY_)
+ * */
+function getRunDate(run) {
+    var parts = run.split(/[\-_]/);
+
+    return parts[2] + parts[0] + parts[1];
+}
+
+/**
+ * Returns the name of the results file of the last run before the date (YYYYMMDD),
+ * or of the last run when there is no date, or null. The completed results file
+ * of a run is used if there is one. Names that aren't results files are skipped.
+ * */
+function findLast(names, date) {
+    var previous = null;
+
+    names.forEach(function (name) {
+        var nameRun = getRun(name);
+
+        if (!nameRun || (date && getRunDate(nameRun) >= date)) {
+            return;
+        }
+
+        if (!previous || getRunDate(nameRun) > getRunDate(getRun(previous)) ||
+                (nameRun === getRun(previous) && name.indexOf('completed') === 0)) {
+            previous = name;
+        }
+    });
+
+    return previous;
+}
+
+/**
+ * Returns the name of the results file of the last run before the run, or null
+ * */
+function findPreviousResults(names, run) {
+    return findLast(names, getRunDate(run));
+}
+
+/**
+ * Returns the name of the results file of the last run, or null
+ * */
+function findLastResults(names) {
+    return findLast(names, null);
+}
+
+/**
+ * Returns the suffix of the last run with differences (diff<suffix>.json), or null
+ * */
+function findLastDiff(names) {
+    var last = null;
+
+    names.forEach(function (name) {
+        var match = diffFilePattern.exec(name);
+
+        if (match && (!last || getRunDate(match[1]) > getRunDate(last))) {
+            last = match[1];
+        }
+    });
+
+    return last;
+}
+
+/**
+ * Parses a results file of the webjob (rank, area, url, a column per check,
+ * comments, score and grade) into a map of sites by url with the result of each
+ * check (1, 0 or N/A), the comment, the score and the grade. checks are the ids
+ * of the check columns of files without header.
+ * */
+function parseResults(text, checks, callback) {
+    csv().from.string(text || '').to.array(function (rows) {
+        var sites = {};
+
+        // The columns of the list of websites carried to the results follow grade
+        if (rows.length > 0 && rows[0][2] === 'url') {
+            var header = rows.shift(),
+                end = header.indexOf('comments');
+
+            checks = header.slice(3, end === -1 ? header.length : end).filter(function (column) {
+                return ['comments', 'score', 'grade'].indexOf(column) === -1;
+            });
+        }
+
+        rows.forEach(function (row) {
+            var url = (row[2] || '').trim(),
+                site = {
+                    url: url,
+                    rank: (row[0] || '').trim(),
+                    area: (row[1] || '').trim(),
+                    tests: {},
+                    comment: row[3 + checks.length] || '',
+                    score: (row[4 + checks.length] || '').trim(),
+                    grade: (row[5 + checks.length] || '').trim()
+                };
+
+            if (!url) {
+                return;
+            }
+
+            checks.forEach(function (id, index) {
+                site.tests[id] = (row[3 + index] || '').trim();
+            });
+
+            sites[url] = site;
+        });
+
+        callback(null, { checks: checks, sites: sites });
+    }).on('error', function (err) {
+        callback(err, null);
+    });
+}
+
+/**
+ * Compares the results of the previous and the current run, as returned by
+ * parseResults. Only the checks of both runs are compared.
+ * */
+function compare(previous, current) {
+    var checks = current.checks.filter(function (id) {
+            return previous.checks.indexOf(id) !== -1;
+        }),
+        diff = {
+            checks: checks,
+            added: [],
+            removed: [],
+            newlyFailing: {},
+            newlyPassing: {},
+            commentChanged: []
+        };
+
+    checks.forEach(function (id) {
+        diff.newlyFailing[id] = [];
+        diff.newlyPassing[id] = [];
+    });
+
+    Object.keys(current.sites).forEach(function (url) {
+        var site = current.sites[url],
+            previousSite = previous.sites[url];
+
+        if (!previousSite) {
+            diff.added.push(url);
+            return;
+        }
+
+        checks.forEach(function (id) {
+            if (previousSite.tests[id] === '1' && site.tests[id] === '0') {
+                diff.newlyFailing[id].push(url);
+            } else if (previousSite.tests[id] === '0' && site.tests[id] === '1') {
+                diff.newlyPassing[id].push(url);
+            }
+        });
+
+        if (previousSite.comment !== site.comment) {
+            diff.commentChanged.push({ url: url, previous: previousSite.comment, current: site.comment });
+        }
+    });
+
+    Object.keys(previous.sites).forEach(function (url) {
+        if (!current.sites[url]) {
+            diff.removed.push(url);
+        }
+    });
+
+    return diff;
+}
+
+/**
+ * Formats a diff as CSV: a row per change with the change (added, removed,
+ * newly failing, newly passing or comment changed), the check, the url and the
+ * previous and current comments
+ * */
+function toCsv(diff) {
+    var lines = ['change,check,url,previous,current'];
+
+    function addLine(values) {
+        lines.push(values.map(quote).join(','));
+    }
+
+    diff.added.forEach(function (url) {
+        addLine(['added', '', url, '', '']);
+    });
+
+    diff.removed.forEach(function (url) {
+        addLine(['removed', '', url, '', '']);
+    });
+
+    diff.checks.forEach(function (id) {
+        diff.newlyFailing[id].forEach(function (url) {
+            addLine(['newly failing', id, url, '1', '0']);
+        });
+        diff.newlyPassing[id].forEach(function (url) {
+            addLine(['newly passing', id, url, '0', '1']);
+        });
+    });
+
+    diff.commentChanged.forEach(function (change) {
+        addLine(['comment changed', '', change.url, change.previous, change.current]);
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+module.exports.getRun = getRun;
+module.exports.getRunDate = getRunDate;
+module.exports.findPreviousResults = findPreviousResults;
+module.exports.findLastResults = findLastResults;
+module.exports.findLastDiff = findLastDiff;
+module.exports.parseResults = parseResults;
+module.exports.compare = compare;
+module.exports.toCsv = toCsv;
@@ -0,0 +1,428 @@
+/**
+ * Description: History of the results of the webjob runs, kept in an embedded
+ * database. There is a document per run (its id is the suffix of the files of
+ * the run, e.g. 06-01-2015_) and a document per site and run, so the history of
+ * a site can be queried across runs. The database is in memory, so the full
+ * reports of the scans are files next to it, and only the last history_max_runs
+ * runs are kept.
+ *
+ * Copyright (c) Microsoft Corporation; All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this
+ * file except in compliance with the License. You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * THIS CODE IS PROVIDED AS IS BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, EITHER
+ * EXPRESS OR IMPLIED, INCLUDING WITHOUT LIMITATION ANY IMPLIED WARRANTIES OR CONDITIONS
+ * OF TITLE, FITNESS FOR A PARTICULAR PURPOSE, MERCHANTABLITY OR NON-INFRINGEMENT.
+ *
+ * See the Apache Version 2.0 License for specific language governing permissions
+ * and limitations under the License.
+ */
+
+"use strict";
+
+var Datastore = require('nedb'),
+    crypto = require('crypto'),
+    fs = require('fs'),
+    path = require('path'),
+    config = require('./checks/config.js'),
+    scoring = require('./score.js'),
+    stores = null,
+    compaction = null;
+
+/**
+ * Returns the databases of the runs and the sites, opening them the first time,
+ * and the directory of the reports. The directory is history_directory in
+ * config.js unless another one is given. The database files are compacted every
+ * history_compaction_interval milliseconds.
+ * */
+function open(directory) {
+    if (!stores || directory) {
+        directory = directory || config.history_directory;
+        stores = {
+            runs: new Datastore({ filename: path.join(directory, 'runs.db'), autoload: true }),
+            sites: new Datastore({ filename: path.join(directory, 'sites.db'), autoload: true }),
+            reports: path.join(directory, 'reports')
+        };
+        stores.sites.ensureIndex({ fieldName: 'site' });
+        stores.sites.ensureIndex({ fieldName: 'run' });
+
+        clearInterval(compaction);
+        compaction = setInterval(function () {
+            stores.runs.persistence.compactDatafile();
+            stores.sites.persistence.compactDatafile();
+        }, config.history_compaction_interval);
+
+        if (compaction.unref) {
+            compaction.unref();
+        }
+    }
+
+    return stores;
+}
+
+/**
+ * Returns the file of the report of a site in a run. Its name is a hash, as the
+ * run and the site come from the requests.
+ * */
+function getReportFile(run, site) {
+    return path.join(open().reports, crypto.createHash('sha1').update(run + '\n' + site).digest('hex') + '.json');
+}
+
+/**
+ * Saves the report of a site in a run to its file
+ * */
+function writeReport(run, site, report, callback) {
+    fs.mkdir(open().reports, function (err) {
+        if (err && err.code !== 'EEXIST') {
+            callback(err);
+            return;
+        }
+
+        fs.writeFile(getReportFile(run, site), JSON.stringify(report), callback);
+    });
+}
+
+/**
+ * Removes the report files of the sites (if any), ignoring the missing ones
+ * */
+function removeReports(docs, callback) {
+    var pending = docs.length;
+
+    if (pending === 0) {
+        callback();
+        return;
+    }
+
+    docs.forEach(function (doc) {
+        fs.unlink(getReportFile(doc.run, doc.site), function () {
+            if (--pending === 0) {
+                callback();
+            }
+        });
+    });
+}
+
+/**
+ * Returns whether each check of a report passed, by check id
+ * */
+function getPassed(report) {
+    var passed = {};
+
+    Object.keys((report && report.results) || {}).forEach(function (id) {
+        passed[id] = !!report.results[id].passed;
+    });
+
+    return passed;
+}
+
+/**
+ * Removes the runs after the last history_max_runs ones (the newest first, as
+ * getRuns returns them) with their sites and reports. All of them are kept when
+ * it is 0.
+ * */
+function prune(callback) {
+    var db = open();
+
+    if (!config.history_max_runs) {
+        callback(null);
+        return;
+    }
+
+    db.runs.find({}).sort({ started: -1, _id: -1 }).skip(config.history_max_runs).exec(function (err, runs) {
+        var ids = (runs || []).map(function (run) {
+            return run._id;
+        });
+
+        if (err || ids.length === 0) {
+            callback(err || null);
+            return;
+        }
+
+        db.sites.find({ run: { $in: ids } }, { run: 1, site: 1 }, function (err, docs) {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            removeReports(docs, function () {
+                db.sites.remove({ run: { $in: ids } }, { multi: true }, function (err) {
+                    if (err) {
+                        callback(err);
+                        return;
+                    }
+
+                    db.runs.remove({ _id: { $in: ids } }, { multi: true }, function (err) {
+                        callback(err || null);
+                    });
+                });
+            });
+        });
+    });
+}
+
+/**
+ * Creates or updates a run, and removes the oldest runs past history_max_runs.
+ * fields can have the file of websites, the started and finished dates, the
+ * number of sites and of errors.
+ * */
+function saveRun(run, fields, callback) {
+    var update = {};
+
+    ['file', 'started', 'finished', 'sites', 'errorCount'].forEach(function (name) {
+        if (fields.hasOwnProperty(name)) {
+            update[name] = fields[name];
+        }
+    });
+
+    open().runs.update({ _id: run }, { $set: update }, { upsert: true }, function (err) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        prune(callback);
+    });
+}
+
+/**
+ * Saves the result of a site in a run (replacing the previous one of the run, if
+ * any). data has the site, its rank and area, the report of the scan (result) or
+ * the error. The score and the checks that passed are taken from the report.
+ * */
+function saveSite(run, data, callback) {
+    var report = data.result || null,
+        scored = (report && report.results && typeof report.score === 'undefined') ? scoring.score(report.results) : (report || {}),
+        doc = {
+            run: run,
+            site: data.site,
+            rank: data.rank || null,
+            area: data.area || null,
+            date: data.date || new Date().toISOString(),
+            score: typeof scored.score === 'number' ? scored.score : null,
+            grade: scored.grade || null,
+            passed: getPassed(report),
+            error: data.error || null,
+            // The report is in its file, so the database only keeps the summary in memory
+            report: !!report
+        },
+        db = open();
+
+    db.sites.update({ run: run, site: doc.site }, doc, { upsert: true }, function (err) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        function saved(err) {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            // Runs are created by their first site if they weren't saved before
+            db.runs.update({ _id: run }, { $set: { updated: doc.date } }, { upsert: true }, function (err) {
+                callback(err || null);
+            });
+        }
+
+        if (report) {
+            writeReport(run, doc.site, report, saved);
+        } else {
+            // The report of a previous result of the site in the run
+            removeReports([doc], saved);
+        }
+    });
+}
+
+/**
+ * Returns a document without the id of the database and the report flag
+ * */
+function toResult(doc) {
+    delete doc._id;
+    delete doc.report;
+
+    return doc;
+}
+
+/**
+ * Reads the reports of the documents from their files into their result (null
+ * for the sites without report) and returns the documents as results
+ * */
+function readReports(docs, callback) {
+    var pending = docs.length;
+
+    if (pending === 0) {
+        callback(null, []);
+        return;
+    }
+
+    docs.forEach(function (doc) {
+        if (!doc.report) {
+            doc.result = null;
+            if (--pending === 0) {
+                callback(null, docs.map(toResult));
+            }
+            return;
+        }
+
+        fs.readFile(getReportFile(doc.run, doc.site), 'utf8', function (err, text) {
+            try {
+                doc.result = err ? null : JSON.parse(text);
+            } catch (e) {
+                doc.result = null;
+            }
+
+            if (--pending === 0) {
+                callback(null, docs.map(toResult));
+            }
+        });
+    });
+}
+
+/**
+ * Returns the runs, the newest first
+ * */
+function getRuns(callback) {
+    open().runs.find({}).sort({ started: -1, _id: -1 }).exec(function (err, runs) {
+        callback(err || null, (runs || []).map(function (run) {
+            run.run = run._id;
+            delete run._id;
+            return run;
+        }));
+    });
+}
+
+/**
+ * Returns a run and its sites (without the reports unless full is set), or null
+ * if the run doesn't exist
+ * */
+function getRun(run, full, callback) {
+    var db = open();
+
+    db.runs.findOne({ _id: run }, function (err, doc) {
+        if (err || !doc) {
+            callback(err || null, null);
+            return;
+        }
+
+        db.sites.find({ run: run }).sort({ site: 1 }).exec(function (err, sites) {
+            if (err) {
+                callback(err, null);
+                return;
+            }
+
+            doc.run = doc._id;
+            delete doc._id;
+
+            if (!full) {
+                doc.results = sites.map(toResult);
+                callback(null, doc);
+                return;
+            }
+
+            readReports(sites, function (err, results) {
+                doc.results = results;
+                callback(null, doc);
+            });
+        });
+    });
+}
+
+/**
+ * Returns the result of a site in a run, with its full report, or null
+ * */
+function getSite(run, site, callback) {
+    open().sites.findOne({ run: run, site: site }, function (err, doc) {
+        if (err || !doc) {
+            callback(err || null, null);
+            return;
+        }
+
+        readReports([doc], function (err, results) {
+            callback(null, results[0]);
+        });
+    });
+}
+
+/**
+ * Calls iterator with the site and the report of each site of a run that has
+ * one, reading the reports one after another so they aren't all in memory, and
+ * then the callback
+ * */
+function eachReport(run, iterator, callback) {
+    open().sites.find({ run: run, report: true }, { run: 1, site: 1, report: 1 }, function (err, docs) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        function next(index) {
+            if (index >= docs.length) {
+                callback(null);
+                return;
+            }
+
+            readReports([docs[index]], function (err, results) {
+                if (results[0].result) {
+                    iterator(results[0].site, results[0].result);
+                }
+
+                next(index + 1);
+            });
+        }
+
+        next(0);
+    });
+}
+
+/**
+ * Returns the results of a site in every run (without the reports), the oldest
+ * first, and since when each check has been failing: the run and date of the
+ * first of the consecutive failures up to the last run (null if it passes).
+ * */
+function getSiteHistory(site, callback) {
+    open().sites.find({ site: site }).sort({ date: 1 }).exec(function (err, docs) {
+        if (err) {
+            callback(err, null);
+            return;
+        }
+
+        var failingSince = {};
+
+        docs.forEach(function (doc) {
+            Object.keys(doc.passed).forEach(function (id) {
+                if (doc.passed[id]) {
+                    failingSince[id] = null;
+                } else if (!failingSince[id]) {
+                    failingSince[id] = { run: doc.run, date: doc.date };
+                }
+            });
+        });
+
+        callback(null, {
+            site: site,
+            failingSince: failingSince,
+            runs: docs.map(toResult)
+        });
+    });
+}
+
+/**
+ * Returns whether a key can save results in the history: it must be the
+ * history_key of config.js, and nothing can be saved while it is not set
+ * */
+function isAuthorized(key) {
+    return !!config.history_key && key === config.history_key;
+}
+
+module.exports.open = open;
+module.exports.saveRun = saveRun;
+module.exports.saveSite = saveSite;
+module.exports.getRuns = getRuns;
+module.exports.getRun = getRun;
+module.exports.getSite = getSite;
+module.exports.getSiteHistory = getSiteHistory;
+module.exports.eachReport = eachReport;
+module.exports.isAuthorized = isAuthorized;
@@ -0,0 +1,347 @@
+/**
+ * Description: In-process queue of scan jobs. A job is created and queued right
+ * away and the scans run in the background, a few at a time, so the callers
+ * poll the job instead of keeping the connection open while the checks run.
+ *
+ * Copyright (c) Microsoft Corporation; All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this
+ * file except in compliance with the License. You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * THIS CODE IS PROVIDED AS IS BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, EITHER
+ * EXPRESS OR IMPLIED, INCLUDING WITHOUT LIMITATION ANY IMPLIED WARRANTIES OR CONDITIONS
+ * OF TITLE, FITNESS FOR A PARTICULAR PURPOSE, MERCHANTABLITY OR NON-INFRINGEMENT.
+ *
+ * See the Apache Version 2.0 License for specific language governing permissions
+ * and limitations under the License.
+ */
+
+"use strict";
+
+var crypto = require('crypto'),
+    EventEmitter = require('events').EventEmitter,
+    config = require('./checks/config.js'),
+    report = require('./report.js'),
+    webhook = require('./webhook.js'),
+    scanner = require('./scanner.js');
+
+var jobs = {},
+    queue = [],
+    running = 0,
+    events = new EventEmitter(),
+    // Events the webjob posts to its batch jobs
+    batchEvents = ['site', 'finished'];
+
+// Every client of /api/v2/jobs/:id/events listens to the progress of the jobs
+events.setMaxListeners(0);
+
+// next and start call each other so we tell jshint to cool it
+/*jshint latedef: false*/
+
+/**
+ * Returns the public view of a job: everything but the parameters of the scan
+ * (they can have credentials) and the progress events
+ * */
+function describe(job) {
+    var description = {
+        id: job.id,
+        type: job.type,
+        status: job.status,
+        url: job.url,
+        created: job.created,
+        started: job.started,
+        finished: job.finished,
+        error: job.error,
+        result: job.result
+    };
+
+    if (job.type === 'batch') {
+        description.name = job.params.name;
+        description.total = job.params.total;
+    }
+
+    return description;
+}
+
+/**
+ * Returns true when a job is completed, failed or cancelled
+ * */
+function isFinished(job) {
+    return job.status !== 'queued' && job.status !== 'running';
+}
+
+/**
+ * Records a progress event of a job (its type is in event.type) with the next
+ * id and emits it. Only the last jobs_events_history events are kept.
+ * */
+function record(job, event) {
+    var entry = {
+        id: ++job.eventCount,
+        type: event.type,
+        data: event
+    };
+
+    job.progress.push(entry);
+    if (job.progress.length > config.jobs_events_history) {
+        job.progress.shift();
+    }
+
+    events.emit('progress', job, entry);
+}
+
+/**
+ * Removes a finished job once its retention time is over
+ * */
+function expire(job) {
+    var timer = setTimeout(function () {
+        delete jobs[job.id];
+    }, config.jobs_retention);
+
+    if (timer.unref) {
+        timer.unref();
+    }
+}
+
+/**
+ * Marks a job as finished with the status and the report or the error, and
+ * sends it to the callback url of the job (if any)
+ * */
+function finish(job, status, result, error) {
+    job.status = status;
+    job.result = result || null;
+    job.error = error || null;
+    job.finished = new Date().toISOString();
+    clearTimeout(job.timer);
+    expire(job);
+    record(job, { type: 'status', status: status, error: job.error });
+    events.emit('finished', job);
+
+    if (job.params.callback) {
+        webhook.send(job.params.callback, 'job.' + status, describe(job));
+    }
+}
+
+/**
+ * Restarts the timer that fails a running batch job when the webjob posts no
+ * event for jobs_batch_timeout milliseconds, so it expires like the other jobs
+ * */
+function watch(job) {
+    clearTimeout(job.timer);
+    job.timer = setTimeout(function () {
+        if (job.status === 'running') {
+            finish(job, 'failed', null, 'Error found: no event from the webjob in ' + config.jobs_batch_timeout + ' ms');
+        }
+    }, config.jobs_batch_timeout);
+
+    if (job.timer.unref) {
+        job.timer.unref();
+    }
+}
+
+/**
+ * Runs the scan of a job: the url, or the HTML document when it was submitted
+ * */
+function runScan(job, callback) {
+    var params = job.params,
+        options = {
+            deep: params.deep,
+            checks: params.checks,
+            skip: params.skip,
+            progress: function (event) {
+                // The scan of a cancelled job goes on, but it isn't reported
+                if (job.status === 'running') {
+                    record(job, event);
+                }
+            }
+        };
+
+    if (params.html) {
+        options.url = params.url;
+        options.css = params.css;
+        options.js = params.js;
+        scanner.scanContent(params.html, options, callback);
+    } else {
+        scanner.scan(params.url, params.user, params.password, options, callback);
+    }
+}
+
+/**
+ * Starts queued jobs while there are free slots
+ * */
+function next() {
+    while (running < config.jobs_concurrency && queue.length > 0) {
+        start(queue.shift());
+    }
+}
+
+/**
+ * Frees the slot of a running scan job, once
+ * */
+function release(job) {
+    if (job.slot) {
+        job.slot = false;
+        running--;
+    }
+}
+
+/**
+ * Runs a job and starts the next one when it finishes
+ * */
+function start(job) {
+    running++;
+    job.slot = true;
+    job.status = 'running';
+    job.started = new Date().toISOString();
+    record(job, { type: 'status', status: 'running', error: null });
+    events.emit('started', job);
+
+    runScan(job, function (err, data) {
+        release(job);
+
+        // The result of a job cancelled while it was running is discarded
+        if (job.status === 'running') {
+            if (err) {
+                finish(job, 'failed', null, err.message || String(err));
+            } else {
+                finish(job, 'completed', report.create(job.url, data.start, data.results));
+            }
+        }
+
+        next();
+    });
+}
+
+/**
+ * Returns a new job of the type with the status and the parameters
+ * */
+function initialize(type, status, url, params) {
+    var job = {
+        id: crypto.randomBytes(12).toString('hex'),
+        type: type,
+        status: status,
+        url: url,
+        params: params,
+        created: new Date().toISOString(),
+        started: null,
+        finished: null,
+        error: null,
+        result: null,
+        progress: [],
+        eventCount: 0,
+        timer: null,
+        slot: false
+    };
+
+    jobs[job.id] = job;
+    record(job, { type: 'status', status: status, error: null });
+
+    return job;
+}
+
+/**
+ * Creates and queues a job. params has the url (or the html, url, css and js of
+ * a submitted document), the user and password, the deep, checks and skip
+ * options of the scan and the callback url. Returns the job, or null if there
+ * are already jobs_queue_size jobs in the queue.
+ * */
+function create(params) {
+    if (queue.length >= config.jobs_queue_size) {
+        return null;
+    }
+
+    var job = initialize('scan', 'queued', params.url || 'http://private/', params);
+
+    queue.push(job);
+    events.emit('queued', job);
+    process.nextTick(next);
+
+    return job;
+}
+
+/**
+ * Creates the job of a batch run of the webjob. It runs until the webjob posts
+ * the finished event; meanwhile it posts a site event per site. It fails when no
+ * event comes for jobs_batch_timeout milliseconds. params has the name of the
+ * list of websites, their total and the callback url.
+ * */
+function createBatch(params) {
+    var job = initialize('batch', 'running', null, params);
+
+    job.started = job.created;
+    watch(job);
+
+    return job;
+}
+
+/**
+ * Adds an event posted by the webjob to its batch job. The finished event
+ * completes the job with the summary of the run as result. Returns false for
+ * unknown events.
+ * */
+function addEvent(job, event) {
+    if (batchEvents.indexOf(event.type) === -1) {
+        return false;
+    }
+
+    if (event.type === 'finished') {
+        finish(job, 'completed', event);
+    } else {
+        record(job, event);
+        watch(job);
+    }
+
+    return true;
+}
+
+/**
+ * Returns whether a key can create batch jobs and post their events: it must be
+ * the jobs_batch_key of config.js, and nothing can be posted while it is not set
+ * */
+function isAuthorized(key) {
+    return !!config.jobs_batch_key && key === config.jobs_batch_key;
+}
+
+/**
+ * Returns a job by id or null if it doesn't exist (or expired)
+ * */
+function get(id) {
+    return jobs.hasOwnProperty(id) ? jobs[id] : null;
+}
+
+/**
+ * Cancels a job that is queued or running. Returns the job, or null if it
+ * doesn't exist. Finished jobs don't change.
+ * */
+function cancel(id) {
+    var job = get(id);
+
+    if (!job) {
+        return null;
+    }
+
+    if (job.status === 'queued' || job.status === 'running') {
+        var index = queue.indexOf(job);
+        if (index !== -1) {
+            queue.splice(index, 1);
+        }
+
+        finish(job, 'cancelled');
+
+        // The scan of a running job goes on, but its slot is for the next job
+        release(job);
+        process.nextTick(next);
+    }
+
+    return job;
+}
+
+module.exports.create = create;
+module.exports.createBatch = createBatch;
+module.exports.addEvent = addEvent;
+module.exports.isAuthorized = isAuthorized;
+module.exports.isFinished = isFinished;
+module.exports.get = get;
+module.exports.cancel = cancel;
+module.exports.describe = describe;
+module.exports.events = events;
@@ -0,0 +1,97 @@
+/**
+ * Description: Links of a page for the deep scan: their urls resolved and
+ * normalized so the same page is crawled once, and whether they belong to the
+ * same site as the page.
+ *
+ * Copyright (c) Microsoft Corporation; All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this
+ * file except in compliance with the License. You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * THIS CODE IS PROVIDED AS IS BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, EITHER
+ * EXPRESS OR IMPLIED, INCLUDING WITHOUT LIMITATION ANY IMPLIED WARRANTIES OR CONDITIONS
+ * OF TITLE, FITNESS FOR A PARTICULAR PURPOSE, MERCHANTABLITY OR NON-INFRINGEMENT.
+ *
+ * See the Apache Version 2.0 License for specific language governing permissions
+ * and limitations under the License.
+ */
+
+"use strict";
+
+var url = require('url'),
+    defaultPorts = { 'http:': '80', 'https:': '443' };
+
+/**
+ * Returns a url resolved against a base url and normalized: http or https only,
+ * the protocol and host in lower case, without the default port, the fragment
+ * and the empty query, and / as the path of the root. Returns null for other
+ * urls (mailto:, javascript:, etc.).
+ * */
+function normalize(address, base) {
+    var parsed;
+
+    if (typeof address !== 'string' || !address.trim()) {
+        return null;
+    }
+
+    parsed = url.parse(url.resolve(base || address.trim(), address.trim()));
+
+    if (!defaultPorts[parsed.protocol] || !parsed.hostname) {
+        return null;
+    }
+
+    return url.format({
+        protocol: parsed.protocol,
+        slashes: true,
+        auth: parsed.auth,
+        hostname: parsed.hostname.toLowerCase(),
+        port: parsed.port && parsed.port !== defaultPorts[parsed.protocol] ? parsed.port : null,
+        pathname: parsed.pathname || '/',
+        search: parsed.search && parsed.search !== '?' ? parsed.search : null
+    });
+}
+
+/**
+ * Returns the host of a url without www. so www.contoso.com and contoso.com
+ * are the same site
+ * */
+function getSite(address) {
+    var hostname = url.parse(address).hostname || '';
+
+    return hostname.toLowerCase().replace(/^www\./, '');
+}
+
+/**
+ * Returns true if two urls belong to the same site
+ * */
+function isSameSite(address, other) {
+    return getSite(address) === getSite(other);
+}
+
+/**
+ * Returns the normalized urls of the links (a and area elements) of a page
+ * loaded with cheerio, in order and without repeated ones
+ * */
+function getLinks($, baseUrl) {
+    var base = $('base[href]').attr('href'),
+        links = [];
+
+    if (base) {
+        baseUrl = url.resolve(baseUrl, base);
+    }
+
+    $('a[href], area[href]').each(function () {
+        var link = normalize($(this).attr('href'), baseUrl);
+
+        if (link && links.indexOf(link) === -1) {
+            links.push(link);
+        }
+    });
+
+    return links;
+}
+
+module.exports.normalize = normalize;
+module.exports.isSameSite = isSameSite;
+module.exports.getLinks = getLinks;
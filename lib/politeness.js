@@ -0,0 +1,254 @@
+/**
+ * Description: Per-host politeness of the requests to the scanned websites: a
+ * limit of requests in flight per host, a minimum delay between the requests
+ * to the same host and the pauses a host asks for with the Retry-After header
+ * of its 429 and 503 responses. The page, its style sheets and scripts and the
+ * webjob share the limits of config.js.
+ *
+ * Copyright (c) Microsoft Corporation; All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this
+ * file except in compliance with the License. You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * THIS CODE IS PROVIDED AS IS BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, EITHER
+ * EXPRESS OR IMPLIED, INCLUDING WITHOUT LIMITATION ANY IMPLIED WARRANTIES OR CONDITIONS
+ * OF TITLE, FITNESS FOR A PARTICULAR PURPOSE, MERCHANTABLITY OR NON-INFRINGEMENT.
+ *
+ * See the Apache Version 2.0 License for specific language governing permissions
+ * and limitations under the License.
+ */
+
+"use strict";
+
+var url = require('url'),
+    config = require('./checks/config.js');
+
+/**
+ * Returns the host of a url in lower case. The host of a request to the Scan API
+ * (e.g. /api/v2/scan?url=http://www.contoso.com) is the one of the scanned site.
+ * */
+function getHost(address) {
+    var parsed = url.parse(String(address || ''), true),
+        site = parsed.query && parsed.query.url;
+
+    if (typeof site === 'string' && site) {
+        parsed = url.parse(/^[a-z]+:\/\//i.test(site) ? site : 'http://' + site);
+    }
+
+    return (parsed.host || '').toLowerCase();
+}
+
+/**
+ * Returns the milliseconds a 429 or 503 response asks to wait with its
+ * Retry-After header (seconds or a date), or null if it doesn't
+ * */
+function getRetryAfter(response, now) {
+    var value = response && response.headers && response.headers['retry-after'],
+        date;
+
+    if (!value || (response.statusCode !== 429 && response.statusCode !== 503)) {
+        return null;
+    }
+
+    if (/^\s*\d+\s*$/.test(value)) {
+        return parseInt(value, 10) * 1000;
+    }
+
+    date = Date.parse(value);
+
+    if (isNaN(date)) {
+        return null;
+    }
+
+    return Math.max(date - (now || Date.now()), 0);
+}
+
+/**
+ * Returns a limiter of the requests to each host. options has the requests in
+ * flight per host (maxPerHost) and the milliseconds between the start of two
+ * requests to the same host (minDelay).
+ * */
+function create(options) {
+    var hosts = {};
+
+    function getState(host) {
+        if (!hosts[host]) {
+            hosts[host] = { active: 0, waiting: [], next: 0, timer: null };
+        }
+
+        return hosts[host];
+    }
+
+    function run(host) {
+        var state = hosts[host],
+            now = Date.now(),
+            task;
+
+        if (!state || state.timer) {
+            return;
+        }
+
+        if (state.waiting.length === 0) {
+            // Keeps the hosts that are paused or have requests in flight only
+            if (state.active === 0 && state.next <= now) {
+                delete hosts[host];
+            }
+            return;
+        }
+
+        if (options.maxPerHost && state.active >= options.maxPerHost) {
+            return;
+        }
+
+        if (state.next > now) {
+            state.timer = setTimeout(function () {
+                state.timer = null;
+                run(host);
+            }, state.next - now);
+            return;
+        }
+
+        task = state.waiting.shift();
+        state.active++;
+        state.next = now + (options.minDelay || 0);
+
+        task(function () {
+            state.active--;
+            run(host);
+        });
+
+        run(host);
+    }
+
+    return {
+        /**
+         * Runs a task when the host allows it. The task gets the function to
+         * call when its request is done.
+         * */
+        schedule: function (host, task) {
+            getState(host).waiting.push(task);
+            run(host);
+        },
+
+        /**
+         * Doesn't start requests to the host for some milliseconds
+         * */
+        pause: function (host, milliseconds) {
+            var state = getState(host),
+                until = Date.now() + milliseconds;
+
+            if (until > state.next) {
+                state.next = until;
+
+                if (state.timer) {
+                    clearTimeout(state.timer);
+                    state.timer = null;
+                }
+            }
+
+            run(host);
+        }
+    };
+}
+
+var limiter = create({ maxPerHost: config.politeness_max_per_host, minDelay: config.politeness_min_delay });
+
+/**
+ * Returns a request function (see the request package) that sends the requests
+ * through the limiter. The host is paused when it responds with a Retry-After
+ * header and the request is sent again once if the pause is not longer than
+ * politeness_max_retry_after.
+ * */
+function limit(request, hostLimiter) {
+    return function (params, options, callback) {
+        var address = typeof params === 'string' ? params : params.uri || params.url,
+            retried = false,
+            host;
+
+        // request(params, callback) or request(uri, options, callback)
+        if (typeof options === 'function') {
+            callback = options;
+            options = null;
+        } else if (options && !address) {
+            address = options.uri || options.url;
+        }
+
+        // The request may wait for its host, so there is no request object to
+        // return nor to pipe: the response only comes through the callback
+        if (typeof callback !== 'function') {
+            throw new Error('Error found: the requests to the scanned websites need a callback');
+        }
+
+        host = getHost(address);
+
+        function send() {
+            hostLimiter.schedule(host, function (done) {
+                var finished = function (err, response, body) {
+                    var wait = getRetryAfter(response);
+
+                    done();
+
+                    if (wait !== null) {
+                        hostLimiter.pause(host, wait);
+
+                        if (!retried && wait <= config.politeness_max_retry_after) {
+                            retried = true;
+                            send();
+                            return;
+                        }
+                    }
+
+                    callback(err, response, body);
+                };
+
+                if (options) {
+                    request(params, options, finished);
+                } else {
+                    request(params, finished);
+                }
+            });
+        }
+
+        send();
+    };
+}
+
+/**
+ * Returns the request function and its get, post, put, patch, head, del and
+ * defaults helpers, with the requests sent through the limiter (the one of
+ * config.js by default). Only the callback form of the requests is supported.
+ * */
+function wrap(request, hostLimiter) {
+    var wrapped;
+
+    hostLimiter = hostLimiter || limiter;
+    wrapped = limit(request, hostLimiter);
+
+    ['get', 'post', 'put', 'patch', 'head', 'del'].forEach(function (method) {
+        if (typeof request[method] === 'function') {
+            wrapped[method] = limit(request[method], hostLimiter);
+        }
+    });
+
+    // The helpers that don't send requests
+    ['jar', 'cookie'].forEach(function (method) {
+        if (typeof request[method] === 'function') {
+            wrapped[method] = request[method];
+        }
+    });
+
+    if (typeof request.defaults === 'function') {
+        wrapped.defaults = function (options) {
+            return wrap(request.defaults(options), hostLimiter);
+        };
+    }
+
+    return wrapped;
+}
+
+module.exports.getHost = getHost;
+module.exports.getRetryAfter = getRetryAfter;
+module.exports.create = create;
+module.exports.limiter = limiter;
+module.exports.wrap = wrap;
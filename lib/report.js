@@ -0,0 +1,77 @@
+/**
+ * Description: Report of a scan as returned by the scan API: the url, the time
+ * it took, the score and grade and the result of each check by id.
+ *
+ * Copyright (c) Microsoft Corporation; All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this
+ * file except in compliance with the License. You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * THIS CODE IS PROVIDED AS IS BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, EITHER
+ * EXPRESS OR IMPLIED, INCLUDING WITHOUT LIMITATION ANY IMPLIED WARRANTIES OR CONDITIONS
+ * OF TITLE, FITNESS FOR A PARTICULAR PURPOSE, MERCHANTABLITY OR NON-INFRINGEMENT.
+ *
+ * See the Apache Version 2.0 License for specific language governing permissions
+ * and limitations under the License.
+ */
+
+"use strict";
+
+var scoring = require('./score.js');
+
+/**
+ * Creates the report of a scan
+ * @param {string} url The url of the website
+ * @param {Timestamp} start The start timestamp
+ * @param {Array} resultsArray The results of all the tests
+ * */
+function create(url, start, resultsArray) {
+    var results = {};
+
+    for (var i = 0; i < resultsArray.length; i++) {
+        results[resultsArray[i].testName] = resultsArray[i];
+    }
+
+    var scored = scoring.score(results);
+
+    return {
+        url: { uri: url },
+        processTime: (Date.now() - start) / 1000,
+        score: scored.score,
+        grade: scored.grade,
+        results: results
+    };
+}
+
+/**
+ * Creates the report of a website that couldn't be scanned
+ * */
+function createError(url, err) {
+    var message = (err && err.message) || String(err);
+
+    if (err && err.statusCode) {
+        message = 'HTTP ' + err.statusCode + ' - ' + message;
+    }
+
+    return {
+        url: { uri: url },
+        error: message
+    };
+}
+
+/**
+ * Returns the ids of the checks of a report that failed. Only the checks in
+ * the list are taken into account, all of them when it is empty.
+ * */
+function getFailedChecks(report, checks) {
+    var results = report.results || {};
+
+    return Object.keys(results).filter(function (id) {
+        return results[id].passed === false && (!checks || checks.length === 0 || checks.indexOf(id) !== -1);
+    });
+}
+
+module.exports.create = create;
+module.exports.createError = createError;
+module.exports.getFailedChecks = getFailedChecks;
@@ -0,0 +1,92 @@
+/**
+ * Description: Formats scan reports as CSV with a row per site: the url, the
+ * score and grade, the result of each check (1 passed, 0 failed) and the error
+ * of the sites that couldn't be scanned.
+ *
+ * Copyright (c) Microsoft Corporation; All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this
+ * file except in compliance with the License. You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * THIS CODE IS PROVIDED AS IS BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, EITHER
+ * EXPRESS OR IMPLIED, INCLUDING WITHOUT LIMITATION ANY IMPLIED WARRANTIES OR CONDITIONS
+ * OF TITLE, FITNESS FOR A PARTICULAR PURPOSE, MERCHANTABLITY OR NON-INFRINGEMENT.
+ *
+ * See the Apache Version 2.0 License for specific language governing permissions
+ * and limitations under the License.
+ */
+
+"use strict";
+
+/**
+ * Quotes a CSV value when needed
+ * */
+function quote(value) {
+    value = (value === null || typeof value === 'undefined') ? '' : String(value);
+
+    if (/[",\r\n]/.test(value)) {
+        return '"' + value.replace(/"/g, '""') + '"';
+    }
+
+    return value;
+}
+
+/**
+ * Returns the ids of the checks of the reports in the order they were run
+ * */
+function getCheckIds(reports) {
+    var ids = [];
+
+    reports.forEach(function (report) {
+        Object.keys(report.results || {}).forEach(function (id) {
+            if (ids.indexOf(id) === -1) {
+                ids.push(id);
+            }
+        });
+    });
+
+    return ids;
+}
+
+/**
+ * Returns the value of the result of a check: 1 passed, 0 failed, N/A not run
+ * */
+function getResultValue(result) {
+    if (!result || typeof result.passed !== 'boolean') {
+        return 'N/A';
+    }
+
+    return result.passed ? 1 : 0;
+}
+
+/**
+ * Formats one report or an array of reports as CSV
+ * */
+function format(reports) {
+    if (!Array.isArray(reports)) {
+        reports = [reports];
+    }
+
+    var ids = getCheckIds(reports),
+        lines = [['url', 'score', 'grade'].concat(ids, 'error').join(',')];
+
+    reports.forEach(function (report) {
+        var results = report.results || {},
+            values = [report.url.uri, report.score, report.grade];
+
+        ids.forEach(function (id) {
+            values.push(report.error ? '' : getResultValue(results[id]));
+        });
+        values.push(report.error);
+
+        lines.push(values.map(quote).join(','));
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+module.exports.contentType = 'text/csv';
+module.exports.quote = quote;
+module.exports.getCheckIds = getCheckIds;
+module.exports.format = format;
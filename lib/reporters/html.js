@@ -0,0 +1,233 @@
+/**
+ * Description: Formats scan reports as a standalone HTML page for people that
+ * don't read JSON: a summary of the checks of each site with expandable details
+ * of the scripts, libraries, style sheets and markup that failed.
+ *
+ * Copyright (c) Microsoft Corporation; All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this
+ * file except in compliance with the License. You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * THIS CODE IS PROVIDED AS IS BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, EITHER
+ * EXPRESS OR IMPLIED, INCLUDING WITHOUT LIMITATION ANY IMPLIED WARRANTIES OR CONDITIONS
+ * OF TITLE, FITNESS FOR A PARTICULAR PURPOSE, MERCHANTABLITY OR NON-INFRINGEMENT.
+ *
+ * See the Apache Version 2.0 License for specific language governing permissions
+ * and limitations under the License.
+ */
+
+"use strict";
+
+var manifests = require('../checks/loadchecks.js').manifests;
+
+var styles = [
+    'body { font-family: "Segoe UI", Arial, sans-serif; margin: 2em; color: #222; }',
+    'h1 { font-size: 1.6em; } h2 { font-size: 1.3em; margin-top: 2em; border-bottom: 1px solid #ccc; }',
+    'table { border-collapse: collapse; margin: 0.5em 0 1em; }',
+    'th, td { border: 1px solid #ddd; padding: 0.3em 0.6em; text-align: left; vertical-align: top; }',
+    'th { background: #f4f4f4; }',
+    '.passed { color: #107c10; } .failed { color: #a80000; font-weight: bold; } .excluded, .notrun { color: #777; }',
+    '.score { font-size: 1.2em; } .error { color: #a80000; }',
+    'details { margin: 0.5em 0 1em; } summary { cursor: pointer; font-weight: bold; }',
+    'code { font-family: Consolas, monospace; word-break: break-all; }'
+].join('\n');
+
+function escape(value) {
+    return String(value === null || typeof value === 'undefined' ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Returns a table with the headers and the rows (arrays of HTML cells)
+ * */
+function getTable(headers, rows) {
+    return '<table><tr>' + headers.map(function (header) {
+        return '<th>' + escape(header) + '</th>';
+    }).join('') + '</tr>' + rows.map(function (row) {
+        return '<tr>' + row.map(function (cell) {
+            return '<td>' + cell + '</td>';
+        }).join('') + '</tr>';
+    }).join('') + '</table>';
+}
+
+/**
+ * Returns the status (class and text) of the result of a check
+ * */
+function getStatus(result) {
+    if (!result || typeof result.passed !== 'boolean') {
+        return { css: 'notrun', text: 'Not run' };
+    }
+
+    if (result.excluded) {
+        return { css: 'excluded', text: 'Excluded' };
+    }
+
+    return result.passed ? { css: 'passed', text: 'Passed' } : { css: 'failed', text: 'Failed' };
+}
+
+function getBrowserDetectionDetails(data) {
+    var html = '',
+        scripts = (data.javascript && data.javascript.data) || [];
+
+    if (scripts.length > 0) {
+        html += getTable(['Script', 'Pattern', 'Line'], scripts.map(function (script) {
+            return ['<code>' + escape(script.url) + '</code>', '<code>' + escape(script.pattern) + '</code>', escape(script.lineNumber)];
+        }));
+    }
+
+    if (data.comments && data.comments.passed === false) {
+        html += '<p>Conditional comments that target IE at line ' + escape(data.comments.data.lineNumber) + ' of the page.</p>';
+    }
+
+    return html;
+}
+
+function getJsLibsDetails(data) {
+    return getTable(['Library', 'Version', 'Minimum version', 'Referenced at'], data.map(function (library) {
+        return [
+            escape(library.name),
+            escape(library.version) + (library.bannedVersion ? ' (version with known issues)' : ''),
+            escape(library.minVersion),
+            '<code>' + escape(library.url) + '</code> line ' + escape(library.lineNumber)
+        ];
+    }));
+}
+
+function decodeSelector(selector) {
+    try {
+        return decodeURIComponent(selector);
+    } catch (e) {
+        return selector;
+    }
+}
+
+function getCssPrefixesDetails(data) {
+    var rows = [];
+
+    data.forEach(function (file) {
+        file.selectors.forEach(function (selector) {
+            rows.push([
+                '<code>' + escape(file.cssFile) + '</code>',
+                escape(selector.lineNumber),
+                '<code>' + escape(decodeSelector(selector.selector)) + '</code>',
+                escape([].concat(selector.styles).join(', '))
+            ]);
+        });
+    });
+
+    return getTable(['Style sheet', 'Line', 'Selector', 'Missing'], rows);
+}
+
+function getMarkupDetails(data) {
+    if (typeof data === 'string') {
+        return '<p>' + escape(data) + '</p>';
+    }
+
+    return getTable(['Element', 'Edge', 'Chrome', 'Threshold', 'Result'], data.map(function (element) {
+        var status = getStatus(element);
+
+        return [
+            '<code>' + escape(element.element) + '</code>',
+            escape(element.edgeCount),
+            escape(element.chromeCount),
+            escape(element.threshold),
+            '<span class="' + status.css + '">' + status.text + '</span>'
+        ];
+    }));
+}
+
+function getFindingsDetails(findings) {
+    return getTable(['Severity', 'Problem', 'Location', 'Fix'], findings.map(function (finding) {
+        return [
+            escape(finding.severity),
+            escape(finding.message) + (finding.snippet ? '<br><code>' + escape(finding.snippet) + '</code>' : ''),
+            finding.url ? '<code>' + escape(finding.url) + '</code>' + (finding.line ? ' line ' + escape(finding.line) : '') : '',
+            escape(finding.fix)
+        ];
+    }));
+}
+
+var details = {
+    browserDetection: getBrowserDetectionDetails,
+    jslibs: getJsLibsDetails,
+    cssprefixes: getCssPrefixesDetails,
+    markup: getMarkupDetails
+};
+
+/**
+ * Returns the details of the result of a check: the check specific data of the
+ * known checks and the findings of the rest
+ * */
+function getDetails(id, result) {
+    if (details.hasOwnProperty(id) && result.data) {
+        return details[id](result.data);
+    }
+
+    return result.findings && result.findings.length > 0 ? getFindingsDetails(result.findings) : '';
+}
+
+/**
+ * Returns the section of the report of a site
+ * */
+function getSite(report, titles) {
+    var html = '<h2>' + escape(report.url.uri) + '</h2>',
+        results = report.results || {},
+        ids = Object.keys(results);
+
+    if (report.error) {
+        return html + '<p class="error">The site could not be scanned: ' + escape(report.error) + '</p>';
+    }
+
+    html += '<p class="score">Score: <strong>' + escape(report.score === null ? '-' : report.score) + '</strong>' +
+        ' Grade: <strong>' + escape(report.grade || '-') + '</strong></p>';
+
+    html += getTable(['Check', 'Result', 'Problems'], ids.map(function (id) {
+        var status = getStatus(results[id]);
+
+        return [
+            escape(titles[id] || id),
+            '<span class="' + status.css + '">' + status.text + '</span>',
+            escape((results[id].findings || []).length)
+        ];
+    }));
+
+    ids.forEach(function (id) {
+        var result = results[id];
+
+        if (result.passed === false || (id === 'markup' && typeof result.data === 'string')) {
+            html += '<details' + (result.passed === false ? ' open' : '') + '><summary>' + escape(titles[id] || id) + '</summary>' +
+                getDetails(id, result) + '</details>';
+        }
+    });
+
+    return html + '<p>Scanned in ' + escape(report.processTime) + ' seconds.</p>';
+}
+
+/**
+ * Formats one report or an array of reports as an HTML page
+ * */
+function format(reports) {
+    if (!Array.isArray(reports)) {
+        reports = [reports];
+    }
+
+    var titles = {};
+    manifests().forEach(function (manifest) {
+        titles[manifest.id] = manifest.title;
+    });
+
+    return '<!DOCTYPE html>\n<html lang="en">\n<head>\n<meta charset="utf-8">\n' +
+        '<title>Scan report</title>\n<style>\n' + styles + '\n</style>\n</head>\n<body>\n' +
+        '<h1>Scan report</h1>\n<p>Generated on ' + escape(new Date().toUTCString()) + '</p>\n' +
+        reports.map(function (report) {
+            return getSite(report, titles);
+        }).join('\n') +
+        '\n</body>\n</html>\n';
+}
+
+module.exports.contentType = 'text/html';
+module.exports.format = format;
@@ -0,0 +1,38 @@
+/**
+ * Description: Output formats of the scan reports. Every reporter exports its
+ * contentType and format(reports), where reports is a report or an array of them.
+ *
+ * Copyright (c) Microsoft Corporation; All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this
+ * file except in compliance with the License. You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * THIS CODE IS PROVIDED AS IS BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, EITHER
+ * EXPRESS OR IMPLIED, INCLUDING WITHOUT LIMITATION ANY IMPLIED WARRANTIES OR CONDITIONS
+ * OF TITLE, FITNESS FOR A PARTICULAR PURPOSE, MERCHANTABLITY OR NON-INFRINGEMENT.
+ *
+ * See the Apache Version 2.0 License for specific language governing permissions
+ * and limitations under the License.
+ */
+
+"use strict";
+
+var reporters = {
+    json: require('./json.js'),
+    csv: require('./csv.js'),
+    table: require('./table.js'),
+    sarif: require('./sarif.js'),
+    junit: require('./junit.js'),
+    html: require('./html.js')
+};
+
+/**
+ * Returns the reporter of a format or null if it is unknown
+ * */
+function get(format) {
+    return reporters.hasOwnProperty(format) ? reporters[format] : null;
+}
+
+module.exports.get = get;
+module.exports.formats = Object.keys(reporters);
@@ -0,0 +1,33 @@
+/**
+ * Description: Formats scan reports as JSON, an array with the report of each
+ * site as returned by the scan API.
+ *
+ * Copyright (c) Microsoft Corporation; All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this
+ * file except in compliance with the License. You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * THIS CODE IS PROVIDED AS IS BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, EITHER
+ * EXPRESS OR IMPLIED, INCLUDING WITHOUT LIMITATION ANY IMPLIED WARRANTIES OR CONDITIONS
+ * OF TITLE, FITNESS FOR A PARTICULAR PURPOSE, MERCHANTABLITY OR NON-INFRINGEMENT.
+ *
+ * See the Apache Version 2.0 License for specific language governing permissions
+ * and limitations under the License.
+ */
+
+"use strict";
+
+/**
+ * Formats one report or an array of reports as a JSON array
+ * */
+function format(reports) {
+    if (!Array.isArray(reports)) {
+        reports = [reports];
+    }
+
+    return JSON.stringify(reports, null, 2);
+}
+
+module.exports.contentType = 'application/json';
+module.exports.format = format;
@@ -0,0 +1,134 @@
+/**
+ * Description: Formats scan reports as JUnit XML: a test suite per site and a
+ * test case per check. Failures carry the findings and the data of the check.
+ *
+ * Copyright (c) Microsoft Corporation; All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this
+ * file except in compliance with the License. You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * THIS CODE IS PROVIDED AS IS BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, EITHER
+ * EXPRESS OR IMPLIED, INCLUDING WITHOUT LIMITATION ANY IMPLIED WARRANTIES OR CONDITIONS
+ * OF TITLE, FITNESS FOR A PARTICULAR PURPOSE, MERCHANTABLITY OR NON-INFRINGEMENT.
+ *
+ * See the Apache Version 2.0 License for specific language governing permissions
+ * and limitations under the License.
+ */
+
+"use strict";
+
+function escape(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function attributes(values) {
+    return Object.keys(values).map(function (name) {
+        return ' ' + name + '="' + escape(values[name]) + '"';
+    }).join('');
+}
+
+/**
+ * Returns the text of a failure: a line per finding followed by the data of the check
+ * */
+function getFailureText(result) {
+    var lines = (result.findings || []).map(function (finding) {
+        var location = finding.url ? ' (' + finding.url + (finding.line ? ':' + finding.line : '') + ')' : '';
+        return '[' + finding.ruleId + '] ' + finding.message + location;
+    });
+
+    if (typeof result.data !== 'undefined') {
+        lines.push(JSON.stringify(result.data, null, 2));
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Returns the test case of the result of a check
+ * */
+function getTestCase(id, result, site) {
+    var xml = '    <testcase' + attributes({ classname: site, name: id, time: 0 });
+
+    if (result.passed === false) {
+        var message = result.findings && result.findings.length ? result.findings[0].message : id + ' check failed';
+
+        return xml + '>\n      <failure' + attributes({ message: message, type: id }) + '>' +
+            escape(getFailureText(result)) + '</failure>\n    </testcase>\n';
+    }
+
+    if (result.excluded) {
+        return xml + '>\n      <skipped' + attributes({ message: typeof result.data === 'string' ? result.data : 'excluded' }) +
+            '/>\n    </testcase>\n';
+    }
+
+    return xml + '/>\n';
+}
+
+/**
+ * Returns the test suite of a report. Reports with an error instead of results
+ * (the site couldn't be scanned) have a single test case with the error.
+ * */
+function getTestSuite(report) {
+    var site = report.url.uri,
+        results = report.results || {},
+        ids = Object.keys(results),
+        failures = ids.filter(function (id) {
+            return results[id].passed === false;
+        }).length,
+        skipped = ids.filter(function (id) {
+            return results[id].passed !== false && results[id].excluded;
+        }).length,
+        xml;
+
+    if (report.error) {
+        return '  <testsuite' + attributes({ name: site, tests: 1, failures: 0, errors: 1, skipped: 0, time: 0 }) + '>\n' +
+            '    <testcase' + attributes({ classname: site, name: 'scan', time: 0 }) + '>\n' +
+            '      <error' + attributes({ message: report.error }) + '/>\n' +
+            '    </testcase>\n  </testsuite>\n';
+    }
+
+    xml = '  <testsuite' + attributes({
+        name: site,
+        tests: ids.length,
+        failures: failures,
+        errors: 0,
+        skipped: skipped,
+        time: report.processTime || 0
+    }) + '>\n';
+
+    if (report.score !== null && typeof report.score !== 'undefined') {
+        xml += '    <properties>\n' +
+            '      <property' + attributes({ name: 'score', value: report.score }) + '/>\n' +
+            '      <property' + attributes({ name: 'grade', value: report.grade }) + '/>\n' +
+            '    </properties>\n';
+    }
+
+    ids.forEach(function (id) {
+        xml += getTestCase(id, results[id], site);
+    });
+
+    return xml + '  </testsuite>\n';
+}
+
+/**
+ * Formats one report or an array of reports as JUnit XML
+ * */
+function format(reports) {
+    if (!Array.isArray(reports)) {
+        reports = [reports];
+    }
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        '<testsuites' + attributes({ name: 'Sites Scanner' }) + '>\n' +
+        reports.map(getTestSuite).join('') +
+        '</testsuites>\n';
+}
+
+module.exports.contentType = 'application/xml';
+module.exports.format = format;
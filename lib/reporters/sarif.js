@@ -0,0 +1,159 @@
+/**
+ * Description: Formats scan reports as SARIF 2.1 (Static Analysis Results
+ * Interchange Format) with a rule per check and a result per finding.
+ *
+ * Copyright (c) Microsoft Corporation; All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this
+ * file except in compliance with the License. You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * THIS CODE IS PROVIDED AS IS BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, EITHER
+ * EXPRESS OR IMPLIED, INCLUDING WITHOUT LIMITATION ANY IMPLIED WARRANTIES OR CONDITIONS
+ * OF TITLE, FITNESS FOR A PARTICULAR PURPOSE, MERCHANTABLITY OR NON-INFRINGEMENT.
+ *
+ * See the Apache Version 2.0 License for specific language governing permissions
+ * and limitations under the License.
+ */
+
+"use strict";
+
+var manifests = require('../checks/loadchecks.js').manifests,
+    pkg = require('../../package.json'),
+    levels = { error: 'error', warning: 'warning', info: 'note' };
+
+/**
+ * Returns the SARIF rule of a check
+ * */
+function getRule(manifest) {
+    return {
+        id: manifest.id,
+        name: manifest.title,
+        shortDescription: { text: manifest.title },
+        fullDescription: { text: manifest.description || manifest.title },
+        defaultConfiguration: { level: levels[manifest.severity] || 'warning' },
+        properties: { version: manifest.version }
+    };
+}
+
+/**
+ * Returns the SARIF location of a finding. Findings without url are located
+ * in the page that was scanned.
+ * */
+function getLocation(finding, report) {
+    var physicalLocation = {
+        artifactLocation: { uri: finding.url || report.url.uri }
+    };
+
+    if (finding.line) {
+        physicalLocation.region = { startLine: finding.line };
+
+        if (finding.column) {
+            physicalLocation.region.startColumn = finding.column;
+        }
+
+        if (finding.snippet) {
+            physicalLocation.region.snippet = { text: finding.snippet };
+        }
+    }
+
+    return { physicalLocation: physicalLocation };
+}
+
+/**
+ * Returns the SARIF results of the findings of a report. Rule ids of findings
+ * ("<check id>/<rule>") are hierarchical ids of the rule of their check.
+ * */
+function getResults(report, ruleIndexes) {
+    var results = [];
+
+    Object.keys(report.results || {}).forEach(function (id) {
+        var findings = report.results[id].findings || [];
+
+        findings.forEach(function (finding) {
+            var result = {
+                ruleId: finding.ruleId,
+                level: levels[finding.severity] || 'warning',
+                message: { text: finding.message },
+                locations: [getLocation(finding, report)],
+                properties: { site: report.url.uri }
+            };
+
+            if (ruleIndexes.hasOwnProperty(id)) {
+                result.rule = { id: id, index: ruleIndexes[id] };
+            }
+
+            if (finding.fix) {
+                result.properties.fix = finding.fix;
+            }
+
+            results.push(result);
+        });
+    });
+
+    return results;
+}
+
+/**
+ * Returns the SARIF log (an object) of one or more scan reports
+ * */
+function getLog(reports) {
+    var rules = manifests().map(getRule),
+        ruleIndexes = {},
+        results = [];
+
+    rules.forEach(function (rule, index) {
+        ruleIndexes[rule.id] = index;
+    });
+
+    reports.forEach(function (report) {
+        results = results.concat(getResults(report, ruleIndexes));
+    });
+
+    // Sites that couldn't be scanned
+    var notifications = reports.filter(function (report) {
+        return report.error;
+    }).map(function (report) {
+        return { level: 'error', message: { text: report.url.uri + ': ' + report.error } };
+    });
+
+    return {
+        $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+        version: '2.1.0',
+        runs: [{
+            tool: {
+                driver: {
+                    name: 'Sites Scanner',
+                    version: pkg.version,
+                    informationUri: pkg.homepage,
+                    rules: rules
+                }
+            },
+            invocations: [{
+                executionSuccessful: notifications.length === 0,
+                toolExecutionNotifications: notifications
+            }],
+            results: results,
+            properties: {
+                sites: reports.map(function (report) {
+                    return { url: report.url.uri, score: report.score, grade: report.grade };
+                })
+            }
+        }]
+    };
+}
+
+/**
+ * Formats one report or an array of reports as SARIF
+ * */
+function format(reports) {
+    if (!Array.isArray(reports)) {
+        reports = [reports];
+    }
+
+    return JSON.stringify(getLog(reports), null, 2);
+}
+
+module.exports.contentType = 'application/sarif+json';
+module.exports.getLog = getLog;
+module.exports.format = format;
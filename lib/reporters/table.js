@@ -0,0 +1,119 @@
+/**
+ * Description: Formats scan reports as a text table for the console with a
+ * row per site and a column per check, followed by the findings of each site.
+ *
+ * Copyright (c) Microsoft Corporation; All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this
+ * file except in compliance with the License. You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * THIS CODE IS PROVIDED AS IS BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, EITHER
+ * EXPRESS OR IMPLIED, INCLUDING WITHOUT LIMITATION ANY IMPLIED WARRANTIES OR CONDITIONS
+ * OF TITLE, FITNESS FOR A PARTICULAR PURPOSE, MERCHANTABLITY OR NON-INFRINGEMENT.
+ *
+ * See the Apache Version 2.0 License for specific language governing permissions
+ * and limitations under the License.
+ */
+
+"use strict";
+
+var getCheckIds = require('./csv.js').getCheckIds;
+
+function pad(value, length) {
+    value = String(value);
+
+    while (value.length < length) {
+        value += ' ';
+    }
+
+    return value;
+}
+
+/**
+ * Returns the text of the result of a check
+ * */
+function getResultText(result) {
+    if (!result || typeof result.passed !== 'boolean') {
+        return '-';
+    }
+
+    if (result.excluded) {
+        return 'excluded';
+    }
+
+    return result.passed ? 'pass' : 'FAIL';
+}
+
+/**
+ * Returns the lines with the findings of a report
+ * */
+function getFindingLines(report) {
+    var lines = [];
+
+    Object.keys(report.results || {}).forEach(function (id) {
+        (report.results[id].findings || []).forEach(function (finding) {
+            var location = finding.url ? ' ' + finding.url + (finding.line ? ':' + finding.line : '') : '';
+            lines.push('  ' + finding.severity + ' [' + finding.ruleId + '] ' + finding.message + location);
+        });
+    });
+
+    return lines;
+}
+
+/**
+ * Formats one report or an array of reports as a text table
+ * */
+function format(reports) {
+    if (!Array.isArray(reports)) {
+        reports = [reports];
+    }
+
+    var ids = getCheckIds(reports),
+        rows = [['URL', 'Score', 'Grade'].concat(ids)],
+        widths,
+        lines;
+
+    reports.forEach(function (report) {
+        var results = report.results || {},
+            row = [report.url.uri];
+
+        if (report.error) {
+            row.push('ERROR: ' + report.error);
+        } else {
+            row.push(report.score === null ? '-' : report.score, report.grade || '-');
+            ids.forEach(function (id) {
+                row.push(getResultText(results[id]));
+            });
+        }
+
+        rows.push(row);
+    });
+
+    // The error of a site spans the score, grade and check columns
+    widths = rows[0].map(function (header, column) {
+        return Math.max.apply(null, rows.map(function (row) {
+            return (row.length === 2 && column > 0) ? 0 : String(row[column] === undefined ? '' : row[column]).length;
+        }));
+    });
+
+    lines = rows.map(function (row) {
+        return row.map(function (value, column) {
+            return column === row.length - 1 ? String(value) : pad(value, widths[column]);
+        }).join('  ');
+    });
+
+    reports.forEach(function (report) {
+        var findingLines = getFindingLines(report);
+
+        if (findingLines.length > 0) {
+            lines.push('', report.url.uri);
+            lines = lines.concat(findingLines);
+        }
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+module.exports.contentType = 'text/plain';
+module.exports.format = format;
@@ -0,0 +1,183 @@
+/**
+ * Description: robots.txt compliance. When robots_compliance is set in config.js
+ * the robots.txt of each host is downloaded (and kept for robots_cache_ttl
+ * milliseconds) and the pages it disallows to the user agent token of the
+ * scanner are not requested.
+ *
+ * Copyright (c) Microsoft Corporation; All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this
+ * file except in compliance with the License. You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * THIS CODE IS PROVIDED AS IS BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, EITHER
+ * EXPRESS OR IMPLIED, INCLUDING WITHOUT LIMITATION ANY IMPLIED WARRANTIES OR CONDITIONS
+ * OF TITLE, FITNESS FOR A PARTICULAR PURPOSE, MERCHANTABLITY OR NON-INFRINGEMENT.
+ *
+ * See the Apache Version 2.0 License for specific language governing permissions
+ * and limitations under the License.
+ */
+
+"use strict";
+
+var url = require('url'),
+    request = require('request'),
+    config = require('./checks/config.js'),
+    politeness = require('./politeness.js'),
+    // robots.txt by origin (e.g. http://www.contoso.com) with its expiration
+    cache = {};
+
+request = politeness.wrap(request.defaults({
+    jar: false,
+    proxy: process.env.HTTP_PROXY || process.env.http_proxy,
+    timeout: 30000,
+    headers: {
+        'User-Agent': config.user_agent_edge
+    }
+}));
+
+/**
+ * Returns the groups of a robots.txt: the user agents of each group and its
+ * allow and disallow rules
+ * */
+function parse(text) {
+    var groups = [],
+        group = null;
+
+    String(text || '').split(/\r?\n|\r/).forEach(function (line) {
+        var match = /^\s*([A-Za-z-]+)\s*:\s*(.*?)\s*$/.exec(line.replace(/#.*$/, '')),
+            field,
+            value;
+
+        if (!match) {
+            return;
+        }
+
+        field = match[1].toLowerCase();
+        value = match[2];
+
+        if (field === 'user-agent') {
+            // Consecutive user agents share their rules
+            if (!group || group.rules.length > 0) {
+                group = { agents: [], rules: [] };
+                groups.push(group);
+            }
+
+            group.agents.push(value.toLowerCase());
+        } else if ((field === 'allow' || field === 'disallow') && group && value) {
+            group.rules.push({ allow: field === 'allow', path: value });
+        }
+    });
+
+    return groups;
+}
+
+/**
+ * Returns true if a rule path (with * wildcards and a $ end) matches a path
+ * */
+function matches(rulePath, path) {
+    var pattern = rulePath.replace(/[.+?^{}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+
+    if (pattern.charAt(pattern.length - 1) !== '$') {
+        pattern += '.*';
+    }
+
+    return new RegExp('^' + pattern).test(path);
+}
+
+/**
+ * Returns whether the groups of a robots.txt allow an agent to request a path
+ * (with the query). The groups of the agent are used if there are any and the
+ * ones of * otherwise. The longest rule that matches wins, allow if tied.
+ * */
+function isAllowed(groups, agent, path) {
+    if (path === '/robots.txt') {
+        return true;
+    }
+
+    var token = agent.toLowerCase(),
+        own = groups.filter(function (group) {
+            return group.agents.some(function (name) {
+                return name !== '*' && token.indexOf(name) === 0;
+            });
+        }),
+        rules = [],
+        found = null;
+
+    (own.length > 0 ? own : groups.filter(function (group) {
+        return group.agents.indexOf('*') !== -1;
+    })).forEach(function (group) {
+        rules = rules.concat(group.rules);
+    });
+
+    rules.forEach(function (rule) {
+        if (matches(rule.path, path) &&
+            (!found || rule.path.length > found.path.length || (rule.path.length === found.path.length && rule.allow))) {
+            found = rule;
+        }
+    });
+
+    return !found || found.allow;
+}
+
+/**
+ * Downloads the robots.txt of an origin. Sites without one (4xx) allow
+ * everything and sites whose robots.txt fails (5xx) disallow everything until
+ * it is downloaded again. When the request fails the page is requested to
+ * report its error.
+ * */
+function load(origin, callback) {
+    var cached = cache[origin];
+
+    if (cached && cached.expires > Date.now()) {
+        process.nextTick(function () {
+            callback(cached.groups);
+        });
+        return;
+    }
+
+    request(origin + '/robots.txt', function (err, response, body) {
+        var groups;
+
+        if (err) {
+            callback([]);
+            return;
+        }
+
+        if (response.statusCode >= 500) {
+            callback([{ agents: ['*'], rules: [{ allow: false, path: '/' }] }]);
+            return;
+        }
+
+        if (response.statusCode >= 400) {
+            groups = [];
+        } else {
+            groups = parse(body);
+        }
+
+        cache[origin] = { groups: groups, expires: Date.now() + config.robots_cache_ttl };
+        callback(groups);
+    });
+}
+
+/**
+ * Gets whether the robots.txt of its host allows to request a page. Everything
+ * is allowed when robots_compliance is not set.
+ * */
+function check(pageUrl, callback) {
+    var parsed = url.parse(String(pageUrl || ''));
+
+    if (!config.robots_compliance || !/^https?:$/.test(parsed.protocol || '')) {
+        callback(null, true);
+        return;
+    }
+
+    load(parsed.protocol + '//' + parsed.host, function (groups) {
+        callback(null, isAllowed(groups, config.robots_user_agent_token, parsed.path || '/'));
+    });
+}
+
+module.exports.parse = parse;
+module.exports.isAllowed = isAllowed;
+module.exports.check = check;
+module.exports.BLOCKED = 'blocked by robots.txt';
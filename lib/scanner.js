@@ -10,25 +10,31 @@ var url = require('url'),
     cssLoader = require('./checks/loadcss.js'),
     jsLoader = require('./checks/loadjs.js'),
     config = require('./checks/config.js'),
+    politeness = require('./politeness.js'),
+    robots = require('./robots.js'),
+    links = require('./links.js'),
+    cvlist = require('./checks/compatlist.js'),
+    findings = require('./checks/findings.js'),
     tests = require('./checks/loadchecks.js').tests,
     http = require('http'),
     path = require('path'),
     zlib = require('zlib'),
     sanitize = require('validator').sanitize,
     charset = 'utf-8',
-    request = request.defaults({
+    pageHeaders = {
+        'Accept': 'text/html, application/xhtml+xml, */*',
+        'Accept-Encoding': 'gzip,deflate',
+        'Accept-Language': 'en-US,en;q=0.5',
+        'User-Agent': config.user_agent_edge
+    },
+    request = politeness.wrap(request.defaults({
         followAllRedirects: true,
         encoding: null,
         jar: false,
         proxy: process.env.HTTP_PROXY || process.env.http_proxy,
         secureProtocol: 'TLSv1_method',
-        headers: {
-            'Accept': 'text/html, application/xhtml+xml, */*',
-            'Accept-Encoding': 'gzip,deflate',
-            'Accept-Language': 'en-US,en;q=0.5',
-            'User-Agent': config.user_agent_edge
-        }
-    }); 
+        headers: pageHeaders
+    })); 
 
 /**
  * Decompresses a byte array using the decompression method passed by type.
@@ -92,24 +98,144 @@ function getBody(res, body) {
 }
 
 /**
- * Launches and returns an array with the promises of all the non parallel tests
- * (browser detection, css prefixes, etc.)
+ * Loaders of the resources a test can require in its manifest. Each one gets
+ * the website and returns a promise.
  * */
-function launchNonParallelTests(tests, promisesArray, website) {
-    var deferred = new Deferred();
+var loaders = {
+    css: cssLoader.loadCssFiles,
+    js: jsLoader.loadjsFiles,
+    cvlist: function (website) {
+        return cvlist.getList();
+    }
+};
+
+/**
+ * Runs only the loaders of the resources the tests require
+ * and returns their promises by resource
+ * */
+function launchLoaders(testsToRun, website) {
+    var loading = {};
+    
+    testsToRun.forEach(function (test) {
+        test.manifest.requires.forEach(function (resource) {
+            if (!loading[resource]) {
+                loading[resource] = loaders[resource](website);
+            }
+        });
+    });
+    
+    return loading;
+}
+
+/**
+ * Launches the tests and returns an array with their promises. A test starts
+ * as soon as the resources it requires are loaded and the tests it depends on
+ * have finished (the tests are already sorted by their dependencies).
+ * */
+function launchTests(testsToRun, website) {
+    var loading = launchLoaders(testsToRun, website),
+        launched = {};
     
-    process.nextTick(function () {
+    return testsToRun.map(function (test) {
+        var runCheck = function () {
+                return test.check(website).then(function (result) {
+                    result = findings.complete(result, test.manifest);
+                    
+                    if (website.progress) {
+                        website.progress({ type: 'check', check: test.manifest.id, passed: result ? result.passed : null });
+                    }
+                    
+                    return result;
+                });
+            },
+            manifest = test.manifest,
+            waitFor = manifest.requires.map(function (resource) {
+                return loading[resource];
+            });
         
-        tests.forEach(function (test) {
-            if (!test.parallel) {
-                promisesArray.push(test.check(website));
+        manifest.dependsOn.forEach(function (id) {
+            if (launched[id]) {
+                waitFor.push(launched[id]);
             }
         });
         
-        deferred.resolve(promisesArray);
+        if (waitFor.length === 0) {
+            launched[manifest.id] = runCheck();
+        } else {
+            launched[manifest.id] = promises.all(waitFor).then(runCheck);
+        }
+        
+        return launched[manifest.id];
     });
+}
+
+/**
+ * Splits a comma separated list of check ids (e.g. "edge,jslibs")
+ * */
+function parseTestList(list) {
+    if (!list) {
+        return [];
+    }
     
-    return deferred.promise;
+    if (!Array.isArray(list)) {
+        list = String(list).split(',');
+    }
+    
+    return list.map(function (id) {
+        return String(id).trim();
+    }).filter(function (id) {
+        return id !== '';
+    });
+}
+
+/**
+ * Normalizes the options of a scan. For backwards compatibility the options
+ * can be a boolean with the value of the deep flag. progress is an optional
+ * function that gets an event as the page, its resources and each check are done.
+ * */
+function getScanOptions(options) {
+    if (typeof options !== 'object' || options === null) {
+        options = { deep: options };
+    }
+    
+    return {
+        deep: !!options.deep,
+        checks: parseTestList(options.checks),
+        skip: parseTestList(options.skip),
+        userAgent: options.userAgent || null,
+        timeout: options.timeout || null,
+        progress: typeof options.progress === 'function' ? options.progress : null
+    };
+}
+
+/**
+ * Returns the ids in the checks and skip lists of the options that don't belong to any test
+ * */
+function getUnknownTests(options) {
+    var ids = tests.map(function (test) {
+        return test.manifest.id;
+    });
+    
+    return options.checks.concat(options.skip).filter(function (id) {
+        return ids.indexOf(id) === -1;
+    });
+}
+
+/**
+ * Returns the tests to run: the ones requested in the checks list (all the
+ * tests, but the deep ones if deep is not set, when empty) minus the ones
+ * in the skip list
+ * */
+function selectTests(options) {
+    return tests.filter(function (test) {
+        if (options.checks.length > 0) {
+            return options.checks.indexOf(test.manifest.id) !== -1;
+        }
+        
+        return options.deep || !test.manifest.deep;
+    }).filter(function (test) {
+        return options.skip.indexOf(test.manifest.id) === -1;
+    });
 }
 
 /**
@@ -121,40 +247,30 @@ function analyze(data, content, cb) {
     if (!cb)
         console.log('missing callback');
         
-    var start = Date.now(),
-        promisesTests = [];
+    var start = Date.now();
     
     var website = {
         url: url.parse(data.uri),
         originalUrl: data.originalUrl,
         auth: data.auth,
         deep: data.deep,
+        checks: data.checks,
+        skip: data.skip,
+        userAgent: data.userAgent,
+        timeout: data.timeout,
+        progress: data.progress,
+        submitted: !!data.resources,
+        resources: data.resources,
         content: content.body,
         compression: content.compression,
         $: cheerio.load(content.body, { lowerCaseTags: true, lowerCaseAttributeNames: true })
     };
     
-    var testsToRun;
+    var testsToRun = selectTests(data);
     
-    if (!website.deep) {
-        testsToRun = tests.filter(function (test) {
-            return !test.deep;
-        });
-    } else {
-        testsToRun = tests;
-    }
-    
-    testsToRun.forEach(function (test) {
-        if (test.parallel) {
-            promisesTests.push(test.check(website));
-        }
-    });
-    
-    cssLoader.loadCssFiles(website)
-        .then(jsLoader.loadjsFiles)
-        .then(launchNonParallelTests.bind(null, testsToRun, promisesTests))
-        .then(promises.all)
-        .then(function (data) { cb(null, { start: start, results: data }); },
+    // The links of the page are returned too for the deep scan
+    promises.all(launchTests(testsToRun, website))
+        .then(function (data) { cb(null, { start: start, results: data, links: links.getLinks(website.$, website.url.href) }); },
 			function (err) { cb(err, null) });
 }
 
@@ -163,28 +279,49 @@ function analyze(data, content, cb) {
  * */
 function processResponse(originalUrl) {
     
-    return function (auth, deep, cb) {
-        if (typeof auth === 'boolean' || typeof auth === 'undefined') {
-			cb = deep;
-            deep = auth;
-            auth = null;
-        }
-        
+    return function (auth, options, cb) {
         if (!cb)
             console.log('missing callback 2');
         
         return function (err, res, body) {
+            if (options.progress) {
+                options.progress({
+                    type: 'page',
+                    url: originalUrl,
+                    finalUrl: res ? res.request.href : null,
+                    statusCode: res ? res.statusCode : null,
+                    error: err ? String(err) : null
+                });
+            }
+            
             if (!err && res.statusCode === 200) {
                 getBody(res, body)
                 .then(function (result) {
-                    analyze({ uri: res.request.href, auth: auth, deep: deep, originalUrl: originalUrl }, result, cb);
+                    analyze({
+                        uri: res.request.href,
+                        auth: auth,
+                        deep: options.deep,
+                        checks: options.checks,
+                        skip: options.skip,
+                        userAgent: options.userAgent,
+                        timeout: options.timeout,
+                        progress: options.progress,
+                        originalUrl: originalUrl
+                    }, result, cb);
                 }, cb);
             } else {
                 var statusCodeDescription;
                 if (res) {
                     statusCodeDescription = res.statusCode + ' (' + getStatusCodeDescription(res.statusCode) + ')';
                 }
-                cb({ statusCode: statusCodeDescription, message: 'Error found: ' + err }, null);
+                // Hosts that ask to wait longer than politeness_max_retry_after
+                var retryAfter = politeness.getRetryAfter(res);
+                
+                cb({
+                    statusCode: statusCodeDescription,
+                    message: 'Error found: ' + err,
+                    retryAfter: retryAfter === null ? undefined : Math.ceil(retryAfter / 1000)
+                }, null);
             }
         };
     }
@@ -194,25 +331,147 @@ function getStatusCodeDescription(code) {
     return HTTPStatus[code];
 }
 
-function scan(urlToAnalyze, user, password, deep, cb) {
+/**
+ * Returns the parameters of the request of the page: the credentials and the
+ * user agent and timeout (in milliseconds) of the options
+ * */
+function getRequestParameters(auth, options) {
+    var parameters = {};
+
+    if (auth) {
+        parameters.auth = auth;
+    }
+
+    if (options.userAgent) {
+        parameters.headers = {};
+        Object.keys(pageHeaders).forEach(function (name) {
+            parameters.headers[name] = pageHeaders[name];
+        });
+        parameters.headers['User-Agent'] = options.userAgent;
+    }
+
+    if (options.timeout) {
+        parameters.timeout = options.timeout;
+    }
+
+    return parameters;
+}
+
+/**
+ * Scans a url. options can have the deep flag, the lists of checks to run
+ * (checks) and not to run (skip), as arrays or comma separated strings, the
+ * userAgent of the requests and their timeout in milliseconds.
+ * */
+function scan(urlToAnalyze, user, password, options, cb) {
     if (!cb)
         console.log('missing callback 3');
-    // If the request gave a user/pass, send it along. Wait for 401 response before sending passwords.
-    if (user && user !== "undefined" && password && password !== "undefined") {
-        auth = {
-            'user': user,
-            'pass': password,
-            'sendImmediately': false
+    
+    options = getScanOptions(options);
+    
+    var unknownTests = getUnknownTests(options);
+    if (unknownTests.length > 0) {
+        process.nextTick(function () {
+            cb({ message: 'Error found: unknown checks ' + unknownTests.join(', ') }, null);
+        });
+        return;
+    }
+    
+    robots.check(urlToAnalyze, function (err, allowed) {
+        if (!allowed) {
+            cb({ message: 'Error found: ' + robots.BLOCKED }, null);
+            return;
+        }
+        
+        // If the request gave a user/pass, send it along. Wait for 401 response before sending passwords.
+        if (user && user !== "undefined" && password && password !== "undefined") {
+            auth = {
+                'user': user,
+                'pass': password,
+                'sendImmediately': false
+            };
+            request(urlToAnalyze,
+                getRequestParameters(auth, options),
+                processResponse(urlToAnalyze)(auth, options, cb));
+        } else {
+            request(urlToAnalyze, getRequestParameters(null, options), processResponse(urlToAnalyze)(null, options, cb));
+        }
+    });
+}
+
+/**
+ * Normalizes the CSS or JS bundles sent along with a submitted document. A bundle
+ * can be a string (analyzed as embedded code) or an object with the content and
+ * the URL the document uses to reference it.
+ * */
+function getSubmittedResources(bundles, baseUrl) {
+    if (!bundles) {
+        return [];
+    }
+
+    if (!Array.isArray(bundles)) {
+        bundles = [bundles];
+    }
+
+    return bundles.filter(function (bundle) {
+        return bundle && (typeof bundle === 'string' || typeof bundle.content === 'string');
+    }).map(function (bundle) {
+        if (typeof bundle === 'string') {
+            return { url: null, content: bundle };
+        }
+
+        return {
+            url: bundle.url ? url.resolve(baseUrl, bundle.url) : null,
+            content: bundle.content
         };
-        request(urlToAnalyze,
-            { auth: auth },
-            processResponse(urlToAnalyze)(auth, deep, cb));
-    } else {
-        request(urlToAnalyze, processResponse(urlToAnalyze)(deep, cb));
+    });
+}
+
+/**
+ * Runs the checks on an HTML document that is sent by the caller instead of
+ * being fetched, e.g. a page from a staging build the scanner can't reach.
+ * options.url is the base URL used to resolve the links of the document,
+ * options.css/options.js the bundles to use instead of downloading them and
+ * options.deep/checks/skip/progress the same as for scan.
+ * */
+function scanContent(html, options, cb) {
+    var submitted = options || {},
+        baseUrl = submitted.url || 'http://private/';
+
+    options = getScanOptions(submitted);
+
+    var unknownTests = getUnknownTests(options);
+    if (unknownTests.length > 0) {
+        process.nextTick(function () {
+            cb({ message: 'Error found: unknown checks ' + unknownTests.join(', ') }, null);
+        });
+        return;
     }
+
+    if (!html) {
+        process.nextTick(function () {
+            cb({ message: 'Error found: Empty body' }, null);
+        });
+        return;
+    }
+
+    analyze({
+        uri: baseUrl,
+        originalUrl: baseUrl,
+        auth: null,
+        deep: options.deep,
+        checks: options.checks,
+        skip: options.skip,
+        progress: options.progress,
+        resources: {
+            css: getSubmittedResources(submitted.css, baseUrl),
+            js: getSubmittedResources(submitted.js, baseUrl)
+        }
+    }, { body: html, compression: 'none' }, cb);
 }
 
 module.exports = {
-    scan: scan
+    scan: scan,
+    scanContent: scanContent,
+    manifests: require('./checks/loadchecks.js').manifests
 }
 
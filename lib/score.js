@@ -0,0 +1,107 @@
+/**
+ * Description: Computes the overall score (0-100) and grade of a scan from the
+ * results of its checks using the weights and severity multipliers of config.js.
+ *
+ * Copyright (c) Microsoft Corporation; All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this
+ * file except in compliance with the License. You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * THIS CODE IS PROVIDED AS IS BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, EITHER
+ * EXPRESS OR IMPLIED, INCLUDING WITHOUT LIMITATION ANY IMPLIED WARRANTIES OR CONDITIONS
+ * OF TITLE, FITNESS FOR A PARTICULAR PURPOSE, MERCHANTABLITY OR NON-INFRINGEMENT.
+ *
+ * See the Apache Version 2.0 License for specific language governing permissions
+ * and limitations under the License.
+ */
+
+"use strict";
+
+var config = require('./checks/config.js'),
+    manifests = require('./checks/loadchecks.js').manifests;
+
+/**
+ * Returns the severity of each check by id
+ * */
+function getSeverities() {
+    var severities = {};
+
+    manifests().forEach(function (manifest) {
+        severities[manifest.id] = manifest.severity;
+    });
+
+    return severities;
+}
+
+/**
+ * Returns the weight of a check: its configured weight multiplied by the
+ * multiplier of its severity
+ * */
+function getWeight(id, severity, settings) {
+    var weight = settings.weights.hasOwnProperty(id) ? settings.weights[id] : 1,
+        multiplier = settings.multipliers.hasOwnProperty(severity) ? settings.multipliers[severity] : 1;
+
+    return weight * multiplier;
+}
+
+/**
+ * Returns the grade of a score
+ * */
+function getGrade(score, grades) {
+    for (var i = 0; i < grades.length; i++) {
+        if (score >= grades[i].minScore) {
+            return grades[i].grade;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Computes the score and grade of the results of a scan (an object with the
+ * result of each check by id). Results without a passed value and results of
+ * sites excluded from a check don't count. The score is null when no check counts.
+ * settings can override the weights, multipliers and grades of config.js.
+ * */
+function score(results, settings) {
+    settings = settings || {};
+    settings = {
+        weights: settings.weights || config.score_weights,
+        multipliers: settings.multipliers || config.score_severity_multipliers,
+        grades: settings.grades || config.score_grades
+    };
+
+    var severities = getSeverities(),
+        total = 0,
+        passed = 0;
+
+    Object.keys(results || {}).forEach(function (id) {
+        var result = results[id];
+
+        if (!result || typeof result.passed !== 'boolean' || result.excluded) {
+            return;
+        }
+
+        var weight = getWeight(id, severities[id], settings);
+
+        total += weight;
+        if (result.passed) {
+            passed += weight;
+        }
+    });
+
+    if (total === 0) {
+        return { score: null, grade: null };
+    }
+
+    var value = Math.round(100 * passed / total);
+
+    return {
+        score: value,
+        grade: getGrade(value, settings.grades)
+    };
+}
+
+module.exports.score = score;
+module.exports.getGrade = getGrade;
@@ -0,0 +1,267 @@
+/**
+ * Description: Sitemaps (https://www.sitemaps.org/protocol.html): the pages a
+ * sitemap.xml lists, with their priority, and the pages of sitemap indexes and
+ * gzipped sitemaps, from a url or a file, sampled to scan them.
+ *
+ * Copyright (c) Microsoft Corporation; All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this
+ * file except in compliance with the License. You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * THIS CODE IS PROVIDED AS IS BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, EITHER
+ * EXPRESS OR IMPLIED, INCLUDING WITHOUT LIMITATION ANY IMPLIED WARRANTIES OR CONDITIONS
+ * OF TITLE, FITNESS FOR A PARTICULAR PURPOSE, MERCHANTABLITY OR NON-INFRINGEMENT.
+ *
+ * See the Apache Version 2.0 License for specific language governing permissions
+ * and limitations under the License.
+ */
+
+"use strict";
+
+var fs = require('fs'),
+    path = require('path'),
+    url = require('url'),
+    zlib = require('zlib'),
+    xml2js = require('xml2js'),
+    request = require('request'),
+    config = require('./checks/config.js'),
+    politeness = require('./politeness.js');
+
+request = politeness.wrap(request.defaults({
+    jar: false,
+    proxy: process.env.HTTP_PROXY || process.env.http_proxy,
+    timeout: 30000,
+    // Gzipped sitemaps are decompressed by decode
+    encoding: null,
+    headers: {
+        'User-Agent': config.user_agent_edge
+    }
+}));
+
+function getText(element) {
+    var value = element && element[0];
+
+    if (value && typeof value === 'object') {
+        value = value._;
+    }
+
+    return typeof value === 'string' ? value.trim() : null;
+}
+
+/**
+ * Gets the pages of a sitemap, their url and priority (0.5 when it isn't set),
+ * or the sitemaps of a sitemap index
+ * */
+function parse(xml, callback) {
+    xml2js.parseString(xml, function (err, result) {
+        var pages = [],
+            sitemaps = [];
+
+        if (err || !result || !(result.urlset || result.sitemapindex)) {
+            callback(err || new Error('Not a sitemap'), null, null);
+            return;
+        }
+
+        if (result.sitemapindex) {
+            (result.sitemapindex.sitemap || []).forEach(function (entry) {
+                var loc = getText(entry.loc);
+
+                if (loc) {
+                    sitemaps.push(loc);
+                }
+            });
+        }
+
+        ((result.urlset && result.urlset.url) || []).forEach(function (entry) {
+            var loc = getText(entry.loc),
+                priority = parseFloat(getText(entry.priority));
+
+            if (loc) {
+                pages.push({ url: loc, priority: isNaN(priority) ? 0.5 : priority });
+            }
+        });
+
+        callback(null, pages, sitemaps);
+    });
+}
+
+/**
+ * Gets the text of the content of a sitemap, decompressed if it is gzipped
+ * (sitemap.xml.gz files or responses with Content-Encoding: gzip)
+ * */
+function decode(content, callback) {
+    if (!Buffer.isBuffer(content)) {
+        callback(null, String(content || ''));
+        return;
+    }
+
+    if (content.length < 2 || content[0] !== 0x1f || content[1] !== 0x8b) {
+        callback(null, content.toString('utf8'));
+        return;
+    }
+
+    zlib.gunzip(content, function (err, result) {
+        if (err) {
+            callback(new Error('Can\'t gunzip the sitemap: ' + err.message), null);
+            return;
+        }
+
+        decode(result, callback);
+    });
+}
+
+function isUrl(source) {
+    return (/^https?:\/\//i).test(source);
+}
+
+/**
+ * Downloads a sitemap, or reads it if it is a file, and gets its content
+ * */
+function read(source, callback) {
+    if (!isUrl(source)) {
+        fs.readFile(source, function (err, content) {
+            callback(err, content);
+        });
+        return;
+    }
+
+    request(source, function (err, response, body) {
+        if (err || response.statusCode !== 200) {
+            callback(err || new Error('The sitemap ' + source + ' returned ' + response.statusCode), null);
+            return;
+        }
+
+        callback(null, body);
+    });
+}
+
+/**
+ * Downloads (or reads) a sitemap and gets its pages, or the sitemaps of a
+ * sitemap index
+ * */
+function load(source, callback) {
+    read(source, function (err, content) {
+        if (err) {
+            callback(err, null, null);
+            return;
+        }
+
+        decode(content, function (err, xml) {
+            if (err) {
+                callback(err, null, null);
+                return;
+            }
+
+            parse(xml, callback);
+        });
+    });
+}
+
+/**
+ * Returns the pages of a sitemap to scan: the ones with at least minPriority
+ * and, when sample is set, the sample pages with the highest priority, in the
+ * order of the sitemap
+ * */
+function sample(pages, options) {
+    var selected = pages.filter(function (page) {
+        return page.priority >= (options.minPriority || 0);
+    });
+
+    if (!options.sample || selected.length <= options.sample) {
+        return selected;
+    }
+
+    var chosen = selected.map(function (page, index) {
+        return { page: page, index: index };
+    }).sort(function (a, b) {
+        return (b.page.priority - a.page.priority) || (a.index - b.index);
+    }).slice(0, options.sample).sort(function (a, b) {
+        return a.index - b.index;
+    });
+
+    return chosen.map(function (item) {
+        return item.page;
+    });
+}
+
+/**
+ * Gets the pages to scan of a sitemap or sitemap index (a url or a file), the
+ * sitemaps of the indexes loaded one after another. options has the sampling
+ * of each sitemap (sample and minPriority, see sample) and maxDepth, the
+ * number of nested indexes followed, sitemap_* of config.js when not set. A page that is in several sitemaps is
+ * returned once. The callback gets the error of the first sitemap, the pages
+ * (url, priority and sitemap) and the errors of the sitemaps of its indexes
+ * that failed.
+ * */
+function expand(source, options, callback) {
+    var pages = [],
+        errors = [],
+        seenPages = {},
+        seenSitemaps = {},
+        settings;
+
+    options = options || {};
+    settings = {
+        sample: typeof options.sample === 'number' ? options.sample : config.sitemap_sample,
+        minPriority: typeof options.minPriority === 'number' ? options.minPriority : config.sitemap_min_priority,
+        maxDepth: typeof options.maxDepth === 'number' ? options.maxDepth : config.sitemap_max_depth
+    };
+
+    function visit(sitemap, depth, done) {
+        seenSitemaps[sitemap] = true;
+
+        load(sitemap, function (err, found, sitemaps) {
+            if (err) {
+                done(err);
+                return;
+            }
+
+            sample(found, settings).forEach(function (page) {
+                if (!seenPages[page.url]) {
+                    seenPages[page.url] = true;
+                    pages.push({ url: page.url, priority: page.priority, sitemap: sitemap });
+                }
+            });
+
+            function next(index) {
+                if (index === sitemaps.length || depth >= settings.maxDepth) {
+                    done(null);
+                    return;
+                }
+
+                var child = sitemaps[index];
+
+                // Relative locations, to the url of the index or the folder of its file
+                if (!isUrl(child)) {
+                    child = isUrl(sitemap) ? url.resolve(sitemap, child) : path.resolve(path.dirname(sitemap), child);
+                }
+
+                if (seenSitemaps[child]) {
+                    next(index + 1);
+                    return;
+                }
+
+                visit(child, depth + 1, function (err) {
+                    if (err) {
+                        errors.push({ sitemap: child, error: err.message || String(err) });
+                    }
+
+                    next(index + 1);
+                });
+            }
+
+            next(0);
+        });
+    }
+
+    visit(source, 0, function (err) {
+        callback(err, err ? null : pages, errors);
+    });
+}
+
+module.exports.parse = parse;
+module.exports.decode = decode;
+module.exports.load = load;
+module.exports.sample = sample;
+module.exports.expand = expand;
@@ -0,0 +1,296 @@
+/**
+ * Description: Aggregate statistics of a run of the webjob: pass rates per
+ * check, per area and per rank bucket and error comments, computed from the
+ * results file the run left in the storage, and the most common outdated
+ * libraries and missing standard CSS properties, computed from the reports of
+ * the run in the history.
+ *
+ * Copyright (c) Microsoft Corporation; All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this
+ * file except in compliance with the License. You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * THIS CODE IS PROVIDED AS IS BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, EITHER
+ * EXPRESS OR IMPLIED, INCLUDING WITHOUT LIMITATION ANY IMPLIED WARRANTIES OR CONDITIONS
+ * OF TITLE, FITNESS FOR A PARTICULAR PURPOSE, MERCHANTABLITY OR NON-INFRINGEMENT.
+ *
+ * See the Apache Version 2.0 License for specific language governing permissions
+ * and limitations under the License.
+ */
+
+"use strict";
+
+var diff = require('./diff.js'),
+    trends = require('./trends.js'),
+    history = require('./history.js');
+
+/**
+ * Returns the rank bucket of a rank: 1-10, 11-100, 101-1000, etc.
+ * */
+function getRankBucket(rank) {
+    var value = parseInt(rank, 10),
+        upper = 10;
+
+    if (isNaN(value) || value < 1) {
+        return 'unranked';
+    }
+
+    while (value > upper) {
+        upper *= 10;
+    }
+
+    return (upper === 10 ? 1 : upper / 10 + 1) + '-' + upper;
+}
+
+/**
+ * Returns the outdated libraries of the jslibs result of a report, with their
+ * versions: { jQuery: { '1.4.2': true } }
+ * */
+function getLibraries(report) {
+    var result = report && report.results && report.results.jslibs,
+        libraries = {};
+
+    ((result && result.data) || []).forEach(function (library) {
+        if (library && library.name) {
+            libraries[library.name] = libraries[library.name] || {};
+            libraries[library.name][library.version] = true;
+        }
+    });
+
+    return libraries;
+}
+
+/**
+ * Returns the missing standard properties of the cssprefixes result of a report,
+ * gradient for the prefixed gradients: { transition: true, gradient: true }
+ * */
+function getMissingProperties(report) {
+    var result = report && report.results && report.results.cssprefixes,
+        properties = {};
+
+    ((result && result.data) || []).forEach(function (file) {
+        (file.selectors || []).forEach(function (selector) {
+            if (selector.rule === 'gradients') {
+                properties.gradient = true;
+                return;
+            }
+
+            [].concat(selector.styles || []).forEach(function (property) {
+                properties[property] = true;
+            });
+        });
+    });
+
+    return properties;
+}
+
+function count(counters, name) {
+    counters[name] = (counters[name] || 0) + 1;
+}
+
+/**
+ * Returns the top names of counters, the most common first
+ * */
+function getTop(counters, top) {
+    return Object.keys(counters).sort(function (a, b) {
+        return (counters[b] - counters[a]) || a.localeCompare(b);
+    }).slice(0, top).map(function (name) {
+        return { name: name, count: counters[name] };
+    });
+}
+
+function createGroup() {
+    return { sites: 0, scored: 0, scoreTotal: 0, checks: {} };
+}
+
+function addToGroup(group, checks, site) {
+    var score = parseFloat(site.score);
+
+    group.sites++;
+
+    if (!isNaN(score)) {
+        group.scored++;
+        group.scoreTotal += score;
+    }
+
+    checks.forEach(function (id) {
+        var counters = group.checks[id] = group.checks[id] || { passed: 0, failed: 0, notRun: 0 };
+
+        if (site.tests[id] === '1') {
+            counters.passed++;
+        } else if (site.tests[id] === '0') {
+            counters.failed++;
+        } else {
+            counters.notRun++;
+        }
+    });
+}
+
+/**
+ * Returns the number of sites, the average score and, for each check, the sites
+ * that passed, failed and didn't run it and the pass rate (percentage of the
+ * sites that ran it)
+ * */
+function getGroupStats(group) {
+    var checks = {};
+
+    Object.keys(group.checks).forEach(function (id) {
+        var counters = group.checks[id],
+            ran = counters.passed + counters.failed;
+
+        checks[id] = {
+            passed: counters.passed,
+            failed: counters.failed,
+            notRun: counters.notRun,
+            passRate: ran > 0 ? Math.round(counters.passed * 1000 / ran) / 10 : null
+        };
+    });
+
+    return {
+        sites: group.sites,
+        averageScore: group.scored > 0 ? Math.round(group.scoreTotal * 10 / group.scored) / 10 : null,
+        checks: checks
+    };
+}
+
+function getGroupsStats(groups) {
+    var stats = {};
+
+    Object.keys(groups).sort().forEach(function (name) {
+        stats[name] = getGroupStats(groups[name]);
+    });
+
+    return stats;
+}
+
+/**
+ * Computes the statistics of the results of a run (as returned by
+ * diff.parseResults) and the libraries and properties of its sites by url (as
+ * returned by getLibraries and getMissingProperties, or null). top is the length
+ * of the lists of the most common libraries, properties and errors.
+ * */
+function compute(results, details, top) {
+    var total = createGroup(),
+        areas = {},
+        ranks = {},
+        libraries = {},
+        versions = {},
+        properties = {},
+        errors = {},
+        errorCount = 0;
+
+    Object.keys(results.sites).forEach(function (url) {
+        var site = results.sites[url],
+            area = site.area || 'none',
+            bucket = getRankBucket(site.rank),
+            detail = (details && details[url]) || {},
+            comment = (site.comment || '').trim(),
+            siteLibraries = detail.libraries || {},
+            siteProperties = detail.properties || {};
+
+        addToGroup(total, results.checks, site);
+        addToGroup(areas[area] = areas[area] || createGroup(), results.checks, site);
+        addToGroup(ranks[bucket] = ranks[bucket] || createGroup(), results.checks, site);
+
+        if (comment && comment !== 'N/A') {
+            errorCount++;
+            count(errors, comment);
+        }
+
+        // Libraries and properties are counted once per site
+        Object.keys(siteLibraries).forEach(function (name) {
+            count(libraries, name);
+            versions[name] = versions[name] || {};
+            Object.keys(siteLibraries[name]).forEach(function (version) {
+                count(versions[name], version);
+            });
+        });
+
+        Object.keys(siteProperties).forEach(function (property) {
+            count(properties, property);
+        });
+    });
+
+    var stats = getGroupStats(total);
+
+    stats.errorCount = errorCount;
+    stats.areas = getGroupsStats(areas);
+    stats.ranks = getGroupsStats(ranks);
+    stats.outdatedLibraries = getTop(libraries, top).map(function (library) {
+        library.versions = getTop(versions[library.name], top);
+        return library;
+    });
+    stats.missingProperties = getTop(properties, top);
+    stats.commonErrors = getTop(errors, top);
+
+    return stats;
+}
+
+/**
+ * Returns the statistics of a run of the webjob kept in a storage (see
+ * lib/storage), the last one if run isn't set, with the list of the runs in the
+ * storage. The libraries and properties come from the reports of the run in the
+ * history (none if it wasn't saved with --history). The callback gets null if
+ * the run doesn't exist.
+ * */
+function getRunStats(container, run, top, callback) {
+    container.list(function (err, names) {
+        if (err) {
+            callback(err, null);
+            return;
+        }
+
+        var runs = trends.getRuns(names),
+            entry = run ? runs.filter(function (item) {
+                return item.run === run;
+            })[0] : runs[runs.length - 1];
+
+        if (!entry) {
+            callback(null, null);
+            return;
+        }
+
+        container.readText(entry.results, function (err, text) {
+            if (err) {
+                callback(err, null);
+                return;
+            }
+
+            diff.parseResults(text, [], function (err, results) {
+                if (err) {
+                    callback(err, null);
+                    return;
+                }
+
+                var details = {};
+
+                history.eachReport(entry.run, function (site, report) {
+                    details[site] = {
+                        libraries: getLibraries(report),
+                        properties: getMissingProperties(report)
+                    };
+                }, function (err) {
+                    if (err) {
+                        callback(err, null);
+                        return;
+                    }
+
+                    var stats = compute(results, details, top);
+
+                    stats.run = entry.run;
+                    stats.runs = runs.map(function (item) {
+                        return item.run;
+                    });
+                    callback(null, stats);
+                });
+            });
+        });
+    });
+}
+
+module.exports.getRankBucket = getRankBucket;
+module.exports.getLibraries = getLibraries;
+module.exports.getMissingProperties = getMissingProperties;
+module.exports.compute = compute;
+module.exports.getRunStats = getRunStats;
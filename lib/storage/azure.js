@@ -0,0 +1,90 @@
+/**
+ * Description: Storage in an Azure blob container.
+ *
+ * Copyright (c) Microsoft Corporation; All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this
+ * file except in compliance with the License. You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * THIS CODE IS PROVIDED AS IS BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, EITHER
+ * EXPRESS OR IMPLIED, INCLUDING WITHOUT LIMITATION ANY IMPLIED WARRANTIES OR CONDITIONS
+ * OF TITLE, FITNESS FOR A PARTICULAR PURPOSE, MERCHANTABLITY OR NON-INFRINGEMENT.
+ *
+ * See the Apache Version 2.0 License for specific language governing permissions
+ * and limitations under the License.
+ */
+
+"use strict";
+
+/**
+ * Returns a storage of the blob container settings.container of the
+ * settings.accountName storage account
+ * */
+function create(settings) {
+    // Only the installations that use Azure need the module
+    var azure = require('azure-storage'),
+        container = settings.container,
+        blobSvc = azure.createBlobService(settings.accountName, settings.accountKey);
+
+    // Lists the blobs of a segment and the next ones
+    function listSegment(token, names, callback) {
+        blobSvc.listBlobsSegmented(container, token, function (err, result) {
+            if (err) {
+                callback(err, names);
+                return;
+            }
+
+            (result.entries || []).forEach(function (entry) {
+                names.push(entry.name);
+            });
+
+            if (result.continuationToken) {
+                listSegment(result.continuationToken, names, callback);
+            } else {
+                callback(null, names);
+            }
+        });
+    }
+
+    return {
+        createContainer: function (callback) {
+            blobSvc.createContainerIfNotExists(container, { publicAccessLevel: 'blob' }, function (err) {
+                callback(err || null);
+            });
+        },
+        list: function (callback) {
+            listSegment(null, [], callback);
+        },
+        exists: function (name, callback) {
+            blobSvc.doesBlobExist(container, name, function (err, result) {
+                // Newer versions of the module call back with an object
+                callback(err || null, !!(result && typeof result === 'object' ? result.exists : result));
+            });
+        },
+        readText: function (name, callback) {
+            blobSvc.getBlobToText(container, name, function (err, text) {
+                callback(err || null, text);
+            });
+        },
+        download: function (name, localPath, callback) {
+            blobSvc.getBlobToLocalFile(container, name, localPath, function (err) {
+                callback(err || null);
+            });
+        },
+        upload: function (name, localPath, contentType, callback) {
+            var options = contentType ? { contentType: contentType } : {};
+
+            blobSvc.createBlockBlobFromLocalFile(container, name, localPath, options, function (err) {
+                callback(err || null);
+            });
+        },
+        copy: function (name, targetName, callback) {
+            blobSvc.startCopyBlob(blobSvc.getUrl(container, name), container, targetName, function (err) {
+                callback(err || null);
+            });
+        }
+    };
+}
+
+module.exports.create = create;
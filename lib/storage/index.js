@@ -0,0 +1,78 @@
+/**
+ * Description: Storage of the website list and the results of the webjob. Every
+ * backend exports create(settings), which returns a storage of the container
+ * with these functions (their callbacks get the error first):
+ *  - createContainer(callback): creates the container if it doesn't exist
+ *  - list(callback): names of the files in the container
+ *  - exists(name, callback): true if the file exists
+ *  - readText(name, callback): content of the file as text
+ *  - download(name, localPath, callback): copies the file to a local file
+ *  - upload(name, localPath, contentType, callback): creates or overwrites the
+ *    file with a local file
+ *  - copy(name, targetName, callback): copies a file within the container
+ *
+ * Copyright (c) Microsoft Corporation; All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this
+ * file except in compliance with the License. You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * THIS CODE IS PROVIDED AS IS BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, EITHER
+ * EXPRESS OR IMPLIED, INCLUDING WITHOUT LIMITATION ANY IMPLIED WARRANTIES OR CONDITIONS
+ * OF TITLE, FITNESS FOR A PARTICULAR PURPOSE, MERCHANTABLITY OR NON-INFRINGEMENT.
+ *
+ * See the Apache Version 2.0 License for specific language governing permissions
+ * and limitations under the License.
+ */
+
+"use strict";
+
+var config = require('../checks/config.js'),
+    backends = {
+        local: require('./local.js'),
+        s3: require('./s3.js'),
+        azure: require('./azure.js')
+    },
+    storage = null;
+
+/**
+ * Returns the settings of a storage of the container from config.js
+ * */
+function getSettings(container) {
+    return {
+        container: container,
+        directory: config.storage_directory,
+        accountName: config.storage_account_name,
+        accountKey: config.storage_account_key,
+        endpoint: config.storage_s3_endpoint,
+        region: config.storage_s3_region,
+        accessKeyId: config.storage_s3_access_key_id,
+        secretAccessKey: config.storage_s3_secret_access_key
+    };
+}
+
+/**
+ * Returns a storage of the type ('local', 's3' or 'azure') with the settings
+ * */
+function create(type, settings) {
+    if (!backends.hasOwnProperty(type)) {
+        throw new Error('Unknown storage type ' + type + ', expected one of ' + Object.keys(backends).join(', '));
+    }
+
+    return backends[type].create(settings);
+}
+
+/**
+ * Returns the storage of the website list container, of the storage_type in config.js
+ * */
+function get() {
+    if (!storage) {
+        storage = create(config.storage_type, getSettings(config.website_list_container_name));
+    }
+
+    return storage;
+}
+
+module.exports.create = create;
+module.exports.get = get;
+module.exports.types = Object.keys(backends);
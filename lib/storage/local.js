@@ -0,0 +1,122 @@
+/**
+ * Description: Storage in a local directory, with a folder per container. For
+ * self-hosted installations that don't use a cloud storage.
+ *
+ * Copyright (c) Microsoft Corporation; All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this
+ * file except in compliance with the License. You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * THIS CODE IS PROVIDED AS IS BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, EITHER
+ * EXPRESS OR IMPLIED, INCLUDING WITHOUT LIMITATION ANY IMPLIED WARRANTIES OR CONDITIONS
+ * OF TITLE, FITNESS FOR A PARTICULAR PURPOSE, MERCHANTABLITY OR NON-INFRINGEMENT.
+ *
+ * See the Apache Version 2.0 License for specific language governing permissions
+ * and limitations under the License.
+ */
+
+"use strict";
+
+var fs = require('fs'),
+    path = require('path');
+
+/**
+ * Copies a file, calling back once the target is written
+ * */
+function copyFile(source, target, callback) {
+    var done = false,
+        reader = fs.createReadStream(source),
+        writer = fs.createWriteStream(target);
+
+    function finish(err) {
+        if (!done) {
+            done = true;
+            callback(err || null);
+        }
+    }
+
+    reader.on('error', finish);
+    writer.on('error', finish);
+    writer.on('finish', function () {
+        finish(null);
+    });
+    reader.pipe(writer);
+}
+
+/**
+ * Creates a directory and its parents if they don't exist
+ * */
+function makeDirectory(directory, callback) {
+    fs.mkdir(directory, function (err) {
+        if (err && err.code === 'ENOENT') {
+            makeDirectory(path.dirname(directory), function (parentErr) {
+                if (parentErr) {
+                    callback(parentErr);
+                } else {
+                    makeDirectory(directory, callback);
+                }
+            });
+        } else if (err && err.code !== 'EEXIST') {
+            callback(err);
+        } else {
+            callback(null);
+        }
+    });
+}
+
+/**
+ * Returns a storage of the container folder of settings.directory
+ * */
+function create(settings) {
+    var directory = path.join(settings.directory, settings.container);
+
+    // Names can't leave the folder of the container
+    function getPath(name) {
+        return path.join(directory, path.basename(String(name)));
+    }
+
+    return {
+        createContainer: function (callback) {
+            makeDirectory(directory, callback);
+        },
+        list: function (callback) {
+            fs.readdir(directory, function (err, names) {
+                if (err) {
+                    callback(err.code === 'ENOENT' ? null : err, []);
+                    return;
+                }
+
+                callback(null, names.filter(function (name) {
+                    return fs.statSync(path.join(directory, name)).isFile();
+                }).sort());
+            });
+        },
+        exists: function (name, callback) {
+            fs.stat(getPath(name), function (err, stats) {
+                callback(null, !err && stats.isFile());
+            });
+        },
+        readText: function (name, callback) {
+            fs.readFile(getPath(name), 'utf8', callback);
+        },
+        download: function (name, localPath, callback) {
+            copyFile(getPath(name), localPath, callback);
+        },
+        upload: function (name, localPath, contentType, callback) {
+            makeDirectory(directory, function (err) {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+
+                copyFile(localPath, getPath(name), callback);
+            });
+        },
+        copy: function (name, targetName, callback) {
+            copyFile(getPath(name), getPath(targetName), callback);
+        }
+    };
+}
+
+module.exports.create = create;
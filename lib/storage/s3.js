@@ -0,0 +1,255 @@
+/**
+ * Description: Storage in a bucket of Amazon S3 or any S3 compatible service
+ * (MinIO, Ceph, etc.). The requests are signed with AWS Signature Version 4.
+ *
+ * Copyright (c) Microsoft Corporation; All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this
+ * file except in compliance with the License. You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * THIS CODE IS PROVIDED AS IS BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, EITHER
+ * EXPRESS OR IMPLIED, INCLUDING WITHOUT LIMITATION ANY IMPLIED WARRANTIES OR CONDITIONS
+ * OF TITLE, FITNESS FOR A PARTICULAR PURPOSE, MERCHANTABLITY OR NON-INFRINGEMENT.
+ *
+ * See the Apache Version 2.0 License for specific language governing permissions
+ * and limitations under the License.
+ */
+
+"use strict";
+
+var crypto = require('crypto'),
+    fs = require('fs'),
+    url = require('url'),
+    request = require('request'),
+    xml2js = require('xml2js');
+
+request = request.defaults({
+    jar: false,
+    proxy: process.env.HTTP_PROXY || process.env.http_proxy
+});
+
+function hash(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+    return crypto.createHmac('sha256', key).update(data, 'utf8').digest();
+}
+
+/**
+ * URI encoding of the signature: everything but the unreserved characters
+ * */
+function encode(value) {
+    return encodeURIComponent(value).replace(/[!'()*]/g, function (c) {
+        return '%' + c.charCodeAt(0).toString(16).toUpperCase();
+    });
+}
+
+/**
+ * Returns the Authorization header of a request with the signature version 4
+ * of its method, path, query and headers (their names in lower case)
+ * */
+function sign(settings, method, path, query, headers) {
+    var amzDate = headers['x-amz-date'],
+        date = amzDate.substring(0, 8),
+        scope = [date, settings.region, 's3', 'aws4_request'].join('/'),
+        names = Object.keys(headers).sort(),
+        canonicalQuery = Object.keys(query).sort().map(function (name) {
+            return encode(name) + '=' + encode(query[name]);
+        }).join('&'),
+        canonicalHeaders = names.map(function (name) {
+            return name + ':' + String(headers[name]).trim() + '\n';
+        }).join(''),
+        canonicalRequest = [method, path, canonicalQuery, canonicalHeaders, names.join(';'), headers['x-amz-content-sha256']].join('\n'),
+        stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, hash(canonicalRequest)].join('\n'),
+        key = hmac(hmac(hmac(hmac('AWS4' + settings.secretAccessKey, date), settings.region), 's3'), 'aws4_request');
+
+    return 'AWS4-HMAC-SHA256 Credential=' + settings.accessKeyId + '/' + scope +
+        ', SignedHeaders=' + names.join(';') +
+        ', Signature=' + crypto.createHmac('sha256', key).update(stringToSign, 'utf8').digest('hex');
+}
+
+/**
+ * Returns the error of a response of S3: its code (e.g. NoSuchKey) and message
+ * */
+function getError(response, body) {
+    var text = body ? body.toString() : '',
+        code = /<Code>([^<]*)<\/Code>/.exec(text),
+        message = /<Message>([^<]*)<\/Message>/.exec(text),
+        error = new Error('S3 returned ' + response.statusCode + (message ? ' - ' + message[1] : ''));
+
+    error.statusCode = response.statusCode;
+    error.code = code ? code[1] : null;
+
+    return error;
+}
+
+/**
+ * Returns a storage of the bucket settings.container
+ * */
+function create(settings) {
+    var endpoint = url.parse(settings.endpoint || 'https://s3.' + settings.region + '.amazonaws.com'),
+        bucketPath = '/' + encode(settings.container);
+
+    function getPath(name) {
+        return name ? bucketPath + '/' + String(name).split('/').map(encode).join('/') : bucketPath;
+    }
+
+    /**
+     * Sends a signed request. options has the method, the name of the file (none
+     * for the bucket), the query, the headers and the body. The callback gets
+     * the response and the body as a buffer.
+     * */
+    function send(options, callback) {
+        var method = options.method || 'GET',
+            path = getPath(options.name),
+            query = options.query || {},
+            body = options.body || '',
+            headers = {
+                host: endpoint.host,
+                'x-amz-date': new Date().toISOString().replace(/[:\-]|\.\d{3}/g, ''),
+                'x-amz-content-sha256': hash(body)
+            },
+            search = Object.keys(query).map(function (name) {
+                return encode(name) + '=' + encode(query[name]);
+            }).join('&');
+
+        Object.keys(options.headers || {}).forEach(function (name) {
+            headers[name.toLowerCase()] = options.headers[name];
+        });
+
+        headers.authorization = sign(settings, method, path, query, headers);
+
+        request({
+            method: method,
+            uri: endpoint.protocol + '//' + endpoint.host + path + (search ? '?' + search : ''),
+            headers: headers,
+            body: body.length > 0 ? body : undefined,
+            encoding: null
+        }, callback);
+    }
+
+    // Lists the keys of a page and the next ones
+    function listPage(token, names, callback) {
+        var query = { 'list-type': '2' };
+
+        if (token) {
+            query['continuation-token'] = token;
+        }
+
+        send({ query: query }, function (err, response, body) {
+            if (err || response.statusCode !== 200) {
+                callback(err || getError(response, body), names);
+                return;
+            }
+
+            xml2js.parseString(body.toString(), function (parseErr, result) {
+                var list = result && result.ListBucketResult;
+
+                if (parseErr || !list) {
+                    callback(parseErr || new Error('Unexpected response of S3'), names);
+                    return;
+                }
+
+                (list.Contents || []).forEach(function (item) {
+                    names.push(item.Key[0]);
+                });
+
+                if (list.IsTruncated && list.IsTruncated[0] === 'true') {
+                    listPage(list.NextContinuationToken[0], names, callback);
+                } else {
+                    callback(null, names);
+                }
+            });
+        });
+    }
+
+    return {
+        createContainer: function (callback) {
+            var body = '';
+
+            if (settings.region !== 'us-east-1') {
+                body = '<CreateBucketConfiguration xmlns="http://s3.amazonaws.com/doc/2006-03-01/"><LocationConstraint>' +
+                    settings.region + '</LocationConstraint></CreateBucketConfiguration>';
+            }
+
+            send({ method: 'PUT', body: body }, function (err, response, responseBody) {
+                if (!err && response.statusCode !== 200) {
+                    err = getError(response, responseBody);
+                    if (err.code === 'BucketAlreadyOwnedByYou') {
+                        err = null;
+                    }
+                }
+
+                callback(err || null);
+            });
+        },
+        list: function (callback) {
+            listPage(null, [], callback);
+        },
+        exists: function (name, callback) {
+            send({ method: 'HEAD', name: name }, function (err, response) {
+                if (!err && response.statusCode !== 200 && response.statusCode !== 404) {
+                    err = getError(response);
+                }
+
+                callback(err || null, !err && response.statusCode === 200);
+            });
+        },
+        readText: function (name, callback) {
+            send({ name: name }, function (err, response, body) {
+                if (err || response.statusCode !== 200) {
+                    callback(err || getError(response, body));
+                    return;
+                }
+
+                callback(null, body.toString('utf8'));
+            });
+        },
+        download: function (name, localPath, callback) {
+            send({ name: name }, function (err, response, body) {
+                if (err || response.statusCode !== 200) {
+                    callback(err || getError(response, body));
+                    return;
+                }
+
+                fs.writeFile(localPath, body, callback);
+            });
+        },
+        upload: function (name, localPath, contentType, callback) {
+            fs.readFile(localPath, function (err, content) {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+
+                send({
+                    method: 'PUT',
+                    name: name,
+                    body: content,
+                    headers: { 'Content-Type': contentType || 'application/octet-stream' }
+                }, function (err, response, body) {
+                    callback(err || (response.statusCode !== 200 ? getError(response, body) : null));
+                });
+            });
+        },
+        copy: function (name, targetName, callback) {
+            send({
+                method: 'PUT',
+                name: targetName,
+                headers: { 'x-amz-copy-source': getPath(name) }
+            }, function (err, response, body) {
+                // Copies can fail after the 200 status, with an error in the body
+                if (!err && (response.statusCode !== 200 || /<Error>/.test(body.toString()))) {
+                    err = getError(response, body);
+                }
+
+                callback(err || null);
+            });
+        }
+    };
+}
+
+module.exports.create = create;
+module.exports.sign = sign;
@@ -0,0 +1,222 @@
+/**
+ * Description: Trend of a site across the runs of the webjob, read from the
+ * results and summary files the runs left in the storage: the result of each
+ * check, the score and the grade of the site in every run.
+ *
+ * Copyright (c) Microsoft Corporation; All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this
+ * file except in compliance with the License. You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * THIS CODE IS PROVIDED AS IS BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, EITHER
+ * EXPRESS OR IMPLIED, INCLUDING WITHOUT LIMITATION ANY IMPLIED WARRANTIES OR CONDITIONS
+ * OF TITLE, FITNESS FOR A PARTICULAR PURPOSE, MERCHANTABLITY OR NON-INFRINGEMENT.
+ *
+ * See the Apache Version 2.0 License for specific language governing permissions
+ * and limitations under the License.
+ */
+
+"use strict";
+
+var csv = require('csv'),
+    diff = require('./diff.js'),
+    summaryFilePattern = /^summary(\d{2}-\d{2}-\d{4}_)\.csv$/;
+
+/**
+ * Returns the host of a site as it is in the files of the webjob: without
+ * protocol nor trailing slash, in lower case
+ * */
+function normalizeHost(host) {
+    return String(host || '').trim().toLowerCase().replace(/^https?:\/\//, '').replace(/\/+$/, '');
+}
+
+/**
+ * Returns the runs of a list of file names, the oldest first, with the name of
+ * their results file (completedresults if the run finished) and summary file
+ * */
+function getRuns(names) {
+    var runs = {};
+
+    function getEntry(run) {
+        runs[run] = runs[run] || { run: run, results: null, summary: null };
+        return runs[run];
+    }
+
+    names.forEach(function (name) {
+        var run = diff.getRun(name),
+            match = summaryFilePattern.exec(name),
+            entry;
+
+        if (run) {
+            entry = getEntry(run);
+            if (!entry.results || name.indexOf('completed') === 0) {
+                entry.results = name;
+            }
+        } else if (match) {
+            getEntry(match[1]).summary = name;
+        }
+    });
+
+    return Object.keys(runs).filter(function (run) {
+        return !!runs[run].results;
+    }).sort(function (a, b) {
+        return diff.getRunDate(a).localeCompare(diff.getRunDate(b));
+    }).map(function (run) {
+        return runs[run];
+    });
+}
+
+/**
+ * Parses a summary file of the webjob (rank, area, url and a column per check
+ * with the summary of its findings) into a map of the summaries of each check by
+ * url. checks are the ids of the check columns of files without header.
+ * */
+function parseSummaries(text, checks, callback) {
+    csv().from.string(text || '').to.array(function (rows) {
+        var sites = {};
+
+        if (rows.length > 0 && rows[0][2] === 'url') {
+            checks = rows.shift().slice(3);
+        }
+
+        rows.forEach(function (row) {
+            var url = (row[2] || '').trim();
+
+            if (url) {
+                sites[url] = {};
+                checks.forEach(function (id, index) {
+                    sites[url][id] = row[3 + index] || '';
+                });
+            }
+        });
+
+        callback(null, { checks: checks, sites: sites });
+    }).on('error', function (err) {
+        callback(err, null);
+    });
+}
+
+/**
+ * Returns the entry of a map by url of the host, or null
+ * */
+function findSite(sites, host) {
+    var url = Object.keys(sites).filter(function (url) {
+        return normalizeHost(url) === host;
+    })[0];
+
+    return url ? sites[url] : null;
+}
+
+/**
+ * Returns the result of a check: true passed, false failed, null not run
+ * */
+function getPassed(value) {
+    if (value === '1' || value === '0') {
+        return value === '1';
+    }
+
+    return null;
+}
+
+/**
+ * Returns the trend of a site in the runs of the webjob kept in a storage (see
+ * lib/storage): the checks and, for every run with results of the site (the
+ * oldest first), its date, rank, area, score, grade, comment and the result and
+ * summary of the findings of each check. The callback gets null if no run has
+ * results of the site.
+ * */
+function getSiteTrend(container, host, callback) {
+    host = normalizeHost(host);
+
+    container.list(function (err, names) {
+        if (err) {
+            callback(err, null);
+            return;
+        }
+
+        var runs = getRuns(names),
+            checks = [],
+            trend = [];
+
+        // The files are read one after the other, they can be big
+        function next(index) {
+            if (index >= runs.length) {
+                callback(null, trend.length > 0 ? { site: host, checks: checks, runs: trend } : null);
+                return;
+            }
+
+            var run = runs[index];
+
+            container.readText(run.results, function (err, text) {
+                if (err) {
+                    callback(err, null);
+                    return;
+                }
+
+                diff.parseResults(text, checks, function (err, results) {
+                    var site = results && findSite(results.sites, host);
+
+                    if (err || !site) {
+                        next(index + 1);
+                        return;
+                    }
+
+                    results.checks.forEach(function (id) {
+                        if (checks.indexOf(id) === -1) {
+                            checks.push(id);
+                        }
+                    });
+
+                    var entry = {
+                        run: run.run,
+                        date: diff.getRunDate(run.run).replace(/^(\d{4})(\d{2})(\d{2})$/, '$1-$2-$3'),
+                        rank: site.rank,
+                        area: site.area,
+                        score: site.score && !isNaN(site.score) ? Number(site.score) : null,
+                        grade: site.grade && site.grade !== 'N/A' ? site.grade : null,
+                        comment: site.comment && site.comment !== 'N/A' ? site.comment : null,
+                        tests: {}
+                    };
+
+                    results.checks.forEach(function (id) {
+                        entry.tests[id] = { passed: getPassed(site.tests[id]), summary: null };
+                    });
+
+                    trend.push(entry);
+
+                    if (!run.summary) {
+                        next(index + 1);
+                        return;
+                    }
+
+                    container.readText(run.summary, function (err, summaryText) {
+                        if (err) {
+                            next(index + 1);
+                            return;
+                        }
+
+                        parseSummaries(summaryText, results.checks, function (err, summaries) {
+                            var summary = summaries && findSite(summaries.sites, host);
+
+                            Object.keys(summary || {}).forEach(function (id) {
+                                if (entry.tests[id]) {
+                                    entry.tests[id].summary = summary[id] || null;
+                                }
+                            });
+
+                            next(index + 1);
+                        });
+                    });
+                });
+            });
+        }
+
+        next(0);
+    });
+}
+
+module.exports.normalizeHost = normalizeHost;
+module.exports.getRuns = getRuns;
+module.exports.parseSummaries = parseSummaries;
+module.exports.getSiteTrend = getSiteTrend;
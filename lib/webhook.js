@@ -0,0 +1,117 @@
+/**
+ * Description: Webhook callbacks. POSTs a JSON payload to the callback url of a
+ * scan, a job or a batch run, signed with the shared secret of config.js, and
+ * retries with an increasing delay when the callback fails.
+ *
+ * Copyright (c) Microsoft Corporation; All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this
+ * file except in compliance with the License. You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * THIS CODE IS PROVIDED AS IS BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, EITHER
+ * EXPRESS OR IMPLIED, INCLUDING WITHOUT LIMITATION ANY IMPLIED WARRANTIES OR CONDITIONS
+ * OF TITLE, FITNESS FOR A PARTICULAR PURPOSE, MERCHANTABLITY OR NON-INFRINGEMENT.
+ *
+ * See the Apache Version 2.0 License for specific language governing permissions
+ * and limitations under the License.
+ */
+
+"use strict";
+
+var crypto = require('crypto'),
+    request = require('request'),
+    config = require('./checks/config.js');
+
+/**
+ * Returns the signature of a body: "sha256=" followed by the hex HMAC-SHA256
+ * of the body with the secret
+ * */
+function sign(body, secret) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(body, 'utf8').digest('hex');
+}
+
+/**
+ * Returns true when callbacks can be sent: they are always signed, so the
+ * webhook_secret of config.js must be set
+ * */
+function isEnabled() {
+    return !!config.webhook_secret;
+}
+
+/**
+ * Returns true for http and https urls
+ * */
+function isValidUrl(callbackUrl) {
+    return typeof callbackUrl === 'string' && (/^https?:\/\/[^\/]+/i).test(callbackUrl);
+}
+
+/**
+ * POSTs the payload to the callback url. event is the kind of notification
+ * (e.g. scan.completed), sent in the X-Scanner-Event header. The signature is
+ * computed from the timestamp of the X-Scanner-Timestamp header (seconds since
+ * 1970), a dot and the body, so a receiver can refuse the old ones. The callback
+ * gets the error of the last attempt (if every attempt failed), or an error
+ * without sending anything if there is no secret.
+ * */
+function send(callbackUrl, event, payload, callback) {
+    var body = JSON.stringify(payload),
+        timestamp = String(Math.floor(Date.now() / 1000)),
+        headers = {
+            'Content-Type': 'application/json',
+            'User-Agent': 'Sites-Scanner-Webhook',
+            'X-Scanner-Event': event,
+            'X-Scanner-Timestamp': timestamp
+        },
+        attempt = 0;
+
+    if (!isEnabled()) {
+        console.log('webhook', event, callbackUrl, 'not sent, webhook_secret is not set');
+        if (callback) {
+            callback(new Error('Error found: webhook callbacks are disabled, Webhook_Secret is not set'));
+        }
+        return;
+    }
+
+    headers['X-Scanner-Signature'] = sign(timestamp + '.' + body, config.webhook_secret);
+
+    function post() {
+        attempt++;
+
+        request({
+            method: 'POST',
+            uri: callbackUrl,
+            headers: headers,
+            body: body,
+            timeout: config.webhook_timeout
+        }, function (err, response) {
+            if (!err && response.statusCode >= 200 && response.statusCode < 300) {
+                console.log('webhook', event, callbackUrl, 'sent');
+                if (callback) {
+                    callback(null);
+                }
+                return;
+            }
+
+            var error = err || new Error('Callback returned ' + response.statusCode);
+
+            if (attempt > config.webhook_retries) {
+                console.log('webhook', event, callbackUrl, 'failed', error.message);
+                if (callback) {
+                    callback(error);
+                }
+                return;
+            }
+
+            // 1x, 2x, 4x... the retry delay
+            setTimeout(post, config.webhook_retry_delay * Math.pow(2, attempt - 1));
+        });
+    }
+
+    post();
+}
+
+module.exports.sign = sign;
+module.exports.isValidUrl = isValidUrl;
+module.exports.isEnabled = isEnabled;
+module.exports.send = send;
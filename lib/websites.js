@@ -0,0 +1,156 @@
+/**
+ * Description: The list of websites of the webjob (websites.csv): a CSV file
+ * with a website per row and an optional header row, whose columns are mapped
+ * to the fields of the websites with websites_columns of config.js.
+ *
+ * Copyright (c) Microsoft Corporation; All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this
+ * file except in compliance with the License. You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * THIS CODE IS PROVIDED AS IS BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, EITHER
+ * EXPRESS OR IMPLIED, INCLUDING WITHOUT LIMITATION ANY IMPLIED WARRANTIES OR CONDITIONS
+ * OF TITLE, FITNESS FOR A PARTICULAR PURPOSE, MERCHANTABLITY OR NON-INFRINGEMENT.
+ *
+ * See the Apache Version 2.0 License for specific language governing permissions
+ * and limitations under the License.
+ */
+
+"use strict";
+
+var csv = require('csv'),
+    config = require('./checks/config.js');
+
+/**
+ * Splits the list of a column (tags, checks) separated by semicolons, commas,
+ * pipes or spaces
+ * */
+function splitList(value) {
+    return String(value || '').split(/[;,|\s]+/).filter(function (item) {
+        return item !== '';
+    });
+}
+
+/**
+ * Returns the field of a column of the header, or null if it is not a field
+ * */
+function getField(name, columns) {
+    var column = String(name || '').toLowerCase();
+
+    return Object.keys(columns).filter(function (field) {
+        return columns[field].indexOf(column) !== -1;
+    })[0] || null;
+}
+
+/**
+ * Creates a website with the values of its fields. columns has the values of
+ * the columns carried to the results.
+ * */
+function create(fields) {
+    fields = fields || {};
+
+    return {
+        url: fields.url || '',
+        rank: fields.rank || '',
+        area: fields.area || '',
+        tags: splitList(fields.tags),
+        credentials: fields.credentials || null,
+        checks: splitList(fields.checks),
+        skip: splitList(fields.skip),
+        columns: fields.columns || {}
+    };
+}
+
+/**
+ * Parses a list of websites. The first row is the header if one of its columns
+ * is the name of a field, otherwise the columns are the ones of
+ * websites_default_columns. Empty rows, rows without url and rows that start
+ * with # are skipped. The callback gets the names of the columns carried to the
+ * results (tags and the ones that are not fields, in order) and the websites.
+ * options can have the columns and defaultColumns to use instead of the ones of
+ * config.js.
+ * */
+function parse(text, options, callback) {
+    var columns = (options && options.columns) || config.websites_columns,
+        defaultColumns = (options && options.defaultColumns) || config.websites_default_columns,
+        finished = false;
+
+    function done(err, result) {
+        if (!finished) {
+            finished = true;
+            callback(err, result);
+        }
+    }
+
+    // The byte order mark and the line breaks of any system
+    text = String(text || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+
+    csv().from.string(text).to.array(function (rows) {
+        var names = defaultColumns,
+            fields,
+            carried;
+
+        rows = rows.map(function (row) {
+            return row.map(function (value) {
+                return String(value).trim();
+            });
+        }).filter(function (row) {
+            return row.join('') !== '' && row[0].charAt(0) !== '#';
+        });
+
+        if (rows.length > 0 && rows[0].some(function (name) { return getField(name, columns); })) {
+            names = rows.shift();
+            fields = names.map(function (name) {
+                return getField(name, columns);
+            });
+        } else {
+            fields = names.map(function (name) {
+                return columns[name] ? name : null;
+            });
+        }
+
+        carried = names.filter(function (name, index) {
+            return !fields[index] || fields[index] === 'tags';
+        });
+
+        done(null, {
+            columns: carried,
+            websites: rows.map(function (row) {
+                var values = { columns: {} };
+
+                names.forEach(function (name, index) {
+                    var value = row[index] || '';
+
+                    if (fields[index] && !values[fields[index]]) {
+                        values[fields[index]] = value;
+                    }
+
+                    if (carried.indexOf(name) !== -1) {
+                        values.columns[name] = value;
+                    }
+                });
+
+                return create(values);
+            }).filter(function (website) {
+                return website.url !== '';
+            })
+        });
+    }).on('error', function (err) {
+        done(err, null);
+    });
+}
+
+/**
+ * Returns the user and password of a website from website_credentials, or null
+ * if it has none or they are not set
+ * */
+function getCredentials(website) {
+    var credentials = website.credentials && config.website_credentials[website.credentials];
+
+    return credentials ? { user: credentials.user, password: credentials.password } : null;
+}
+
+module.exports.parse = parse;
+module.exports.create = create;
+module.exports.getCredentials = getCredentials;
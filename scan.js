@@ -1,8 +1,9 @@
+/*
+ * Command line interface of the scanner. Run "node scan.js --help" for the options.
+ */
 
-var scanner = require('./lib/scanner');
+var cli = require('./lib/cli.js');
 
-scanner.scan(process.argv[2], null, null, false, function (err, data) {
-	console.dir(err);
-	console.dir(data);
+cli.run(process.argv.slice(2), function (exitCode) {
+	process.exitCode = exitCode;
 });
-
@@ -0,0 +1,37 @@
+/**
+ * Description: Sample check loaded from an external directory. Looks for the
+ * analytics tag in the scripts of the site.
+ */
+
+"use strict";
+
+var Deferred = require('promised-io').Deferred;
+
+var check = function (website) {
+    var deferred = new Deferred();
+
+    process.nextTick(function () {
+        var found = website.js.some(function (script) {
+            return (script.content || '').indexOf('analytics.js') !== -1;
+        });
+
+        deferred.resolve({
+            testName: 'analytics',
+            passed: found,
+            data: {}
+        });
+    });
+
+    return deferred.promise;
+};
+
+module.exports.manifest = {
+    id: 'analytics',
+    title: 'Analytics tag',
+    description: 'Looks for the analytics tag in the scripts of the site.',
+    severity: 'warning',
+    version: '1.0.0',
+    requires: ['js'],
+    dependsOn: ['jslibs']
+};
+module.exports.check = check;
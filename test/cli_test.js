@@ -0,0 +1,112 @@
+/**
+ * Description: Test the command line interface and the CSV and table formats.
+ *
+ * Copyright (c) Microsoft Corporation; All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this
+ * file except in compliance with the License. You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * THIS CODE IS PROVIDED AS IS BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, EITHER
+ * EXPRESS OR IMPLIED, INCLUDING WITHOUT LIMITATION ANY IMPLIED WARRANTIES OR CONDITIONS
+ * OF TITLE, FITNESS FOR A PARTICULAR PURPOSE, MERCHANTABLITY OR NON-INFRINGEMENT.
+ *
+ * See the Apache Version 2.0 License for specific language governing permissions
+ * and limitations under the License.
+ */
+
+"use strict";
+
+var cli = require('../lib/cli.js'),
+    report = require('../lib/report.js'),
+    csv = require('../lib/reporters/csv.js'),
+    table = require('../lib/reporters/table.js'),
+    path = require('path'),
+    websites = path.join(__dirname, '../static/websites.csv');
+
+function createReports() {
+    return [
+        report.create('http://www.contoso.com/', Date.now(), [
+            { testName: 'edge', passed: true, findings: [] },
+            { testName: 'jslibs', passed: false, findings: [] }
+        ]),
+        report.createError('http://down.contoso.com/', { statusCode: '404 (Not Found)', message: 'Error found: null' })
+    ];
+}
+
+module.exports['Command line'] = {
+    'Options': function (test) {
+        var options = cli.parse(['www.contoso.com', 'https://www.fabrikam.com/', '--deep', '--checks=edge,jslibs',
+            '--user-agent=Test', '--timeout=5', '--format=table', '--output=report.txt', '--user=admin', '--password=secret']);
+
+        test.deepEqual(options.urls, ['http://www.contoso.com', 'https://www.fabrikam.com/']);
+        test.strictEqual(options.deep, true);
+        test.deepEqual(options.checks, ['edge', 'jslibs']);
+        test.equal(options.userAgent, 'Test');
+        test.equal(options.timeout, 5000);
+        test.equal(options.format, 'table');
+        test.equal(options.output, 'report.txt');
+        test.equal(options.user, 'admin');
+        test.equal(options.password, 'secret');
+        test.strictEqual(options.gate, false);
+        test.done();
+    },
+    'Defaults': function (test) {
+        var options = cli.parse(['www.contoso.com']);
+
+        test.equal(options.format, 'json');
+        test.strictEqual(options.deep, false);
+        test.strictEqual(options.timeout, null);
+        test.strictEqual(options.output, null);
+        test.done();
+    },
+    'Invalid options': function (test) {
+        test.throws(function () {
+            cli.parse([]);
+        });
+        test.throws(function () {
+            cli.parse(['www.contoso.com', '--format=pdf']);
+        });
+        test.throws(function () {
+            cli.parse(['www.contoso.com', '--timeout=soon']);
+        });
+        test.done();
+    },
+    'Url file': function (test) {
+        var urls = cli.readUrls(websites);
+
+        test.ok(urls.length > 0);
+        test.ok(urls.every(function (url) {
+            return url.indexOf(',') === -1;
+        }));
+        test.done();
+    },
+    'Exit code': function (test) {
+        var reports = createReports();
+
+        test.equal(cli.getExitCode(reports, { gate: false }), 0);
+        test.equal(cli.getExitCode(reports, { gate: true, failOn: [] }), 2);
+        test.equal(cli.getExitCode(reports.slice(0, 1), { gate: true, failOn: [] }), 1);
+        test.equal(cli.getExitCode(reports.slice(0, 1), { gate: true, failOn: ['edge'] }), 0);
+        test.done();
+    }
+};
+
+module.exports['Formats'] = {
+    'CSV': function (test) {
+        var lines = csv.format(createReports()).split('\n');
+
+        test.equal(lines[0], 'url,score,grade,edge,jslibs,error');
+        test.equal(lines[1], 'http://www.contoso.com/,' + createReports()[0].score + ',' + createReports()[0].grade + ',1,0,');
+        test.equal(lines[2], 'http://down.contoso.com/,,,,,HTTP 404 (Not Found) - Error found: null');
+        test.done();
+    },
+    'Table': function (test) {
+        var text = table.format(createReports());
+
+        test.ok(/^URL\s+Score\s+Grade\s+edge\s+jslibs/.test(text));
+        test.ok(/www\.contoso\.com\/\s+\d+\s+\w\s+pass\s+FAIL/.test(text));
+        test.ok(text.indexOf('ERROR: HTTP 404 (Not Found)') !== -1);
+        test.done();
+    }
+};
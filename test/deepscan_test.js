@@ -0,0 +1,206 @@
+/**
+ * Description: Test the crawl of the deep scan: the links of the pages, the
+ * sitemaps, the limits of the crawl and the summary of the pages.
+ *
+ * Copyright (c) Microsoft Corporation; All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this
+ * file except in compliance with the License. You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * THIS CODE IS PROVIDED AS IS BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, EITHER
+ * EXPRESS OR IMPLIED, INCLUDING WITHOUT LIMITATION ANY IMPLIED WARRANTIES OR CONDITIONS
+ * OF TITLE, FITNESS FOR A PARTICULAR PURPOSE, MERCHANTABLITY OR NON-INFRINGEMENT.
+ *
+ * See the Apache Version 2.0 License for specific language governing permissions
+ * and limitations under the License.
+ */
+
+"use strict";
+
+var deep = require('../lib/checks/check-deep-scan.js'),
+    links = require('../lib/links.js'),
+    sitemap = require('../lib/sitemap.js'),
+    cheerio = require('cheerio');
+
+// The links of each page of a fake site
+var site = {
+    'http://www.contoso.com/': ['/about', '/products', 'http://www.fabrikam.com/'],
+    'http://www.contoso.com/about': ['/', '/about/team', '/about#history'],
+    'http://www.contoso.com/products': ['/products/1', '/products/2', '/catalog.pdf'],
+    'http://www.contoso.com/about/team': ['/about/team/1'],
+    'http://www.contoso.com/products/1': [],
+    'http://www.contoso.com/products/2': []
+};
+
+function scanPage(pageUrl, callback) {
+    process.nextTick(function () {
+        if (!site[pageUrl]) {
+            callback(new Error('Error found: HTTP 404'));
+            return;
+        }
+
+        callback(null, {
+            links: site[pageUrl].map(function (link) {
+                return links.normalize(link, pageUrl);
+            })
+        });
+    });
+}
+
+module.exports['Links'] = {
+    'Normalized urls': function (test) {
+        test.equal(links.normalize('HTTP://WWW.Contoso.com:80/a/../b/?#top'), 'http://www.contoso.com/b/');
+        test.equal(links.normalize('page.html?q=1', 'https://contoso.com:443/dir/'), 'https://contoso.com/dir/page.html?q=1');
+        test.equal(links.normalize('http://contoso.com'), 'http://contoso.com/');
+        test.equal(links.normalize('http://contoso.com:8080/'), 'http://contoso.com:8080/');
+        test.strictEqual(links.normalize('mailto:info@contoso.com', 'http://contoso.com/'), null);
+        test.strictEqual(links.normalize('ftp://contoso.com/file', 'http://contoso.com/'), null);
+        test.strictEqual(links.normalize(''), null);
+        test.done();
+    },
+    'Same site': function (test) {
+        test.ok(links.isSameSite('http://contoso.com/a', 'https://www.contoso.com/'));
+        test.ok(!links.isSameSite('http://shop.contoso.com/', 'http://www.contoso.com/'));
+        test.done();
+    },
+    'Links of a page': function (test) {
+        var $ = cheerio.load('<html><head><base href="/docs/"></head><body>' +
+            '<a href="intro.html">Intro</a><a href="intro.html#more">More</a>' +
+            '<map><area href="/map"></map><a href="mailto:info@contoso.com">Mail</a><a>Anchor</a>' +
+            '</body></html>');
+
+        test.deepEqual(links.getLinks($, 'http://www.contoso.com/index.html'), [
+            'http://www.contoso.com/docs/intro.html',
+            'http://www.contoso.com/map'
+        ]);
+        test.done();
+    }
+};
+
+module.exports['Sitemap'] = {
+    'Pages of a sitemap': function (test) {
+        var xml = '<?xml version="1.0" encoding="UTF-8"?>' +
+            '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">' +
+            '<url><loc> http://www.contoso.com/ </loc><priority>1.0</priority></url>' +
+            '<url><loc>http://www.contoso.com/about</loc></url>' +
+            '<url><priority>0.3</priority></url>' +
+            '</urlset>';
+
+        sitemap.parse(xml, function (err, pages) {
+            test.ifError(err);
+            test.deepEqual(pages, [
+                { url: 'http://www.contoso.com/', priority: 1 },
+                { url: 'http://www.contoso.com/about', priority: 0.5 }
+            ]);
+            test.done();
+        });
+    },
+    'Not a sitemap': function (test) {
+        sitemap.parse('<html><body></body></html>', function (err, pages) {
+            test.ok(err);
+            test.equal(pages, null);
+            test.done();
+        });
+    }
+};
+
+module.exports['Crawl'] = {
+    'Breadth first up to the max depth': function (test) {
+        deep.crawl('http://www.contoso.com/', site['http://www.contoso.com/'].map(function (link) {
+            return links.normalize(link, 'http://www.contoso.com/');
+        }), scanPage, { maxDepth: 2, maxPages: 10, concurrency: 2 }, function (pages) {
+            test.deepEqual(pages.map(function (page) {
+                return page.url + ' ' + page.depth;
+            }), [
+                'http://www.contoso.com/about 1',
+                'http://www.contoso.com/products 1',
+                'http://www.contoso.com/about/team 2',
+                'http://www.contoso.com/products/1 2',
+                'http://www.contoso.com/products/2 2'
+            ]);
+            test.done();
+        });
+    },
+    'Max pages': function (test) {
+        deep.crawl('http://www.contoso.com/', ['http://www.contoso.com/about', 'http://www.contoso.com/products'],
+            scanPage, { maxDepth: 5, maxPages: 3, concurrency: 1 }, function (pages) {
+                test.equal(pages.length, 3);
+                test.equal(pages[2].url, 'http://www.contoso.com/about/team');
+                test.done();
+            });
+    },
+    'Seeds are crawled once': function (test) {
+        // The same page from the links and the sitemap
+        deep.crawl('http://www.contoso.com/', ['http://www.contoso.com/about', 'http://WWW.contoso.com/about#team', 'http://www.contoso.com/'],
+            scanPage, { maxDepth: 1, maxPages: 10, concurrency: 2 }, function (pages) {
+                test.equal(pages.length, 1);
+                test.done();
+            });
+    },
+    'Errors of the pages': function (test) {
+        deep.crawl('http://www.contoso.com/', ['http://www.contoso.com/missing'],
+            scanPage, { maxDepth: 1, maxPages: 10, concurrency: 2 }, function (pages) {
+                test.equal(pages.length, 1);
+                test.equal(pages[0].error.message, 'Error found: HTTP 404');
+                test.done();
+            });
+    },
+    'Crawled urls': function (test) {
+        test.ok(deep.isCrawled('http://contoso.com/about', 'http://www.contoso.com/'));
+        test.ok(!deep.isCrawled('http://www.fabrikam.com/', 'http://www.contoso.com/'));
+        test.ok(!deep.isCrawled('http://www.contoso.com/catalog.pdf', 'http://www.contoso.com/'));
+        test.ok(!deep.isCrawled('http://www.contoso.com/logo.png?v=2', 'http://www.contoso.com/'));
+        test.done();
+    }
+};
+
+module.exports['Summary'] = {
+    'Pages aggregated by check': function (test) {
+        var summary = deep.summarize([
+            {
+                url: 'http://www.contoso.com/about',
+                depth: 1,
+                data: { start: Date.now(), results: [{ testName: 'edge', passed: true }, { testName: 'jslibs', passed: true }] }
+            },
+            {
+                url: 'http://www.contoso.com/products',
+                depth: 1,
+                data: {
+                    start: Date.now(),
+                    results: [
+                        { testName: 'edge', passed: true },
+                        { testName: 'jslibs', passed: false, findings: [{ ruleId: 'jslibs/jquery', severity: 'warning', message: 'Old jQuery' }] }
+                    ]
+                }
+            },
+            { url: 'http://www.contoso.com/missing', depth: 2, error: new Error('Error found: HTTP 404') }
+        ]);
+
+        test.equal(summary.testName, 'deep');
+        test.ok(!summary.passed);
+        test.equal(summary.data.crawled, 3);
+        test.equal(summary.data.failed, 1);
+        test.equal(summary.data.errors, 1);
+        test.deepEqual(summary.data.checks, { edge: { passed: 2, failed: 0 }, jslibs: { passed: 1, failed: 1 } });
+        test.ok(summary.data.pages[0].passed);
+        test.deepEqual(summary.data.pages[1].results, { edge: true, jslibs: false });
+        test.equal(summary.data.pages[2].error, 'Error found: HTTP 404');
+        test.deepEqual(summary.findings.map(function (finding) {
+            return finding.ruleId + ' ' + finding.url;
+        }), [
+            'jslibs/jquery http://www.contoso.com/products',
+            'deep/page-error http://www.contoso.com/missing'
+        ]);
+        test.done();
+    },
+    'Every page passed': function (test) {
+        var summary = deep.summarize([
+            { url: 'http://www.contoso.com/about', depth: 1, data: { start: Date.now(), results: [{ testName: 'edge', passed: true }] } }
+        ]);
+
+        test.ok(summary.passed);
+        test.equal(summary.findings.length, 0);
+        test.done();
+    }
+};
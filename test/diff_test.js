@@ -0,0 +1,122 @@
+/**
+ * Description: Test the differences between the results of two runs of the webjob.
+ *
+ * Copyright (c) Microsoft Corporation; All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this
+ * file except in compliance with the License. You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * THIS CODE IS PROVIDED AS IS BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, EITHER
+ * EXPRESS OR IMPLIED, INCLUDING WITHOUT LIMITATION ANY IMPLIED WARRANTIES OR CONDITIONS
+ * OF TITLE, FITNESS FOR A PARTICULAR PURPOSE, MERCHANTABLITY OR NON-INFRINGEMENT.
+ *
+ * See the Apache Version 2.0 License for specific language governing permissions
+ * and limitations under the License.
+ */
+
+"use strict";
+
+var diff = require('../lib/diff.js');
+
+var previousResults = 'rank,area,url,edge,jslibs,comments,score,grade\n' +
+    '1,Tech,www.contoso.com,1,1,,100,A\n' +
+    '2,Tech,www.fabrikam.com,0,1,"Timeout, retried",50,D\n' +
+    '3,News,www.litware.com,1,N/A,,100,A\n';
+
+var currentResults = 'rank,area,url,edge,jslibs,comments,score,grade\n' +
+    '1,Tech,www.contoso.com,0,1,,50,D\n' +
+    '2,Tech,www.fabrikam.com,1,1,,100,A\n' +
+    '4,News,www.northwind.com,1,1,,100,A\n';
+
+function compareResults(callback) {
+    diff.parseResults(previousResults, [], function (err, previous) {
+        diff.parseResults(currentResults, [], function (err, current) {
+            callback(diff.compare(previous, current));
+        });
+    });
+}
+
+module.exports['Diff'] = {
+    'Previous results': function (test) {
+        var names = [
+            'results05-30-2015_.csv',
+            'completedresults05-31-2015_.csv',
+            'results05-31-2015_.csv',
+            'results06-01-2015_.csv',
+            'summary05-31-2015_.csv',
+            'websites.csv'
+        ];
+
+        test.equal(diff.findPreviousResults(names, '06-01-2015_'), 'completedresults05-31-2015_.csv');
+        test.equal(diff.findPreviousResults(names, '05-31-2015_'), 'results05-30-2015_.csv');
+        test.strictEqual(diff.findPreviousResults(names, '05-30-2015_'), null);
+        test.equal(diff.findPreviousResults(['results12-31-2014_.csv', 'results01-02-2015_.csv'], '06-01-2015_'), 'results01-02-2015_.csv');
+        test.done();
+    },
+    'Last results': function (test) {
+        // Names of other runs and files are skipped
+        test.equal(diff.findLastResults(['results12-31-2014_.csv', 'results01-02-2015_.csv', 'results01-01-2015_10-00-00.csv', 'results.csv']), 'results01-02-2015_.csv');
+        test.strictEqual(diff.findLastResults(['results.csv']), null);
+        test.strictEqual(diff.findLastResults([]), null);
+        test.done();
+    },
+    'Last diff': function (test) {
+        test.equal(diff.findLastDiff(['diff12-31-2014_.json', 'diff01-02-2015_.json', 'diff02-01-2015_.csv']), '01-02-2015_');
+        test.strictEqual(diff.findLastDiff(['results01-02-2015_.csv']), null);
+        test.done();
+    },
+    'Parse results': function (test) {
+        diff.parseResults(previousResults, [], function (err, results) {
+            test.ifError(err);
+            test.deepEqual(results.checks, ['edge', 'jslibs']);
+            test.deepEqual(results.sites['www.fabrikam.com'], {
+                url: 'www.fabrikam.com',
+                rank: '2',
+                area: 'Tech',
+                tests: { edge: '0', jslibs: '1' },
+                comment: 'Timeout, retried',
+                score: '50',
+                grade: 'D'
+            });
+            test.done();
+        });
+    },
+    'Parse results with the columns of the list of websites': function (test) {
+        diff.parseResults('rank,area,url,edge,jslibs,comments,score,grade,tags,owner\n1,Tech,www.contoso.com,0,1,N/A,50,D,retail,"Contoso, Ltd."\n', [], function (err, results) {
+            test.ifError(err);
+            test.deepEqual(results.checks, ['edge', 'jslibs']);
+            test.equal(results.sites['www.contoso.com'].grade, 'D');
+            test.done();
+        });
+    },
+    'Parse results without header': function (test) {
+        diff.parseResults('1,Tech,www.contoso.com,0,1,,50,D\n', ['edge', 'jslibs'], function (err, results) {
+            test.ifError(err);
+            test.deepEqual(results.sites['www.contoso.com'].tests, { edge: '0', jslibs: '1' });
+            test.done();
+        });
+    },
+    'Compare': function (test) {
+        compareResults(function (changes) {
+            test.deepEqual(changes.added, ['www.northwind.com']);
+            test.deepEqual(changes.removed, ['www.litware.com']);
+            test.deepEqual(changes.newlyFailing, { edge: ['www.contoso.com'], jslibs: [] });
+            test.deepEqual(changes.newlyPassing, { edge: ['www.fabrikam.com'], jslibs: [] });
+            test.deepEqual(changes.commentChanged, [{ url: 'www.fabrikam.com', previous: 'Timeout, retried', current: '' }]);
+            test.done();
+        });
+    },
+    'CSV': function (test) {
+        compareResults(function (changes) {
+            test.equal(diff.toCsv(changes),
+                'change,check,url,previous,current\n' +
+                'added,,www.northwind.com,,\n' +
+                'removed,,www.litware.com,,\n' +
+                'newly failing,edge,www.contoso.com,1,0\n' +
+                'newly passing,edge,www.fabrikam.com,0,1\n' +
+                'comment changed,,www.fabrikam.com,"Timeout, retried",\n');
+            test.done();
+        });
+    }
+};
@@ -0,0 +1,81 @@
+/**
+ * Description: Test the findings of the checks.
+ *
+ * Copyright (c) Microsoft Corporation; All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this
+ * file except in compliance with the License. You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * THIS CODE IS PROVIDED AS IS BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, EITHER
+ * EXPRESS OR IMPLIED, INCLUDING WITHOUT LIMITATION ANY IMPLIED WARRANTIES OR CONDITIONS
+ * OF TITLE, FITNESS FOR A PARTICULAR PURPOSE, MERCHANTABLITY OR NON-INFRINGEMENT.
+ *
+ * See the Apache Version 2.0 License for specific language governing permissions
+ * and limitations under the License.
+ */
+
+"use strict";
+
+var findings = require('../lib/checks/findings.js'),
+    jslibs = require('../lib/checks/check-libs.js'),
+    url = require('url'),
+    cheerio = require('cheerio');
+
+function createWebsite(html, js) {
+    return {
+        url: url.parse('http://www.contoso.com/'),
+        content: html,
+        js: js || [],
+        $: cheerio.load(html)
+    };
+}
+
+module.exports['Findings'] = {
+    'Create': function (test) {
+        var finding = findings.create('edge/doctype', 'error', 'Message', { line: 3, snippet: '  <!doctype html>  ' });
+
+        test.equal(finding.ruleId, 'edge/doctype');
+        test.equal(finding.severity, 'error');
+        test.equal(finding.line, 3);
+        test.strictEqual(finding.column, null);
+        test.strictEqual(finding.url, null);
+        test.equal(finding.snippet, '<!doctype html>');
+        test.done();
+    },
+    'Resource url': function (test) {
+        var website = createWebsite('');
+
+        test.equal(findings.getResourceUrl(website, 'embed'), 'http://www.contoso.com/');
+        test.equal(findings.getResourceUrl(website, '/js/app.js'), 'http://www.contoso.com/js/app.js');
+        test.done();
+    },
+    'Generic finding of a failed check': function (test) {
+        var result = findings.complete({ testName: 'sample', passed: false }, { id: 'sample', title: 'Sample', severity: 'info' });
+
+        test.equal(result.findings.length, 1);
+        test.equal(result.findings[0].ruleId, 'sample');
+        test.equal(result.findings[0].severity, 'info');
+        test.done();
+    },
+    'Passed check': function (test) {
+        var result = findings.complete({ testName: 'sample', passed: true }, { id: 'sample', title: 'Sample', severity: 'info' });
+
+        test.deepEqual(result.findings, []);
+        test.done();
+    },
+    'Outdated library': function (test) {
+        var html = '<html>\n<head>\n<script src="/js/jquery.js"></script>\n</head>\n</html>',
+            website = createWebsite(html, [{ jsUrl: '/js/jquery.js', content: '/*! jQuery v1.4.2 jquery.com */' }]);
+
+        test.expect(5);
+        jslibs.check(website).then(function (result) {
+            test.equal(result.passed, false);
+            test.equal(result.findings.length, 1);
+            test.equal(result.findings[0].ruleId, 'jslibs/outdated-library');
+            test.equal(result.findings[0].line, 3);
+            test.equal(result.findings[0].snippet, '<script src="/js/jquery.js"></script>');
+            test.done();
+        });
+    }
+};
@@ -0,0 +1,190 @@
+/**
+ * Description: Test the history of the results of the webjob runs.
+ *
+ * Copyright (c) Microsoft Corporation; All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this
+ * file except in compliance with the License. You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * THIS CODE IS PROVIDED AS IS BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, EITHER
+ * EXPRESS OR IMPLIED, INCLUDING WITHOUT LIMITATION ANY IMPLIED WARRANTIES OR CONDITIONS
+ * OF TITLE, FITNESS FOR A PARTICULAR PURPOSE, MERCHANTABLITY OR NON-INFRINGEMENT.
+ *
+ * See the Apache Version 2.0 License for specific language governing permissions
+ * and limitations under the License.
+ */
+
+"use strict";
+
+var history = require('../lib/history.js'),
+    config = require('../lib/checks/config.js'),
+    fs = require('fs'),
+    os = require('os'),
+    path = require('path'),
+    directory = path.join(os.tmpdir(), 'history-test-' + process.pid),
+    maxRuns = config.history_max_runs;
+
+function createReport(edgePassed) {
+    return {
+        url: { uri: 'http://www.contoso.com/' },
+        score: edgePassed ? 100 : 60,
+        grade: edgePassed ? 'A' : 'D',
+        results: {
+            edge: { testName: 'edge', passed: edgePassed, data: { 'www.contoso.com': true } },
+            jslibs: { testName: 'jslibs', passed: true, data: [] }
+        }
+    };
+}
+
+/**
+ * Saves the results of www.contoso.com in three runs: edge passes, fails and fails
+ * */
+function saveRuns(callback) {
+    history.saveRun('06-01-2015_', { file: 'websites.csv', started: '2015-06-01T00:00:00.000Z' }, function () {
+        history.saveSite('06-01-2015_', { site: 'www.contoso.com', rank: '1', area: 'Tech', date: '2015-06-01T01:00:00.000Z', result: createReport(true) }, function () {
+            history.saveSite('06-02-2015_', { site: 'www.contoso.com', rank: '1', area: 'Tech', date: '2015-06-02T01:00:00.000Z', result: createReport(false) }, function () {
+                history.saveSite('06-03-2015_', { site: 'www.contoso.com', rank: '1', area: 'Tech', date: '2015-06-03T01:00:00.000Z', result: createReport(false) }, function () {
+                    history.saveSite('06-03-2015_', { site: 'www.fabrikam.com', date: '2015-06-03T02:00:00.000Z', error: 'ENOTFOUND' }, callback);
+                });
+            });
+        });
+    });
+}
+
+function removeDirectory(dir) {
+    dir = dir || directory;
+
+    if (fs.existsSync(dir)) {
+        fs.readdirSync(dir).forEach(function (name) {
+            var file = path.join(dir, name);
+            if (fs.statSync(file).isDirectory()) {
+                removeDirectory(file);
+            } else {
+                fs.unlinkSync(file);
+            }
+        });
+        fs.rmdirSync(dir);
+    }
+}
+
+module.exports['History'] = {
+    setUp: function (callback) {
+        removeDirectory();
+        config.history_max_runs = maxRuns;
+        history.open(directory);
+        saveRuns(callback);
+    },
+    tearDown: function (callback) {
+        config.history_max_runs = maxRuns;
+        removeDirectory();
+        callback();
+    },
+    'Runs': function (test) {
+        history.getRuns(function (err, runs) {
+            test.ifError(err);
+            test.deepEqual(runs.map(function (run) {
+                return run.run;
+            }).sort(), ['06-01-2015_', '06-02-2015_', '06-03-2015_']);
+            test.done();
+        });
+    },
+    'Run': function (test) {
+        history.getRun('06-03-2015_', false, function (err, run) {
+            test.ifError(err);
+            test.equal(run.results.length, 2);
+            test.equal(run.results[0].site, 'www.contoso.com');
+            test.deepEqual(run.results[0].passed, { edge: false, jslibs: true });
+            test.equal(run.results[0].score, 60);
+            test.ok(!run.results[0].hasOwnProperty('result'));
+            test.equal(run.results[1].error, 'ENOTFOUND');
+            test.done();
+        });
+    },
+    'Unknown run': function (test) {
+        history.getRun('01-01-2000_', false, function (err, run) {
+            test.ifError(err);
+            test.strictEqual(run, null);
+            test.done();
+        });
+    },
+    'Site of a run': function (test) {
+        history.getSite('06-01-2015_', 'www.contoso.com', function (err, site) {
+            test.ifError(err);
+            test.equal(site.grade, 'A');
+            test.deepEqual(site.result, createReport(true));
+            test.done();
+        });
+    },
+    'Results are replaced in the same run': function (test) {
+        history.saveSite('06-01-2015_', { site: 'www.contoso.com', result: createReport(false) }, function () {
+            history.getRun('06-01-2015_', false, function (err, run) {
+                test.equal(run.results.length, 1);
+                test.strictEqual(run.results[0].passed.edge, false);
+                test.done();
+            });
+        });
+    },
+    'Site history': function (test) {
+        history.getSiteHistory('www.contoso.com', function (err, site) {
+            test.ifError(err);
+            test.deepEqual(site.runs.map(function (run) {
+                return run.run;
+            }), ['06-01-2015_', '06-02-2015_', '06-03-2015_']);
+            test.deepEqual(site.failingSince.edge, { run: '06-02-2015_', date: '2015-06-02T01:00:00.000Z' });
+            test.strictEqual(site.failingSince.jslibs, null);
+            test.done();
+        });
+    },
+    'Reports are kept out of the database': function (test) {
+        var reports = fs.readdirSync(path.join(directory, 'reports'));
+
+        test.equal(reports.length, 3);
+        test.equal(fs.readFileSync(path.join(directory, 'sites.db'), 'utf8').indexOf('"results"'), -1);
+
+        // A result without report removes the report of the site in the run
+        history.saveSite('06-03-2015_', { site: 'www.contoso.com', error: 'ETIMEDOUT' }, function (err) {
+            test.ifError(err);
+            history.getSite('06-03-2015_', 'www.contoso.com', function (err, site) {
+                test.strictEqual(site.result, null);
+                test.ok(!site.hasOwnProperty('report'));
+                test.equal(fs.readdirSync(path.join(directory, 'reports')).length, 2);
+                test.done();
+            });
+        });
+    },
+    'Oldest runs are removed': function (test) {
+        config.history_max_runs = 2;
+
+        history.saveRun('06-04-2015_', { started: '2015-06-04T00:00:00.000Z' }, function (err) {
+            test.ifError(err);
+            history.getRuns(function (err, runs) {
+                // The runs without started date (created by their sites) are the oldest
+                test.deepEqual(runs.map(function (run) {
+                    return run.run;
+                }), ['06-04-2015_', '06-01-2015_']);
+                history.getSiteHistory('www.contoso.com', function (err, site) {
+                    test.equal(site.runs.length, 1);
+                    test.equal(fs.readdirSync(path.join(directory, 'reports')).length, 1);
+                    test.done();
+                });
+            });
+        });
+    },
+    'History key': function (test) {
+        var key = config.history_key;
+
+        // Nothing can be saved while the key is not set
+        config.history_key = '';
+        test.ok(!history.isAuthorized(undefined));
+        test.ok(!history.isAuthorized(''));
+
+        config.history_key = 'secret';
+        test.ok(history.isAuthorized('secret'));
+        test.ok(!history.isAuthorized('other'));
+        test.ok(!history.isAuthorized(undefined));
+
+        config.history_key = key;
+        test.done();
+    }
+};
@@ -0,0 +1,93 @@
+/**
+ * Description: Test the HTML report of the scans.
+ *
+ * Copyright (c) Microsoft Corporation; All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this
+ * file except in compliance with the License. You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * THIS CODE IS PROVIDED AS IS BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, EITHER
+ * EXPRESS OR IMPLIED, INCLUDING WITHOUT LIMITATION ANY IMPLIED WARRANTIES OR CONDITIONS
+ * OF TITLE, FITNESS FOR A PARTICULAR PURPOSE, MERCHANTABLITY OR NON-INFRINGEMENT.
+ *
+ * See the Apache Version 2.0 License for specific language governing permissions
+ * and limitations under the License.
+ */
+
+"use strict";
+
+var html = require('../lib/reporters/html.js'),
+    report = require('../lib/report.js');
+
+function createReport() {
+    return report.create('http://www.contoso.com/', Date.now(), [
+        {
+            testName: 'browserDetection',
+            passed: false,
+            data: {
+                javascript: { passed: false, data: [{ passed: false, pattern: 'navigator.userAgent', lineNumber: 12, url: '/js/app.js' }] },
+                comments: { passed: false, data: { lineNumber: 4 } }
+            },
+            findings: []
+        },
+        {
+            testName: 'jslibs',
+            passed: false,
+            data: [{ name: 'jQuery', version: '1.4.2', minVersion: '1.6.4', url: '/js/jquery.js', lineNumber: 8 }],
+            findings: []
+        },
+        {
+            testName: 'cssprefixes',
+            passed: false,
+            data: [{ cssFile: 'http://www.contoso.com/site.css', selectors: [{ selector: '.menu%20%3E%20a', lineNumber: 31, styles: ['transition'] }] }],
+            findings: []
+        },
+        {
+            testName: 'markup',
+            passed: false,
+            data: [{ element: 'div', threshold: 0.9, edgeCount: 10, chromeCount: 40, passed: false }],
+            findings: []
+        },
+        { testName: 'edge', passed: true, data: {}, findings: [] },
+        {
+            testName: 'inputTypes',
+            passed: false,
+            findings: [{ ruleId: 'inputTypes/no-html5-inputs', severity: 'info', message: 'No <input> uses HTML5 types.', url: null, line: null, fix: null }]
+        }
+    ]);
+}
+
+module.exports['HTML report'] = {
+    'Summary': function (test) {
+        var page = html.format(createReport());
+
+        test.ok(page.indexOf('<!DOCTYPE html>') === 0);
+        test.ok(page.indexOf('<h2>http://www.contoso.com/</h2>') !== -1);
+        test.ok(page.indexOf('<td>Edge mode</td><td><span class="passed">Passed</span></td>') !== -1);
+        test.ok(page.indexOf('<td>Browser detection</td><td><span class="failed">Failed</span></td>') !== -1);
+        test.done();
+    },
+    'Details of the checks': function (test) {
+        var page = html.format(createReport());
+
+        test.ok(page.indexOf('<code>navigator.userAgent</code></td><td>12</td>') !== -1);
+        test.ok(page.indexOf('at line 4 of the page') !== -1);
+        test.ok(page.indexOf('<td>jQuery</td><td>1.4.2</td><td>1.6.4</td>') !== -1);
+        test.ok(page.indexOf('<code>.menu &gt; a</code>') !== -1);
+        test.ok(page.indexOf('<td><code>div</code></td><td>10</td><td>40</td><td>0.9</td>') !== -1);
+        test.done();
+    },
+    'Findings are escaped': function (test) {
+        var page = html.format(createReport());
+
+        test.ok(page.indexOf('No &lt;input&gt; uses HTML5 types.') !== -1);
+        test.done();
+    },
+    'Site that could not be scanned': function (test) {
+        var page = html.format([report.createError('http://down.contoso.com/', { message: 'Error found: timeout' })]);
+
+        test.ok(page.indexOf('The site could not be scanned: Error found: timeout') !== -1);
+        test.done();
+    }
+};
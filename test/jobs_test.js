@@ -0,0 +1,186 @@
+/**
+ * Description: Test the queue of scan jobs.
+ *
+ * Copyright (c) Microsoft Corporation; All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this
+ * file except in compliance with the License. You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * THIS CODE IS PROVIDED AS IS BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, EITHER
+ * EXPRESS OR IMPLIED, INCLUDING WITHOUT LIMITATION ANY IMPLIED WARRANTIES OR CONDITIONS
+ * OF TITLE, FITNESS FOR A PARTICULAR PURPOSE, MERCHANTABLITY OR NON-INFRINGEMENT.
+ *
+ * See the Apache Version 2.0 License for specific language governing permissions
+ * and limitations under the License.
+ */
+
+"use strict";
+
+var jobs = require('../lib/jobs.js'),
+    config = require('../lib/checks/config.js'),
+    concurrency = config.jobs_concurrency,
+    queueSize = config.jobs_queue_size,
+    batchTimeout = config.jobs_batch_timeout,
+    batchKey = config.jobs_batch_key;
+
+function createJob() {
+    return jobs.create({ html: '<form><input type="email"><input type="text"></form>', checks: 'inputTypes' });
+}
+
+module.exports['Jobs'] = {
+    tearDown: function (callback) {
+        config.jobs_concurrency = concurrency;
+        config.jobs_queue_size = queueSize;
+        config.jobs_batch_timeout = batchTimeout;
+        config.jobs_batch_key = batchKey;
+        callback();
+    },
+    'Completed job': function (test) {
+        var job = createJob();
+
+        test.expect(4);
+        test.equal(job.status, 'queued');
+        jobs.events.once('finished', function (finished) {
+            test.equal(finished.id, job.id);
+            test.equal(jobs.get(job.id).status, 'completed');
+            test.equal(jobs.get(job.id).result.results.inputTypes.passed, true);
+            test.done();
+        });
+    },
+    'Failed job': function (test) {
+        var job = jobs.create({ html: '<p>Test</p>', checks: 'unknown' });
+
+        test.expect(2);
+        jobs.events.once('finished', function () {
+            test.equal(jobs.get(job.id).status, 'failed');
+            test.ok(jobs.get(job.id).error.indexOf('unknown checks') !== -1);
+            test.done();
+        });
+    },
+    'Cancelled job': function (test) {
+        config.jobs_concurrency = 0;
+
+        var job = createJob();
+
+        test.equal(jobs.cancel(job.id).status, 'cancelled');
+        test.ok(jobs.get(job.id).finished);
+        test.done();
+    },
+    'Full queue': function (test) {
+        config.jobs_concurrency = 0;
+        config.jobs_queue_size = 2;
+
+        var queued = [createJob(), createJob()];
+
+        test.strictEqual(createJob(), null);
+        jobs.cancel(queued[0].id);
+        queued[0] = createJob();
+        test.ok(queued[0] !== null);
+        queued.forEach(function (job) {
+            jobs.cancel(job.id);
+        });
+        test.done();
+    },
+    'Cancelled running job frees its slot': function (test) {
+        config.jobs_concurrency = 1;
+
+        var first = createJob(),
+            second;
+
+        test.expect(2);
+        jobs.events.once('started', function (started) {
+            test.equal(started.id, first.id);
+            second = createJob();
+            jobs.cancel(first.id);
+
+            // The next job starts without waiting for the scan of the cancelled one
+            jobs.events.once('started', function (started) {
+                test.equal(started.id, second.id);
+                jobs.events.once('finished', function () {
+                    test.done();
+                });
+            });
+        });
+    },
+    'Unknown job': function (test) {
+        test.strictEqual(jobs.get('unknown'), null);
+        test.strictEqual(jobs.cancel('unknown'), null);
+        test.done();
+    },
+    'Progress events': function (test) {
+        var job = createJob();
+
+        test.expect(3);
+        jobs.events.once('finished', function () {
+            var types = job.progress.map(function (entry) {
+                return entry.type === 'status' ? entry.data.status : entry.type;
+            });
+
+            test.deepEqual(types, ['queued', 'running', 'check', 'completed']);
+            test.equal(job.progress[2].data.check, 'inputTypes');
+            test.deepEqual(job.progress.map(function (entry) {
+                return entry.id;
+            }), [1, 2, 3, 4]);
+            test.done();
+        });
+    },
+    'Batch job': function (test) {
+        var job = jobs.createBatch({ name: 'websites.csv', total: 2 });
+
+        test.equal(job.status, 'running');
+        test.ok(jobs.addEvent(job, { type: 'site', url: 'www.contoso.com', processed: 1 }));
+        test.ok(!jobs.addEvent(job, { type: 'check' }));
+        test.ok(jobs.addEvent(job, { type: 'finished', sites: 2, errorCount: 0 }));
+        test.equal(job.status, 'completed');
+        test.equal(job.result.sites, 2);
+        test.equal(jobs.describe(job).total, 2);
+        test.deepEqual(job.progress.map(function (entry) {
+            return entry.type;
+        }), ['status', 'site', 'status']);
+        test.done();
+    },
+    'Stale batch job': function (test) {
+        config.jobs_batch_timeout = 50;
+
+        var job = jobs.createBatch({ name: 'websites.csv', total: 2 }),
+            // The timer of the job doesn't keep the process alive
+            keepAlive = setTimeout(function () { }, 1000);
+
+        // Each event restarts the timeout
+        setTimeout(function () {
+            test.ok(jobs.addEvent(job, { type: 'site', url: 'www.contoso.com', processed: 1 }));
+
+            setTimeout(function () {
+                test.equal(job.status, 'running');
+
+                jobs.events.once('finished', function (finished) {
+                    test.equal(finished.id, job.id);
+                    test.equal(job.status, 'failed');
+                    test.ok(job.error.indexOf('no event from the webjob') !== -1);
+                    clearTimeout(keepAlive);
+                    test.done();
+                });
+            }, 30);
+        }, 30);
+    },
+    'Batch key': function (test) {
+        // Nothing can be posted while the key is not set
+        config.jobs_batch_key = '';
+        test.ok(!jobs.isAuthorized(undefined));
+        test.ok(!jobs.isAuthorized(''));
+
+        config.jobs_batch_key = 'secret';
+        test.ok(jobs.isAuthorized('secret'));
+        test.ok(!jobs.isAuthorized('other'));
+        test.ok(!jobs.isAuthorized(undefined));
+        test.done();
+    },
+    'Parameters are not described': function (test) {
+        var job = jobs.create({ url: 'http://www.contoso.com/', user: 'admin', password: 'secret' });
+
+        jobs.cancel(job.id);
+        test.ok(!jobs.describe(job).hasOwnProperty('params'));
+        test.done();
+    }
+};
@@ -0,0 +1,80 @@
+/**
+ * Description: Test the JUnit XML format of the scan reports and the checks that
+ * fail the build.
+ *
+ * Copyright (c) Microsoft Corporation; All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this
+ * file except in compliance with the License. You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * THIS CODE IS PROVIDED AS IS BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, EITHER
+ * EXPRESS OR IMPLIED, INCLUDING WITHOUT LIMITATION ANY IMPLIED WARRANTIES OR CONDITIONS
+ * OF TITLE, FITNESS FOR A PARTICULAR PURPOSE, MERCHANTABLITY OR NON-INFRINGEMENT.
+ *
+ * See the Apache Version 2.0 License for specific language governing permissions
+ * and limitations under the License.
+ */
+
+"use strict";
+
+var junit = require('../lib/reporters/junit.js'),
+    report = require('../lib/report.js'),
+    findings = require('../lib/checks/findings.js');
+
+function createReport() {
+    return report.create('http://www.contoso.com/?a=1&b=2', Date.now(), [
+        { testName: 'edge', passed: true, findings: [] },
+        {
+            testName: 'jslibs',
+            passed: false,
+            data: [{ name: 'jQuery', version: '1.4.2' }],
+            findings: [findings.create('jslibs/outdated-library', 'warning', 'jQuery 1.4.2 is older than 1.6.4.', {
+                url: 'http://www.contoso.com/js/jquery.js',
+                line: 12
+            })]
+        },
+        { testName: 'markup', passed: true, excluded: true, data: 'The site was excluded for this test.', findings: [] }
+    ]);
+}
+
+module.exports['JUnit'] = {
+    'Test suite per site': function (test) {
+        var xml = junit.format(createReport());
+
+        test.ok(xml.indexOf('<?xml version="1.0" encoding="UTF-8"?>') === 0);
+        test.ok(xml.indexOf('<testsuite name="http://www.contoso.com/?a=1&amp;b=2" tests="3" failures="1" errors="0" skipped="1"') !== -1);
+        test.ok(xml.indexOf('<property name="grade"') !== -1);
+        test.done();
+    },
+    'Failure with findings and data': function (test) {
+        var xml = junit.format(createReport());
+
+        test.ok(xml.indexOf('<failure message="jQuery 1.4.2 is older than 1.6.4." type="jslibs">') !== -1);
+        test.ok(xml.indexOf('[jslibs/outdated-library] jQuery 1.4.2 is older than 1.6.4. (http://www.contoso.com/js/jquery.js:12)') !== -1);
+        test.ok(xml.indexOf('&quot;version&quot;: &quot;1.4.2&quot;') !== -1);
+        test.done();
+    },
+    'Passed and excluded checks': function (test) {
+        var xml = junit.format(createReport());
+
+        test.ok(xml.indexOf('name="edge" time="0"/>') !== -1);
+        test.ok(xml.indexOf('<skipped message="The site was excluded for this test."/>') !== -1);
+        test.done();
+    },
+    'Site that could not be scanned': function (test) {
+        var xml = junit.format([report.createError('http://down.contoso.com/', { message: 'Error found: timeout' })]);
+
+        test.ok(xml.indexOf('errors="1"') !== -1);
+        test.ok(xml.indexOf('<error message="Error found: timeout"/>') !== -1);
+        test.done();
+    },
+    'Failed checks': function (test) {
+        var result = createReport();
+
+        test.deepEqual(report.getFailedChecks(result, []), ['jslibs']);
+        test.deepEqual(report.getFailedChecks(result, ['jslibs', 'edge']), ['jslibs']);
+        test.deepEqual(report.getFailedChecks(result, ['edge']), []);
+        test.done();
+    }
+};
@@ -0,0 +1,134 @@
+/**
+ * Description: Test the validation of the check manifests and the order of the checks.
+ *
+ * Copyright (c) Microsoft Corporation; All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this
+ * file except in compliance with the License. You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * THIS CODE IS PROVIDED AS IS BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, EITHER
+ * EXPRESS OR IMPLIED, INCLUDING WITHOUT LIMITATION ANY IMPLIED WARRANTIES OR CONDITIONS
+ * OF TITLE, FITNESS FOR A PARTICULAR PURPOSE, MERCHANTABLITY OR NON-INFRINGEMENT.
+ *
+ * See the Apache Version 2.0 License for specific language governing permissions
+ * and limitations under the License.
+ */
+
+"use strict";
+
+var loadchecks = require('../lib/checks/loadchecks.js'),
+    path = require('path'),
+    pluginsDirectory = path.join(__dirname, '../static/plugins');
+
+function createTest(manifest) {
+    return {
+        manifest: manifest,
+        check: function () {}
+    };
+}
+
+function createTests(dependencies) {
+    return Object.keys(dependencies).map(function (id) {
+        var test = createTest({ id: id, dependsOn: dependencies[id] });
+        test.manifest = loadchecks.validate(test, id);
+        return test;
+    });
+}
+
+function getIds(tests) {
+    return tests.map(function (test) {
+        return test.manifest.id;
+    });
+}
+
+module.exports['Check manifests'] = {
+    'Every check has a manifest': function (test) {
+        var manifests = loadchecks.manifests();
+
+        test.ok(manifests.length > 0);
+        manifests.forEach(function (manifest) {
+            test.ok(manifest.id && manifest.title && manifest.version, manifest.id);
+        });
+        test.done();
+    },
+    'Optional fields': function (test) {
+        var manifest = loadchecks.validate(createTest({ id: 'sample' }), 'check-sample.js');
+
+        test.equal(manifest.title, 'sample');
+        test.equal(manifest.severity, 'warning');
+        test.deepEqual(manifest.requires, []);
+        test.deepEqual(manifest.dependsOn, []);
+        test.strictEqual(manifest.deep, false);
+        test.done();
+    },
+    'Missing id': function (test) {
+        test.throws(function () {
+            loadchecks.validate(createTest({ title: 'No id' }), 'check-sample.js');
+        });
+        test.done();
+    },
+    'Missing check function': function (test) {
+        test.throws(function () {
+            loadchecks.validate({ manifest: { id: 'sample' } }, 'check-sample.js');
+        });
+        test.done();
+    },
+    'Unknown resource': function (test) {
+        test.throws(function () {
+            loadchecks.validate(createTest({ id: 'sample', requires: ['images'] }), 'check-sample.js');
+        });
+        test.done();
+    },
+    'Unknown severity': function (test) {
+        test.throws(function () {
+            loadchecks.validate(createTest({ id: 'sample', severity: 'fatal' }), 'check-sample.js');
+        });
+        test.done();
+    },
+    'Dependencies run first': function (test) {
+        var sorted = loadchecks.sort(createTests({ c: ['b'], a: [], b: ['a'] }));
+
+        test.deepEqual(getIds(sorted), ['a', 'b', 'c']);
+        test.done();
+    },
+    'Unknown dependency': function (test) {
+        test.throws(function () {
+            loadchecks.sort(createTests({ a: ['z'] }));
+        });
+        test.done();
+    },
+    'Circular dependency': function (test) {
+        test.throws(function () {
+            loadchecks.sort(createTests({ a: ['b'], b: ['a'] }));
+        });
+        test.done();
+    },
+    'Checks from a directory': function (test) {
+        var plugins = loadchecks.loadDirectory(pluginsDirectory);
+
+        test.deepEqual(getIds(plugins), ['analytics']);
+        test.deepEqual(plugins[0].manifest.requires, ['js']);
+        test.done();
+    },
+    'Checks from a package': function (test) {
+        var plugins = loadchecks.loadPackage(path.join(pluginsDirectory, 'check-analytics.js'));
+
+        test.deepEqual(getIds(plugins), ['analytics']);
+        test.done();
+    },
+    'Plugins run after their dependencies': function (test) {
+        var sorted = loadchecks.sort(loadchecks.loadDirectory(pluginsDirectory).concat(loadchecks.tests));
+
+        test.ok(getIds(sorted).indexOf('analytics') > getIds(sorted).indexOf('jslibs'));
+        test.done();
+    },
+    'Duplicated id': function (test) {
+        var tests = createTests({ a: [] }).concat(createTests({ a: [] }));
+
+        test.throws(function () {
+            loadchecks.sort(tests);
+        });
+        test.done();
+    }
+};
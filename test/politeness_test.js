@@ -0,0 +1,142 @@
+/**
+ * Description: Test the per-host limits of the requests to the scanned websites.
+ *
+ * Copyright (c) Microsoft Corporation; All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this
+ * file except in compliance with the License. You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * THIS CODE IS PROVIDED AS IS BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, EITHER
+ * EXPRESS OR IMPLIED, INCLUDING WITHOUT LIMITATION ANY IMPLIED WARRANTIES OR CONDITIONS
+ * OF TITLE, FITNESS FOR A PARTICULAR PURPOSE, MERCHANTABLITY OR NON-INFRINGEMENT.
+ *
+ * See the Apache Version 2.0 License for specific language governing permissions
+ * and limitations under the License.
+ */
+
+"use strict";
+
+var politeness = require('../lib/politeness.js');
+
+module.exports['Politeness'] = {
+    'Host of a url': function (test) {
+        test.equal(politeness.getHost('http://WWW.Contoso.com/styles.css'), 'www.contoso.com');
+        test.equal(politeness.getHost('http://localhost:1337/api/v2/scan?url=http://www.fabrikam.com&checks=edge'), 'www.fabrikam.com');
+        test.equal(politeness.getHost('http://localhost:1337/?url=www.litware.com/news'), 'www.litware.com');
+        test.done();
+    },
+    'Retry-After': function (test) {
+        var now = Date.parse('Wed, 21 Oct 2015 07:28:00 GMT');
+
+        test.equal(politeness.getRetryAfter({ statusCode: 429, headers: { 'retry-after': '120' } }), 120000);
+        test.equal(politeness.getRetryAfter({ statusCode: 503, headers: { 'retry-after': 'Wed, 21 Oct 2015 07:28:30 GMT' } }, now), 30000);
+        test.strictEqual(politeness.getRetryAfter({ statusCode: 500, headers: { 'retry-after': '120' } }), null);
+        test.strictEqual(politeness.getRetryAfter({ statusCode: 429, headers: {} }), null);
+        test.strictEqual(politeness.getRetryAfter(undefined), null);
+        test.done();
+    },
+    'Requests in flight per host': function (test) {
+        var limiter = politeness.create({ maxPerHost: 2, minDelay: 0 }),
+            active = { contoso: 0, fabrikam: 0 },
+            highest = { contoso: 0, fabrikam: 0 },
+            pending = 6;
+
+        function task(host) {
+            return function (done) {
+                active[host]++;
+                highest[host] = Math.max(highest[host], active[host]);
+
+                setTimeout(function () {
+                    active[host]--;
+                    done();
+
+                    if (--pending === 0) {
+                        test.deepEqual(highest, { contoso: 2, fabrikam: 1 });
+                        test.done();
+                    }
+                }, 10);
+            };
+        }
+
+        limiter.schedule('contoso', task('contoso'));
+        limiter.schedule('contoso', task('contoso'));
+        limiter.schedule('contoso', task('contoso'));
+        limiter.schedule('contoso', task('contoso'));
+        limiter.schedule('contoso', task('contoso'));
+        limiter.schedule('fabrikam', task('fabrikam'));
+    },
+    'Delay between requests and pauses': function (test) {
+        var limiter = politeness.create({ maxPerHost: 0, minDelay: 50 }),
+            started = Date.now(),
+            times = [];
+
+        limiter.pause('contoso', 100);
+
+        [1, 2].forEach(function () {
+            limiter.schedule('contoso', function (done) {
+                times.push(Date.now() - started);
+                done();
+
+                if (times.length === 2) {
+                    test.ok(times[0] >= 90, 'waits for the pause');
+                    test.ok(times[1] - times[0] >= 40, 'waits for the delay');
+                    test.done();
+                }
+            });
+        });
+    },
+    'Retry-After of a response': function (test) {
+        var statusCodes = [429, 200],
+            requests = 0,
+            request = politeness.wrap(function (params, callback) {
+                requests++;
+                callback(null, { statusCode: statusCodes.shift(), headers: { 'retry-after': '0' } }, 'body');
+            }, politeness.create({ maxPerHost: 1, minDelay: 0 }));
+
+        request({ uri: 'http://www.contoso.com/' }, function (err, response, body) {
+            test.equal(requests, 2);
+            test.equal(response.statusCode, 200);
+            test.equal(body, 'body');
+            test.done();
+        });
+    },
+    'Helpers of the request function': function (test) {
+        var methods = [],
+            fake = function (params, callback) {
+                methods.push('GET');
+                callback(null, { statusCode: 200, headers: {} }, 'body');
+            },
+            request;
+
+        fake.post = function (params, callback) {
+            methods.push('POST');
+            callback(null, { statusCode: 200, headers: {} }, 'body');
+        };
+        fake.defaults = function (options) {
+            var withDefaults = function (params, callback) {
+                methods.push(options.method);
+                callback(null, { statusCode: 200, headers: {} }, 'body');
+            };
+
+            return withDefaults;
+        };
+
+        request = politeness.wrap(fake, politeness.create({ maxPerHost: 1, minDelay: 0 }));
+
+        test.equal(typeof request.get, 'undefined');
+        test.throws(function () {
+            request('http://www.contoso.com/');
+        });
+
+        request.post('http://www.contoso.com/', function () {
+            request.defaults({ method: 'HEAD' })('http://www.contoso.com/', function () {
+                request('http://www.contoso.com/', function (err, response, body) {
+                    test.deepEqual(methods, ['POST', 'HEAD', 'GET']);
+                    test.equal(body, 'body');
+                    test.done();
+                });
+            });
+        });
+    }
+};
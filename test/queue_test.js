@@ -0,0 +1,155 @@
+/**
+ * Description: Test the work queue of the webjob runs.
+ *
+ * Copyright (c) Microsoft Corporation; All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this
+ * file except in compliance with the License. You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * THIS CODE IS PROVIDED AS IS BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, EITHER
+ * EXPRESS OR IMPLIED, INCLUDING WITHOUT LIMITATION ANY IMPLIED WARRANTIES OR CONDITIONS
+ * OF TITLE, FITNESS FOR A PARTICULAR PURPOSE, MERCHANTABLITY OR NON-INFRINGEMENT.
+ *
+ * See the Apache Version 2.0 License for specific language governing permissions
+ * and limitations under the License.
+ */
+
+"use strict";
+
+var workQueue = require('../App_Data/jobs/triggered/scan/lib/queue.js'),
+    fs = require('fs'),
+    os = require('os'),
+    path = require('path'),
+    filename = path.join(os.tmpdir(), 'queue-test-' + process.pid + '.db');
+
+var sites = [
+    { url: 'www.contoso.com', rank: '1', area: 'Tech' },
+    { url: 'www.fabrikam.com', rank: '2', area: 'Tech' },
+    { url: 'www.litware.com', rank: '3', area: 'News' },
+    { url: 'www.contoso.com', rank: '4', area: 'Tech' }
+];
+
+function createRow(url) {
+    return { url: url, tests: [1, 0], summary: ['""', '"[edge/doctype] The page has no doctype."'], comment: 'N/A', score: 50, grade: 'D' };
+}
+
+function removeFile() {
+    if (fs.existsSync(filename)) {
+        fs.unlinkSync(filename);
+    }
+}
+
+/**
+ * Creates a run where www.contoso.com is done, www.fabrikam.com is in flight and
+ * www.litware.com is pending
+ * */
+function createRun(queue, callback) {
+    queue.getRun(function () {
+        queue.createRun({ suffix: '06-01-2015_', file: 'websites.csv', started: '2015-06-01T00:00:00.000Z' }, sites, function () {
+            queue.start('www.contoso.com');
+            queue.done('www.contoso.com', createRow('www.contoso.com'));
+            queue.start('www.fabrikam.com', callback);
+        });
+    });
+}
+
+module.exports['Queue'] = {
+    setUp: function (callback) {
+        removeFile();
+        callback();
+    },
+    tearDown: function (callback) {
+        removeFile();
+        callback();
+    },
+    'No run': function (test) {
+        workQueue.create(filename).getRun(function (err, run) {
+            test.ifError(err);
+            test.strictEqual(run, null);
+            test.done();
+        });
+    },
+    'Counts': function (test) {
+        var queue = workQueue.create(filename);
+
+        createRun(queue, function () {
+            queue.getCounts(function (err, counts) {
+                test.ifError(err);
+                test.deepEqual(counts, { pending: 1, 'in-flight': 1, done: 1, failed: 0 });
+                test.done();
+            });
+        });
+    },
+    'Resume after a restart': function (test) {
+        createRun(workQueue.create(filename), function () {
+            // Another queue reads the file, as the webjob does when it starts again
+            var queue = workQueue.create(filename);
+
+            queue.getRun(function (err, run) {
+                test.ifError(err);
+                test.equal(run.suffix, '06-01-2015_');
+                test.equal(run.file, 'websites.csv');
+                test.strictEqual(run.finished, null);
+
+                queue.resume(function (err, pending) {
+                    test.ifError(err);
+                    test.deepEqual(pending, ['www.fabrikam.com', 'www.litware.com']);
+                    test.done();
+                });
+            });
+        });
+    },
+    'Attempts and retries': function (test) {
+        var queue = workQueue.create(filename);
+
+        createRun(queue, function () {
+            queue.retry('www.fabrikam.com', createRow('www.fabrikam.com'));
+            queue.start('www.fabrikam.com', function (err, attempts) {
+                test.equal(attempts, 2);
+
+                queue.fail('www.fabrikam.com', 'Error: ETIMEDOUT', null, function () {
+                    queue.getRows(function (err, rows) {
+                        test.ifError(err);
+                        // The failed website keeps the row of its first attempt
+                        test.deepEqual(rows.map(function (row) {
+                            return row.url;
+                        }), ['www.contoso.com', 'www.fabrikam.com']);
+
+                        queue.getCounts(function (err, counts) {
+                            test.deepEqual(counts, { pending: 1, 'in-flight': 0, done: 1, failed: 1 });
+                            test.done();
+                        });
+                    });
+                });
+            });
+        });
+    },
+    'Finished run': function (test) {
+        var queue = workQueue.create(filename);
+
+        createRun(queue, function () {
+            queue.finish('2015-06-01T01:00:00.000Z', function () {
+                workQueue.create(filename).getRun(function (err, run) {
+                    test.equal(run.finished, '2015-06-01T01:00:00.000Z');
+                    test.done();
+                });
+            });
+        });
+    },
+    'New run': function (test) {
+        var queue = workQueue.create(filename);
+
+        createRun(queue, function () {
+            queue.createRun({ suffix: '06-02-2015_', file: 'websites.csv' }, sites.slice(2), function () {
+                queue.resume(function (err, pending) {
+                    test.deepEqual(pending, ['www.litware.com', 'www.contoso.com']);
+                    queue.getRows(function (err, rows) {
+                        test.equal(rows.length, 0);
+                        test.done();
+                    });
+                });
+            });
+        });
+    }
+};
@@ -0,0 +1,86 @@
+/**
+ * Description: Test the classification of the errors of the webjob and its
+ * retry policy.
+ *
+ * Copyright (c) Microsoft Corporation; All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this
+ * file except in compliance with the License. You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * THIS CODE IS PROVIDED AS IS BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, EITHER
+ * EXPRESS OR IMPLIED, INCLUDING WITHOUT LIMITATION ANY IMPLIED WARRANTIES OR CONDITIONS
+ * OF TITLE, FITNESS FOR A PARTICULAR PURPOSE, MERCHANTABLITY OR NON-INFRINGEMENT.
+ *
+ * See the Apache Version 2.0 License for specific language governing permissions
+ * and limitations under the License.
+ */
+
+"use strict";
+
+var retry = require('../App_Data/jobs/triggered/scan/lib/retry.js');
+
+function requestError(code, message) {
+    var err = new Error(message);
+
+    err.code = code;
+    return err;
+}
+
+var policies = {
+    'default': { maxAttempts: 2, delay: 1000, maxDelay: 5000, jitter: 0.5 },
+    'dns': { maxAttempts: 1 },
+    'timeout': { maxAttempts: 4, delay: 2000 }
+};
+
+module.exports['Retry'] = {
+    'Errors of the requests': function (test) {
+        test.equal(retry.classify(requestError('ENOTFOUND', 'getaddrinfo ENOTFOUND www.contoso.com')), retry.DNS);
+        test.equal(retry.classify(requestError('ETIMEDOUT', 'ETIMEDOUT')), retry.TIMEOUT);
+        test.equal(retry.classify(requestError('ESOCKETTIMEDOUT', 'ESOCKETTIMEDOUT')), retry.TIMEOUT);
+        test.equal(retry.classify(requestError('ECONNREFUSED', 'connect ECONNREFUSED 127.0.0.1:1337')), retry.CONNECTION);
+        test.equal(retry.classify(requestError('DEPTH_ZERO_SELF_SIGNED_CERT', 'self signed certificate')), retry.TLS);
+        test.equal(retry.classify(new Error('something else')), retry.UNKNOWN);
+        test.done();
+    },
+    'Errors of the Scan API': function (test) {
+        test.equal(retry.classify({ statusCode: '404 (Not Found)', message: 'Error found: null' }), retry.HTTP_4XX);
+        test.equal(retry.classify({ statusCode: '503 (Service Unavailable)', message: 'Error found: null' }), retry.HTTP_5XX);
+        test.equal(retry.classify({ message: 'Error found: Error: getaddrinfo ENOTFOUND www.contoso.com' }), retry.DNS);
+        test.equal(retry.classify({ message: 'Error found: Error: unable to verify the first certificate' }), retry.TLS);
+        test.equal(retry.classify({ message: 'Error found: can\'t gunzip content Error: incorrect header check' }), retry.DECOMPRESSION);
+        test.equal(retry.classify('Unknown content encoding: br'), retry.DECOMPRESSION);
+        test.equal(retry.classify({ message: 'Error found: Empty body' }), retry.EMPTY_BODY);
+        test.equal(retry.classify({ message: 'Error found: blocked by robots.txt' }), retry.BLOCKED_BY_ROBOTS);
+        test.equal(retry.classify({ message: 'TypeError: Cannot read property \'length\' of undefined' }), retry.CHECK_EXCEPTION);
+        test.equal(retry.classify(null), retry.UNKNOWN);
+        test.done();
+    },
+    'Policy of a class': function (test) {
+        test.deepEqual(retry.getPolicy('timeout', policies), { maxAttempts: 4, delay: 2000, maxDelay: 5000, jitter: 0.5 });
+        test.deepEqual(retry.getPolicy('tls', policies), policies['default']);
+        test.ok(!retry.shouldRetry(retry.getPolicy('dns', policies), 1));
+        test.ok(retry.shouldRetry(retry.getPolicy('timeout', policies), 3));
+        test.ok(!retry.shouldRetry(retry.getPolicy('timeout', policies), 4));
+        test.done();
+    },
+    'Backoff': function (test) {
+        var policy = retry.getPolicy('timeout', policies),
+            middle = function () {
+                return 0.5;
+            };
+
+        test.equal(retry.getDelay(policy, 1, middle), 2000);
+        test.equal(retry.getDelay(policy, 2, middle), 4000);
+        // Up to maxDelay
+        test.equal(retry.getDelay(policy, 3, middle), 5000);
+        // Plus or minus the jitter
+        test.equal(retry.getDelay(policy, 1, function () {
+            return 0;
+        }), 1000);
+        test.equal(retry.getDelay(policy, 1, function () {
+            return 1;
+        }), 3000);
+        test.done();
+    }
+};
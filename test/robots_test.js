@@ -0,0 +1,116 @@
+/**
+ * Description: Test the robots.txt compliance of the scanner.
+ *
+ * Copyright (c) Microsoft Corporation; All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this
+ * file except in compliance with the License. You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * THIS CODE IS PROVIDED AS IS BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, EITHER
+ * EXPRESS OR IMPLIED, INCLUDING WITHOUT LIMITATION ANY IMPLIED WARRANTIES OR CONDITIONS
+ * OF TITLE, FITNESS FOR A PARTICULAR PURPOSE, MERCHANTABLITY OR NON-INFRINGEMENT.
+ *
+ * See the Apache Version 2.0 License for specific language governing permissions
+ * and limitations under the License.
+ */
+
+"use strict";
+
+var robots = require('../lib/robots.js'),
+    config = require('../lib/checks/config.js'),
+    http = require('http'),
+    compliance = config.robots_compliance,
+    server,
+    siteUrl,
+    requests;
+
+var robotsTxt = [
+    '# Comments are ignored',
+    'User-agent: *',
+    'Disallow: /private/',
+    'Allow: /private/public.html',
+    'Disallow: /*.pdf$',
+    '',
+    'User-agent: Googlebot',
+    'User-agent: SitesScanner',
+    'Disallow: /search',
+    'Disallow:'
+].join('\n');
+
+module.exports['Robots'] = {
+    setUp: function (callback) {
+        requests = [];
+        config.robots_compliance = true;
+
+        server = http.createServer(function (req, res) {
+            requests.push(req.url);
+            res.writeHead(200, { 'Content-Type': 'text/plain' });
+            res.end(robotsTxt);
+        });
+        server.listen(0, '127.0.0.1', function () {
+            siteUrl = 'http://127.0.0.1:' + server.address().port;
+            callback();
+        });
+    },
+    tearDown: function (callback) {
+        config.robots_compliance = compliance;
+        server.close(callback);
+    },
+    'Groups': function (test) {
+        test.deepEqual(robots.parse(robotsTxt), [
+            {
+                agents: ['*'],
+                rules: [
+                    { allow: false, path: '/private/' },
+                    { allow: true, path: '/private/public.html' },
+                    { allow: false, path: '/*.pdf$' }
+                ]
+            },
+            { agents: ['googlebot', 'sitesscanner'], rules: [{ allow: false, path: '/search' }] }
+        ]);
+        test.done();
+    },
+    'Rules of any agent': function (test) {
+        var groups = robots.parse(robotsTxt);
+
+        test.ok(robots.isAllowed(groups, 'OtherBot', '/'));
+        test.ok(!robots.isAllowed(groups, 'OtherBot', '/private/page.html'));
+        // The longest rule wins
+        test.ok(robots.isAllowed(groups, 'OtherBot', '/private/public.html'));
+        test.ok(!robots.isAllowed(groups, 'OtherBot', '/docs/report.pdf'));
+        test.ok(robots.isAllowed(groups, 'OtherBot', '/docs/report.pdf?download=1'));
+        test.ok(robots.isAllowed(groups, 'OtherBot', '/robots.txt'));
+        test.done();
+    },
+    'Rules of the scanner': function (test) {
+        var groups = robots.parse(robotsTxt);
+
+        // Only the group of the scanner applies
+        test.ok(robots.isAllowed(groups, 'SitesScanner', '/private/page.html'));
+        test.ok(!robots.isAllowed(groups, 'SitesScanner', '/search?q=edge'));
+        test.done();
+    },
+    'Pages of a site': function (test) {
+        robots.check(siteUrl + '/search?q=edge', function (err, allowed) {
+            test.ifError(err);
+            test.ok(!allowed);
+
+            robots.check(siteUrl + '/index.html', function (err, allowed) {
+                test.ok(allowed);
+                // The robots.txt is downloaded once
+                test.deepEqual(requests, ['/robots.txt']);
+                test.done();
+            });
+        });
+    },
+    'Compliance off': function (test) {
+        config.robots_compliance = false;
+
+        robots.check('http://www.contoso.com/search', function (err, allowed) {
+            test.ok(allowed);
+            test.equal(requests.length, 0);
+            test.done();
+        });
+    }
+};
@@ -0,0 +1,106 @@
+/**
+ * Description: Test the SARIF format of the scan reports.
+ *
+ * Copyright (c) Microsoft Corporation; All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this
+ * file except in compliance with the License. You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * THIS CODE IS PROVIDED AS IS BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, EITHER
+ * EXPRESS OR IMPLIED, INCLUDING WITHOUT LIMITATION ANY IMPLIED WARRANTIES OR CONDITIONS
+ * OF TITLE, FITNESS FOR A PARTICULAR PURPOSE, MERCHANTABLITY OR NON-INFRINGEMENT.
+ *
+ * See the Apache Version 2.0 License for specific language governing permissions
+ * and limitations under the License.
+ */
+
+"use strict";
+
+var sarif = require('../lib/reporters/sarif.js'),
+    findings = require('../lib/checks/findings.js');
+
+function createReport() {
+    return {
+        url: { uri: 'http://www.contoso.com/' },
+        processTime: 1,
+        score: 50,
+        grade: 'F',
+        results: {
+            edge: {
+                testName: 'edge',
+                passed: true,
+                findings: []
+            },
+            jslibs: {
+                testName: 'jslibs',
+                passed: false,
+                findings: [findings.create('jslibs/outdated-library', 'warning', 'jQuery 1.4.2 is older than 1.6.4.', {
+                    url: 'http://www.contoso.com/js/jquery.js',
+                    line: 12,
+                    column: 4,
+                    fix: 'Update jQuery to 1.6.4 or later.'
+                })]
+            },
+            inputTypes: {
+                testName: 'inputTypes',
+                passed: false,
+                findings: [findings.create('inputTypes/no-html5-inputs', 'info', 'No HTML5 inputs.')]
+            }
+        }
+    };
+}
+
+module.exports['SARIF'] = {
+    'Log': function (test) {
+        var log = JSON.parse(sarif.format(createReport()));
+
+        test.equal(log.version, '2.1.0');
+        test.equal(log.runs.length, 1);
+        test.equal(log.runs[0].results.length, 2);
+        test.deepEqual(log.runs[0].properties.sites, [{ url: 'http://www.contoso.com/', score: 50, grade: 'F' }]);
+        test.done();
+    },
+    'A rule per check': function (test) {
+        var rules = sarif.getLog([createReport()]).runs[0].tool.driver.rules,
+            ids = rules.map(function (rule) {
+                return rule.id;
+            });
+
+        ['edge', 'browserDetection', 'cssprefixes', 'jslibs', 'pluginfree', 'markup', 'inputTypes'].forEach(function (id) {
+            test.ok(ids.indexOf(id) !== -1, id);
+        });
+        test.done();
+    },
+    'Result with location': function (test) {
+        var log = sarif.getLog([createReport()]),
+            rules = log.runs[0].tool.driver.rules,
+            result = log.runs[0].results[0],
+            location = result.locations[0].physicalLocation;
+
+        test.equal(result.ruleId, 'jslibs/outdated-library');
+        test.equal(result.level, 'warning');
+        test.equal(rules[result.rule.index].id, 'jslibs');
+        test.equal(location.artifactLocation.uri, 'http://www.contoso.com/js/jquery.js');
+        test.equal(location.region.startLine, 12);
+        test.equal(location.region.startColumn, 4);
+        test.equal(result.properties.fix, 'Update jQuery to 1.6.4 or later.');
+        test.done();
+    },
+    'Result without location': function (test) {
+        var result = sarif.getLog([createReport()]).runs[0].results[1];
+
+        test.equal(result.level, 'note');
+        test.equal(result.locations[0].physicalLocation.artifactLocation.uri, 'http://www.contoso.com/');
+        test.ok(!result.locations[0].physicalLocation.region);
+        test.done();
+    },
+    'Several reports': function (test) {
+        var log = sarif.getLog([createReport(), createReport()]);
+
+        test.equal(log.runs.length, 1);
+        test.equal(log.runs[0].results.length, 4);
+        test.equal(log.runs[0].properties.sites.length, 2);
+        test.done();
+    }
+};
@@ -0,0 +1,71 @@
+/**
+ * Description: Test the score and grade of the scans.
+ *
+ * Copyright (c) Microsoft Corporation; All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this
+ * file except in compliance with the License. You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * THIS CODE IS PROVIDED AS IS BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, EITHER
+ * EXPRESS OR IMPLIED, INCLUDING WITHOUT LIMITATION ANY IMPLIED WARRANTIES OR CONDITIONS
+ * OF TITLE, FITNESS FOR A PARTICULAR PURPOSE, MERCHANTABLITY OR NON-INFRINGEMENT.
+ *
+ * See the Apache Version 2.0 License for specific language governing permissions
+ * and limitations under the License.
+ */
+
+"use strict";
+
+var scoring = require('../lib/score.js'),
+    settings = {
+        weights: { edge: 3, jslibs: 1 },
+        multipliers: { error: 2, warning: 1 },
+        grades: [{ grade: 'A', minScore: 90 }, { grade: 'B', minScore: 50 }, { grade: 'F', minScore: 0 }]
+    };
+
+module.exports['Score'] = {
+    'Every check passed': function (test) {
+        var result = scoring.score({ edge: { passed: true }, jslibs: { passed: true } }, settings);
+
+        test.equal(result.score, 100);
+        test.equal(result.grade, 'A');
+        test.done();
+    },
+    'Weights and severities': function (test) {
+        // edge is an error (3 * 2) and jslibs a warning (1 * 1)
+        var result = scoring.score({ edge: { passed: true }, jslibs: { passed: false } }, settings);
+
+        test.equal(result.score, 86);
+        test.equal(result.grade, 'B');
+        test.done();
+    },
+    'Checks without a weight': function (test) {
+        // markup is a warning without weight (1 * 1)
+        var result = scoring.score({ jslibs: { passed: false }, markup: { passed: true } }, settings);
+
+        test.equal(result.score, 50);
+        test.done();
+    },
+    'Excluded checks do not count': function (test) {
+        var result = scoring.score({ jslibs: { passed: false }, markup: { passed: true, excluded: true }, deep: { data: [] } }, settings);
+
+        test.equal(result.score, 0);
+        test.equal(result.grade, 'F');
+        test.done();
+    },
+    'No checks': function (test) {
+        var result = scoring.score({}, settings);
+
+        test.strictEqual(result.score, null);
+        test.strictEqual(result.grade, null);
+        test.done();
+    },
+    'Default settings': function (test) {
+        var result = scoring.score({ edge: { passed: true } });
+
+        test.equal(result.score, 100);
+        test.equal(result.grade, 'A');
+        test.done();
+    }
+};
@@ -0,0 +1,178 @@
+/**
+ * Description: Test the pages of sitemaps, sitemap indexes and gzipped sitemaps
+ * used as the input of the command line and the webjob.
+ *
+ * Copyright (c) Microsoft Corporation; All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this
+ * file except in compliance with the License. You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * THIS CODE IS PROVIDED AS IS BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, EITHER
+ * EXPRESS OR IMPLIED, INCLUDING WITHOUT LIMITATION ANY IMPLIED WARRANTIES OR CONDITIONS
+ * OF TITLE, FITNESS FOR A PARTICULAR PURPOSE, MERCHANTABLITY OR NON-INFRINGEMENT.
+ *
+ * See the Apache Version 2.0 License for specific language governing permissions
+ * and limitations under the License.
+ */
+
+"use strict";
+
+var sitemap = require('../lib/sitemap.js'),
+    cli = require('../lib/cli.js'),
+    fs = require('fs'),
+    os = require('os'),
+    path = require('path'),
+    zlib = require('zlib'),
+    http = require('http'),
+    server,
+    siteUrl,
+    indexFile = path.join(os.tmpdir(), 'sitemap-test-' + process.pid + '.xml'),
+    gzipFile = path.join(os.tmpdir(), 'sitemap-test-' + process.pid + '.xml.gz');
+
+function createUrlset(pages) {
+    return '<?xml version="1.0" encoding="UTF-8"?><urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">' +
+        pages.map(function (page) {
+            return '<url><loc>' + page[0] + '</loc>' + (page[1] ? '<priority>' + page[1] + '</priority>' : '') + '</url>';
+        }).join('') + '</urlset>';
+}
+
+function createIndex(sitemaps) {
+    return '<?xml version="1.0" encoding="UTF-8"?><sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">' +
+        sitemaps.map(function (loc) {
+            return '<sitemap><loc>' + loc + '</loc></sitemap>';
+        }).join('') + '</sitemapindex>';
+}
+
+var sitemaps = {
+    '/products.xml': createUrlset([
+        ['http://www.contoso.com/products/1', '0.2'],
+        ['http://www.contoso.com/products/2', '0.9'],
+        ['http://www.contoso.com/products/3', '0.6'],
+        ['http://www.contoso.com/']
+    ]),
+    '/pages.xml': createUrlset([['http://www.contoso.com/', '1.0'], ['http://www.contoso.com/about']]),
+    '/index.xml': createIndex(['/products.xml', '/pages.xml.gz', '/missing.xml', '/index.xml']),
+    '/nested.xml': createIndex(['/index.xml'])
+};
+
+module.exports['Sitemaps'] = {
+    setUp: function (callback) {
+        server = http.createServer(function (req, res) {
+            if (req.url === '/pages.xml.gz') {
+                res.writeHead(200, { 'Content-Type': 'application/x-gzip' });
+                res.end(zlib.gzipSync(sitemaps['/pages.xml']));
+                return;
+            }
+
+            if (!sitemaps[req.url]) {
+                res.writeHead(404);
+                res.end();
+                return;
+            }
+
+            res.writeHead(200, { 'Content-Type': 'application/xml' });
+            res.end(sitemaps[req.url]);
+        });
+        server.listen(0, '127.0.0.1', function () {
+            siteUrl = 'http://127.0.0.1:' + server.address().port;
+            callback();
+        });
+    },
+    tearDown: function (callback) {
+        [indexFile, gzipFile].forEach(function (file) {
+            if (fs.existsSync(file)) {
+                fs.unlinkSync(file);
+            }
+        });
+        server.close(callback);
+    },
+    'Sitemap index': function (test) {
+        sitemap.parse(sitemaps['/index.xml'], function (err, pages, found) {
+            test.ifError(err);
+            test.deepEqual(pages, []);
+            test.deepEqual(found, ['/products.xml', '/pages.xml.gz', '/missing.xml', '/index.xml']);
+            test.done();
+        });
+    },
+    'Pages of an index': function (test) {
+        sitemap.expand(siteUrl + '/index.xml', {}, function (err, pages, errors) {
+            test.ifError(err);
+            // The pages of the gzipped sitemap too, each page once
+            test.deepEqual(pages.map(function (page) {
+                return page.url;
+            }), [
+                'http://www.contoso.com/products/1',
+                'http://www.contoso.com/products/2',
+                'http://www.contoso.com/products/3',
+                'http://www.contoso.com/',
+                'http://www.contoso.com/about'
+            ]);
+            test.equal(pages[4].sitemap, siteUrl + '/pages.xml.gz');
+            test.deepEqual(errors, [{ sitemap: siteUrl + '/missing.xml', error: 'The sitemap ' + siteUrl + '/missing.xml returned 404' }]);
+            test.done();
+        });
+    },
+    'Nested indexes': function (test) {
+        sitemap.expand(siteUrl + '/nested.xml', { maxDepth: 1 }, function (err, pages) {
+            test.ifError(err);
+            test.equal(pages.length, 0);
+
+            sitemap.expand(siteUrl + '/nested.xml', { maxDepth: 2 }, function (err, pages) {
+                test.equal(pages.length, 5);
+                test.done();
+            });
+        });
+    },
+    'Sampling': function (test) {
+        sitemap.expand(siteUrl + '/products.xml', { sample: 2 }, function (err, pages) {
+            test.ifError(err);
+            // The pages with the highest priority, in the order of the sitemap
+            test.deepEqual(pages.map(function (page) {
+                return page.url;
+            }), ['http://www.contoso.com/products/2', 'http://www.contoso.com/products/3']);
+
+            sitemap.expand(siteUrl + '/products.xml', { minPriority: 0.5 }, function (err, pages) {
+                test.equal(pages.length, 3);
+                test.done();
+            });
+        });
+    },
+    'Files': function (test) {
+        fs.writeFileSync(indexFile, createIndex([path.basename(gzipFile)]));
+        fs.writeFileSync(gzipFile, zlib.gzipSync(sitemaps['/pages.xml']));
+
+        sitemap.expand(indexFile, {}, function (err, pages, errors) {
+            test.ifError(err);
+            test.equal(pages.length, 2);
+            test.equal(pages[0].sitemap, gzipFile);
+            test.equal(errors.length, 0);
+            test.done();
+        });
+    },
+    'Errors': function (test) {
+        sitemap.expand(siteUrl + '/missing.xml', {}, function (err, pages) {
+            test.ok(err);
+            test.strictEqual(pages, null);
+
+            // A truncated gzipped sitemap
+            sitemap.decode(zlib.gzipSync(sitemaps['/pages.xml']).slice(0, 20), function (err) {
+                test.ok(err);
+                test.done();
+            });
+        });
+    },
+    'Command line': function (test) {
+        var options = cli.parse(['--sitemap=http://www.contoso.com/sitemap.xml', '--sitemap=sitemap.xml.gz',
+            '--sitemap-sample=10', '--sitemap-priority=0.5']);
+
+        test.deepEqual(options.urls, []);
+        test.deepEqual(options.sitemaps, ['http://www.contoso.com/sitemap.xml', 'sitemap.xml.gz']);
+        test.equal(options.sitemapSample, 10);
+        test.equal(options.sitemapPriority, 0.5);
+        test.throws(function () {
+            cli.parse(['--sitemap=sitemap.xml', '--sitemap-priority=2']);
+        });
+        test.done();
+    }
+};
@@ -0,0 +1,174 @@
+/**
+ * Description: Test the aggregate statistics of a run of the webjob.
+ *
+ * Copyright (c) Microsoft Corporation; All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this
+ * file except in compliance with the License. You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * THIS CODE IS PROVIDED AS IS BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, EITHER
+ * EXPRESS OR IMPLIED, INCLUDING WITHOUT LIMITATION ANY IMPLIED WARRANTIES OR CONDITIONS
+ * OF TITLE, FITNESS FOR A PARTICULAR PURPOSE, MERCHANTABLITY OR NON-INFRINGEMENT.
+ *
+ * See the Apache Version 2.0 License for specific language governing permissions
+ * and limitations under the License.
+ */
+
+"use strict";
+
+var stats = require('../lib/stats.js'),
+    storage = require('../lib/storage'),
+    history = require('../lib/history.js'),
+    fs = require('fs'),
+    os = require('os'),
+    path = require('path'),
+    directory = path.join(os.tmpdir(), 'stats-test-' + process.pid),
+    folder = path.join(directory, 'dailyscan'),
+    historyFolder = path.join(directory, 'history'),
+    reportsFolder = path.join(historyFolder, 'reports');
+
+var files = {
+    'results06-01-2015_.csv': 'rank,area,url,cssprefixes,jslibs,comments,score,grade\n' +
+        '1,Tech,www.contoso.com,1,1,N/A,100,A\n',
+    'completedresults06-02-2015_.csv': 'rank,area,url,cssprefixes,jslibs,comments,score,grade\n' +
+        '1,Tech,www.contoso.com,0,0,N/A,50,D\n' +
+        '5,Tech,www.fabrikam.com,1,0,N/A,70,C\n' +
+        '150,News,www.litware.com,0,1,N/A,80,B\n' +
+        ',,www.northwind.com,N/A,N/A,Error: ETIMEDOUT,N/A,N/A\n'
+};
+
+/**
+ * Returns a report with the data of the jslibs and cssprefixes results
+ * */
+function createReport(libraries, selectors) {
+    return {
+        score: 50,
+        grade: 'D',
+        results: {
+            jslibs: { testName: 'jslibs', passed: libraries.length === 0, data: libraries },
+            cssprefixes: {
+                testName: 'cssprefixes',
+                passed: selectors.length === 0,
+                data: selectors.length > 0 ? [{ cssFile: 'a.css', selectors: selectors }] : []
+            }
+        }
+    };
+}
+
+// The reports of the sites of the second run in the history
+var reports = {
+    'www.contoso.com': createReport([{ name: 'jQuery', version: '1.4.2', minVersion: '1.6.4' }], [
+        { selector: '.a', lineNumber: 3, rule: 'compatible-vendor-prefixes', styles: ['transition', 'transform'] },
+        { selector: '.b', lineNumber: 9, rule: 'compatible-vendor-prefixes', styles: ['transition'] }
+    ]),
+    'www.fabrikam.com': createReport([
+        { name: 'jQuery', version: '1.5.1', minVersion: '1.6.4' },
+        { name: 'Modernizr', version: '2.0', bannedVersion: '2.0' }
+    ], []),
+    'www.litware.com': createReport([], [{ selector: '.c', lineNumber: 1, rule: 'gradients', styles: ['Missing standard gradient'] }])
+};
+
+function saveReports(callback) {
+    var sites = Object.keys(reports);
+
+    function next(index) {
+        if (index >= sites.length) {
+            callback();
+            return;
+        }
+
+        history.saveSite('06-02-2015_', { site: sites[index], result: reports[sites[index]] }, function () {
+            next(index + 1);
+        });
+    }
+
+    next(0);
+}
+
+function removeDirectory() {
+    [folder, reportsFolder, historyFolder, directory].forEach(function (dir) {
+        if (fs.existsSync(dir)) {
+            fs.readdirSync(dir).forEach(function (name) {
+                fs.unlinkSync(path.join(dir, name));
+            });
+            fs.rmdirSync(dir);
+        }
+    });
+}
+
+module.exports['Stats'] = {
+    setUp: function (callback) {
+        removeDirectory();
+        fs.mkdirSync(directory);
+        fs.mkdirSync(folder);
+        Object.keys(files).forEach(function (name) {
+            fs.writeFileSync(path.join(folder, name), files[name]);
+        });
+        this.container = storage.create('local', { directory: directory, container: 'dailyscan' });
+        history.open(historyFolder);
+        saveReports(callback);
+    },
+    tearDown: function (callback) {
+        removeDirectory();
+        callback();
+    },
+    'Rank buckets': function (test) {
+        test.equal(stats.getRankBucket('1'), '1-10');
+        test.equal(stats.getRankBucket('10'), '1-10');
+        test.equal(stats.getRankBucket('11'), '11-100');
+        test.equal(stats.getRankBucket('1000'), '101-1000');
+        test.equal(stats.getRankBucket(''), 'unranked');
+        test.done();
+    },
+    'Libraries and properties of a report': function (test) {
+        test.deepEqual(stats.getLibraries(reports['www.fabrikam.com']), { jQuery: { '1.5.1': true }, Modernizr: { '2.0': true } });
+        test.deepEqual(stats.getMissingProperties(reports['www.contoso.com']), { transition: true, transform: true });
+        test.deepEqual(stats.getMissingProperties(reports['www.litware.com']), { gradient: true });
+        test.deepEqual(stats.getLibraries({ results: {} }), {});
+        test.deepEqual(stats.getMissingProperties(null), {});
+        test.done();
+    },
+    'Last run': function (test) {
+        stats.getRunStats(this.container, null, 10, function (err, result) {
+            test.ifError(err);
+            test.equal(result.run, '06-02-2015_');
+            test.deepEqual(result.runs, ['06-01-2015_', '06-02-2015_']);
+            test.equal(result.sites, 4);
+            test.equal(result.errorCount, 1);
+            test.equal(result.averageScore, 66.7);
+            test.deepEqual(result.checks.jslibs, { passed: 1, failed: 2, notRun: 1, passRate: 33.3 });
+            test.deepEqual(Object.keys(result.areas), ['News', 'Tech', 'none']);
+            test.deepEqual(result.areas.Tech.checks.cssprefixes, { passed: 1, failed: 1, notRun: 0, passRate: 50 });
+            test.deepEqual(Object.keys(result.ranks), ['1-10', '101-1000', 'unranked']);
+            test.equal(result.ranks['101-1000'].sites, 1);
+            test.deepEqual(result.outdatedLibraries, [
+                { name: 'jQuery', count: 2, versions: [{ name: '1.4.2', count: 1 }, { name: '1.5.1', count: 1 }] },
+                { name: 'Modernizr', count: 1, versions: [{ name: '2.0', count: 1 }] }
+            ]);
+            test.deepEqual(result.missingProperties, [
+                { name: 'gradient', count: 1 },
+                { name: 'transform', count: 1 },
+                { name: 'transition', count: 1 }
+            ]);
+            test.deepEqual(result.commonErrors, [{ name: 'Error: ETIMEDOUT', count: 1 }]);
+            test.done();
+        });
+    },
+    'Given run and top': function (test) {
+        stats.getRunStats(this.container, '06-01-2015_', 1, function (err, result) {
+            test.ifError(err);
+            test.equal(result.run, '06-01-2015_');
+            test.equal(result.sites, 1);
+            test.deepEqual(result.outdatedLibraries, []);
+            test.done();
+        });
+    },
+    'Unknown run': function (test) {
+        stats.getRunStats(this.container, '01-01-2000_', 10, function (err, result) {
+            test.ifError(err);
+            test.strictEqual(result, null);
+            test.done();
+        });
+    }
+};
@@ -0,0 +1,82 @@
+/**
+ * Description: Test the CSS and JS bundles submitted along with an HTML document
+ * are used instead of downloading the files.
+ *
+ * Copyright (c) Microsoft Corporation; All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this
+ * file except in compliance with the License. You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * THIS CODE IS PROVIDED AS IS BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, EITHER
+ * EXPRESS OR IMPLIED, INCLUDING WITHOUT LIMITATION ANY IMPLIED WARRANTIES OR CONDITIONS
+ * OF TITLE, FITNESS FOR A PARTICULAR PURPOSE, MERCHANTABLITY OR NON-INFRINGEMENT.
+ *
+ * See the Apache Version 2.0 License for specific language governing permissions
+ * and limitations under the License.
+ */
+
+"use strict";
+
+var cssloader = require('../lib/checks/loadcss.js'),
+    jsloader = require('../lib/checks/loadjs.js'),
+    url = require('url'),
+    cheerio = require('cheerio'),
+    baseUrl = 'http://staging.invalid/';
+
+function createWebsite(html, css, js) {
+    return {
+        url: url.parse(baseUrl),
+        content: html,
+        submitted: true,
+        resources: { css: css || [], js: js || [] },
+        $: cheerio.load(html)
+    };
+}
+
+module.exports['Submitted resources'] = {
+    'Linked style sheet': function (test) {
+        var website = createWebsite('<link rel="stylesheet" href="/css/site.css">',
+            [{ url: baseUrl + 'css/site.css', content: 'a { color: red; }' }]);
+
+        test.expect(2);
+        cssloader.loadCssFiles(website).then(function (website) {
+            test.equal(website.css.length, 1);
+            test.equal(website.css[0].cssUrl, baseUrl + 'css/site.css');
+            test.done();
+        });
+    },
+    'Style sheet without url': function (test) {
+        var website = createWebsite('<p>No styles</p>', [{ url: null, content: 'a { color: red; }' }]);
+
+        test.expect(2);
+        cssloader.loadCssFiles(website).then(function (website) {
+            test.equal(website.css.length, 1);
+            test.equal(website.css[0].cssUrl, 'embed');
+            test.done();
+        });
+    },
+    'Referenced script': function (test) {
+        var website = createWebsite('<script src="js/app.js"></script>', [],
+            [{ url: baseUrl + 'js/app.js', content: 'var ua = navigator.userAgent;' }]);
+
+        test.expect(3);
+        jsloader.loadjsFiles(website).then(function (website) {
+            test.equal(website.js.length, 1);
+            test.equal(website.js[0].jsUrl, 'js/app.js');
+            test.equal(website.js[0].content, 'var ua = navigator.userAgent;');
+            test.done();
+        });
+    },
+    'Script the document does not reference': function (test) {
+        var website = createWebsite('<script>var a = 1;</script>', [],
+            [{ url: null, content: 'var b = 2;' }]);
+
+        test.expect(2);
+        jsloader.loadjsFiles(website).then(function (website) {
+            test.equal(website.js.length, 2);
+            test.equal(website.js[1].content, 'var b = 2;');
+            test.done();
+        });
+    }
+};
@@ -0,0 +1,122 @@
+/**
+ * Description: Test the trend of a site across the runs of the webjob.
+ *
+ * Copyright (c) Microsoft Corporation; All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this
+ * file except in compliance with the License. You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * THIS CODE IS PROVIDED AS IS BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, EITHER
+ * EXPRESS OR IMPLIED, INCLUDING WITHOUT LIMITATION ANY IMPLIED WARRANTIES OR CONDITIONS
+ * OF TITLE, FITNESS FOR A PARTICULAR PURPOSE, MERCHANTABLITY OR NON-INFRINGEMENT.
+ *
+ * See the Apache Version 2.0 License for specific language governing permissions
+ * and limitations under the License.
+ */
+
+"use strict";
+
+var trends = require('../lib/trends.js'),
+    storage = require('../lib/storage'),
+    fs = require('fs'),
+    os = require('os'),
+    path = require('path'),
+    directory = path.join(os.tmpdir(), 'trends-test-' + process.pid),
+    folder = path.join(directory, 'dailyscan');
+
+var files = {
+    'results06-01-2015_.csv': 'rank,area,url,edge,jslibs,comments,score,grade\n' +
+        '1,Tech,www.contoso.com,1,1,N/A,100,A\n',
+    'completedresults06-01-2015_.csv': 'rank,area,url,edge,jslibs,comments,score,grade\n' +
+        '1,Tech,www.contoso.com,1,1,N/A,100,A\n' +
+        '2,Tech,www.fabrikam.com,1,1,N/A,100,A\n',
+    'results06-02-2015_.csv': 'rank,area,url,edge,jslibs,comments,score,grade\n' +
+        '1,Tech,www.contoso.com,0,1,N/A,60,D\n',
+    'summary06-02-2015_.csv': 'rank,area,url,edge,jslibs\n' +
+        '1,Tech,www.contoso.com,"[edge/x-ua-compatible] IE=8 found",""\n',
+    'results06-03-2015_.csv': 'rank,area,url,edge,jslibs,comments,score,grade\n' +
+        '2,Tech,www.fabrikam.com,N/A,N/A,Error: ETIMEDOUT,N/A,N/A\n',
+    'websites.csv': 'www.contoso.com,Tech,1\n'
+};
+
+function removeDirectory() {
+    [folder, directory].forEach(function (dir) {
+        if (fs.existsSync(dir)) {
+            fs.readdirSync(dir).forEach(function (name) {
+                fs.unlinkSync(path.join(dir, name));
+            });
+            fs.rmdirSync(dir);
+        }
+    });
+}
+
+module.exports['Trends'] = {
+    setUp: function (callback) {
+        removeDirectory();
+        fs.mkdirSync(directory);
+        fs.mkdirSync(folder);
+        Object.keys(files).forEach(function (name) {
+            fs.writeFileSync(path.join(folder, name), files[name]);
+        });
+        this.container = storage.create('local', { directory: directory, container: 'dailyscan' });
+        callback();
+    },
+    tearDown: function (callback) {
+        removeDirectory();
+        callback();
+    },
+    'Runs': function (test) {
+        test.deepEqual(trends.getRuns(Object.keys(files)), [
+            { run: '06-01-2015_', results: 'completedresults06-01-2015_.csv', summary: null },
+            { run: '06-02-2015_', results: 'results06-02-2015_.csv', summary: 'summary06-02-2015_.csv' },
+            { run: '06-03-2015_', results: 'results06-03-2015_.csv', summary: null }
+        ]);
+        test.done();
+    },
+    'Site trend': function (test) {
+        trends.getSiteTrend(this.container, 'http://WWW.Contoso.com/', function (err, trend) {
+            test.ifError(err);
+            test.equal(trend.site, 'www.contoso.com');
+            test.deepEqual(trend.checks, ['edge', 'jslibs']);
+            test.equal(trend.runs.length, 2);
+            test.deepEqual(trend.runs[0], {
+                run: '06-01-2015_',
+                date: '2015-06-01',
+                rank: '1',
+                area: 'Tech',
+                score: 100,
+                grade: 'A',
+                comment: null,
+                tests: {
+                    edge: { passed: true, summary: null },
+                    jslibs: { passed: true, summary: null }
+                }
+            });
+            test.deepEqual(trend.runs[1].tests, {
+                edge: { passed: false, summary: '[edge/x-ua-compatible] IE=8 found' },
+                jslibs: { passed: true, summary: null }
+            });
+            test.done();
+        });
+    },
+    'Site with errors': function (test) {
+        trends.getSiteTrend(this.container, 'www.fabrikam.com', function (err, trend) {
+            test.ifError(err);
+            test.deepEqual(trend.runs.map(function (run) {
+                return run.run;
+            }), ['06-01-2015_', '06-03-2015_']);
+            test.equal(trend.runs[1].comment, 'Error: ETIMEDOUT');
+            test.strictEqual(trend.runs[1].score, null);
+            test.strictEqual(trend.runs[1].tests.edge.passed, null);
+            test.done();
+        });
+    },
+    'Unknown site': function (test) {
+        trends.getSiteTrend(this.container, 'www.northwind.com', function (err, trend) {
+            test.ifError(err);
+            test.strictEqual(trend, null);
+            test.done();
+        });
+    }
+};
@@ -0,0 +1,122 @@
+/**
+ * Description: Test the signature and the delivery of the webhook callbacks.
+ *
+ * Copyright (c) Microsoft Corporation; All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this
+ * file except in compliance with the License. You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * THIS CODE IS PROVIDED AS IS BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, EITHER
+ * EXPRESS OR IMPLIED, INCLUDING WITHOUT LIMITATION ANY IMPLIED WARRANTIES OR CONDITIONS
+ * OF TITLE, FITNESS FOR A PARTICULAR PURPOSE, MERCHANTABLITY OR NON-INFRINGEMENT.
+ *
+ * See the Apache Version 2.0 License for specific language governing permissions
+ * and limitations under the License.
+ */
+
+"use strict";
+
+var webhook = require('../lib/webhook.js'),
+    config = require('../lib/checks/config.js'),
+    http = require('http'),
+    settings = {
+        secret: config.webhook_secret,
+        retries: config.webhook_retries,
+        delay: config.webhook_retry_delay
+    },
+    server,
+    callbackUrl,
+    requests,
+    statusCodes;
+
+module.exports['Webhook'] = {
+    setUp: function (callback) {
+        requests = [];
+        statusCodes = [];
+        config.webhook_secret = 'secret';
+        config.webhook_retry_delay = 10;
+
+        server = http.createServer(function (req, res) {
+            var body = '';
+            req.setEncoding('utf8');
+            req.on('data', function (chunk) {
+                body += chunk;
+            });
+            req.on('end', function () {
+                requests.push({ headers: req.headers, body: body });
+                res.writeHead(statusCodes.shift() || 200);
+                res.end();
+            });
+        });
+        server.listen(0, '127.0.0.1', function () {
+            callbackUrl = 'http://127.0.0.1:' + server.address().port + '/hook';
+            callback();
+        });
+    },
+    tearDown: function (callback) {
+        config.webhook_secret = settings.secret;
+        config.webhook_retries = settings.retries;
+        config.webhook_retry_delay = settings.delay;
+        server.close(callback);
+    },
+    'Signature': function (test) {
+        test.equal(webhook.sign('{}', 'secret'), 'sha256=77325902caca812dc259733aacd046b73817372c777b8d95b402647474516e13');
+        test.notEqual(webhook.sign('{}', 'secret'), webhook.sign('{}', 'other'));
+        test.done();
+    },
+    'Callback urls': function (test) {
+        test.ok(webhook.isValidUrl('http://ci.contoso.com/hook'));
+        test.ok(webhook.isValidUrl('https://ci.contoso.com/hook'));
+        test.ok(!webhook.isValidUrl('ftp://ci.contoso.com/hook'));
+        test.ok(!webhook.isValidUrl('mailto:ci@contoso.com'));
+        test.ok(!webhook.isValidUrl(null));
+        test.done();
+    },
+    'Signed notification': function (test) {
+        var sent = Math.floor(Date.now() / 1000);
+
+        webhook.send(callbackUrl, 'scan.completed', { url: 'http://www.contoso.com/' }, function (err) {
+            var timestamp = requests[0].headers['x-scanner-timestamp'];
+
+            test.ifError(err);
+            test.equal(requests.length, 1);
+            test.equal(requests[0].headers['x-scanner-event'], 'scan.completed');
+            test.equal(requests[0].headers['content-type'], 'application/json');
+            test.ok(parseInt(timestamp, 10) >= sent && parseInt(timestamp, 10) <= sent + 1);
+            // The timestamp is signed with the body
+            test.equal(requests[0].headers['x-scanner-signature'], webhook.sign(timestamp + '.' + requests[0].body, 'secret'));
+            test.deepEqual(JSON.parse(requests[0].body), { url: 'http://www.contoso.com/' });
+            test.done();
+        });
+    },
+    'Notifications need a secret': function (test) {
+        config.webhook_secret = '';
+
+        test.ok(!webhook.isEnabled());
+        webhook.send(callbackUrl, 'scan.completed', {}, function (err) {
+            test.ok(err);
+            test.equal(requests.length, 0);
+            test.done();
+        });
+    },
+    'Retried notification': function (test) {
+        statusCodes = [500, 503];
+
+        webhook.send(callbackUrl, 'job.completed', {}, function (err) {
+            test.ifError(err);
+            test.equal(requests.length, 3);
+            test.done();
+        });
+    },
+    'Failed notification': function (test) {
+        config.webhook_retries = 1;
+        statusCodes = [500, 500];
+
+        webhook.send(callbackUrl, 'job.completed', {}, function (err) {
+            test.ok(err);
+            test.equal(requests.length, 2);
+            test.done();
+        });
+    }
+};
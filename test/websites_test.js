@@ -0,0 +1,113 @@
+/**
+ * Description: Test the list of websites of the webjob: header detection, the
+ * mapping of its columns and the CSV files it accepts.
+ *
+ * Copyright (c) Microsoft Corporation; All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this
+ * file except in compliance with the License. You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * THIS CODE IS PROVIDED AS IS BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, EITHER
+ * EXPRESS OR IMPLIED, INCLUDING WITHOUT LIMITATION ANY IMPLIED WARRANTIES OR CONDITIONS
+ * OF TITLE, FITNESS FOR A PARTICULAR PURPOSE, MERCHANTABLITY OR NON-INFRINGEMENT.
+ *
+ * See the Apache Version 2.0 License for specific language governing permissions
+ * and limitations under the License.
+ */
+
+"use strict";
+
+var websites = require('../lib/websites.js'),
+    config = require('../lib/checks/config.js'),
+    fs = require('fs'),
+    path = require('path');
+
+function getUrls(list) {
+    return list.websites.map(function (website) {
+        return website.url;
+    });
+}
+
+module.exports['Websites'] = {
+    'Site list file': function (test) {
+        websites.parse(fs.readFileSync(path.join(__dirname, '../static/websites.csv'), 'utf8'), null, function (err, list) {
+            test.ifError(err);
+            test.equal(list.websites.length, 1000);
+            test.deepEqual(list.columns, []);
+            test.equal(list.websites[0].url, 'yahoo.co.jp');
+            test.equal(list.websites[0].area, 'Japan');
+            test.equal(list.websites[0].rank, '1');
+            test.done();
+        });
+    },
+    'Header in any order': function (test) {
+        var text = 'Rank,Domain,Tags,Owner,Checks,Skip,Credentials\n' +
+            '1,www.contoso.com,retail; home,"Contoso, Ltd.",edge;jslibs,,intranet\n' +
+            '2,www.fabrikam.com,,Fabrikam,,markup,\n';
+
+        websites.parse(text, null, function (err, list) {
+            test.ifError(err);
+            test.deepEqual(list.columns, ['Tags', 'Owner']);
+            test.deepEqual(list.websites[0], {
+                url: 'www.contoso.com',
+                rank: '1',
+                area: '',
+                tags: ['retail', 'home'],
+                credentials: 'intranet',
+                checks: ['edge', 'jslibs'],
+                skip: [],
+                columns: { Tags: 'retail; home', Owner: 'Contoso, Ltd.' }
+            });
+            test.deepEqual(list.websites[1].skip, ['markup']);
+            test.strictEqual(list.websites[1].credentials, null);
+            test.done();
+        });
+    },
+    'Without header': function (test) {
+        websites.parse('www.contoso.com, United States, 1\nwww.fabrikam.com\n', null, function (err, list) {
+            test.ifError(err);
+            test.deepEqual(getUrls(list), ['www.contoso.com', 'www.fabrikam.com']);
+            test.equal(list.websites[0].area, 'United States');
+            test.equal(list.websites[1].rank, '');
+            test.done();
+        });
+    },
+    'Byte order mark, line breaks and comments': function (test) {
+        var text = '\uFEFFurl,area\r\n# Retail\r\nwww.contoso.com,"US,\r\nEast"\n\n,Empty\rwww.fabrikam.com,EU\r\n';
+
+        websites.parse(text, null, function (err, list) {
+            test.ifError(err);
+            test.deepEqual(getUrls(list), ['www.contoso.com', 'www.fabrikam.com']);
+            test.equal(list.websites[0].area, 'US,\nEast');
+            test.done();
+        });
+    },
+    'Columns of the options': function (test) {
+        websites.parse('host,market\nwww.contoso.com,US\n', { columns: { url: ['host'], area: ['market'] } }, function (err, list) {
+            test.ifError(err);
+            test.deepEqual(getUrls(list), ['www.contoso.com']);
+            test.equal(list.websites[0].area, 'US');
+            test.done();
+        });
+    },
+    'Invalid file': function (test) {
+        websites.parse('url\n"www.contoso.com\n', null, function (err, list) {
+            test.ok(err);
+            test.strictEqual(list, null);
+            test.done();
+        });
+    },
+    'Credentials': function (test) {
+        var credentials = config.website_credentials;
+
+        config.website_credentials = { intranet: { user: 'scanner', password: 'secret' } };
+
+        test.deepEqual(websites.getCredentials(websites.create({ url: 'intranet.contoso.com', credentials: 'intranet' })), { user: 'scanner', password: 'secret' });
+        test.strictEqual(websites.getCredentials(websites.create({ url: 'www.contoso.com', credentials: 'other' })), null);
+        test.strictEqual(websites.getCredentials(websites.create({ url: 'www.contoso.com' })), null);
+
+        config.website_credentials = credentials;
+        test.done();
+    }
+};